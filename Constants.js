@@ -26,6 +26,32 @@ const LogDetailLevel = EnumUtil.createEnum('LogDetailLevel', {
     None: 1
 });
 
+/** What happens when a loader cannot transform a module */
+const FailurePolicy = EnumUtil.createEnum('FailurePolicy', {
+    /** Load the module with the built-in handler */
+    Fallback: 'fallback',
+    /** Load the module with the built-in handler and list the failure in a report when the process exits */
+    Warn: 'warn',
+    /** Throw a LoaderError into the require() caller */
+    Strict: 'strict'
+}, 'string');
+
+/** How an identifier is used where it appears */
+const IdentifierRole = EnumUtil.createEnum('IdentifierRole', {
+    /** Declares a name, e.g. a variable, parameter, function, or import */
+    Binding: 'binding',
+    /** Names a property, class member, or label, or is used as a keyword, e.g. async */
+    Key: 'key',
+    /** A shorthand property in an object literal, e.g. { name } */
+    Shorthand: 'shorthand',
+    /** Receives a value, e.g. name = 1 or name++ */
+    Target: 'target',
+    /** The position could not be classified */
+    Unknown: 'unknown',
+    /** Reads the variable */
+    Value: 'value'
+}, 'string');
+
 const ReservedWord = EnumUtil.createEnum('ReservedWord', {
     Await: 'await',
     Break: 'break',
@@ -103,13 +129,19 @@ const TokenType = EnumUtil.createEnum('TokenType', {
     ParameterListEnd: 'ParameterListEnd',
     Paranthesis: 'Paranthesis',
     RawText: 'RawText',
+    /** A regular expression literal */
+    RegExp: 'RegExp',
     ReservedWord: 'ReservedWord',
     Semicolon: 'Semicolon',
+    /** A quoted string or template literal */
+    String: 'String',
     Whitespace: 'Whitespace'
 });
 
 module.exports = {
     DetailLevelString,
+    FailurePolicy,
+    IdentifierRole,
     LogDetailLevel,
     ReservedWord,
     TokenizerScope,
@@ -9,15 +9,33 @@
 /// <reference path="index.d.ts" />
 
 const PathUtil = require('./util/PathUtil'),
-    { DetailLevelString, LogDetailLevel } = require('./Constants'),
+    { FailurePolicy, LogDetailLevel } = require('./Constants'),
     { EventEmitter } = require('events'),
     AstBuilder = require('./ast/AstBuilder'),
     GeneratorBase = require('./ast/generators/GeneratorBase'),
     ExtensionLoader = require('./loader/ExtensionLoader'),
+    LoaderError = require('./loader/LoaderError'),
+    MacroExpander = require('./loader/MacroExpander'),
+    Module = require('module'),
+    { MessageChannel, isMainThread } = require('worker_threads'),
+    { pathToFileURL } = require('url'),
     path = require('path'),
     fs = require('fs');
 const ConfigUtil = require('./util/ConfigUtil');
+const FilterUtil = require('./util/FilterUtil');
 const ObjectUtil = require('./util/ObjectUtil');
+const SchemaUtil = require('./util/SchemaUtil');
+const SourceMapUtil = require('./util/SourceMapUtil');
+const StackTraceMapper = require('./manager/StackTraceMapper');
+const TransformCache = require('./manager/TransformCache');
+const ModuleWatcher = require('./manager/ModuleWatcher');
+const ConfigPropagator = require('./manager/ConfigPropagator');
+const { LogSink, ConsoleLogSink } = require('./manager/LogSink');
+const LoadProfiler = require('./manager/LoadProfiler');
+const PluginLoader = require('./manager/PluginLoader');
+const ComponentRegistry = require('./manager/ComponentRegistry');
+const DependencyGraph = require('./manager/DependencyGraph');
+const FailureTracker = require('./manager/FailureTracker');
 
 /**
  * @implements {KLF}
@@ -33,34 +51,166 @@ class ModuleManager extends EventEmitter {
         /** @type {KLF.LogDetailLevel} */
         this.debug = typeof settings.debug === 'number' ? settings.debug : LogDetailLevel.tryParse(settings.debug || activeConfig.debug, LogDetailLevel.Error);
         this.settings = settings;
+
+        /**
+         * Sinks created from the logging config
+         * @type {LogSink[]}
+         */
+        this.logSinks = [];
+
+        /**
+         * Sinks added at runtime; These survive config changes
+         * @type {LogSink[]}
+         */
+        this.addedLogSinks = [];
+
+        /**
+         * Thresholds for individual components, keyed by component name
+         * @type {Object.<string,KLF.LogDetailLevel>}
+         */
+        this.logLevels = {};
+
+        /** If false, console sinks are skipped because messages are forwarded to another thread */
+        this.consoleOutput = true;
+
+        /** @type {Object.<string,KLF.IExtensionLoader>} */
+        this.loaderInstances = {};
+
+        /**
+         * The handlers we placed in Module._extensions, keyed by extension
+         * @type {Object.<string,{ loader: KLF.IExtensionLoader, handler: Function }>}
+         */
+        this.installedHandlers = {};
+
+        /** Have the ES module hooks been registered? */
+        this.esmHooksRegistered = false;
+
+        /**
+         * The port used to talk to the ES module hooks thread, once registered
+         * @type {MessagePort | false}
+         */
+        this.esmHooksPort = false;
+
+        /** Hook require() while enabled; The ES module hooks thread only transforms ES modules */
+        this.hookRequire = true;
+
+        /** @type {string[]} Files and variables that configuration was read from */
+        this.configSources = [];
+
+        /**
+         * The problems found in the most recent config change
+         * @type {{ problems: KLF.IConfigProblem[], rejected: boolean }}
+         */
+        this.lastValidation = { problems: [], rejected: false };
+
+        /** Keeps source maps for transformed modules and remaps stack traces */
+        this.stackTraceMapper = new StackTraceMapper(this);
+
+        /** Optional on-disk store for transformed output */
+        this.transformCache = new TransformCache(this);
+
+        /** Evicts changed modules from require.cache when watch mode is enabled */
+        this.moduleWatcher = new ModuleWatcher(this);
+
+        /** Passes the configuration to new worker threads and child processes */
+        this.configPropagator = new ConfigPropagator(this);
+
+        /** Records timings for each module handled by the loaders */
+        this.loadProfiler = new LoadProfiler(this);
+
+        /** Finds and registers third-party plugin packages */
+        this.pluginLoader = new PluginLoader(this);
+
+        /** Tracks registered components and the types they replaced */
+        this.componentRegistry = new ComponentRegistry(this);
+
+        /** Records which module required which */
+        this.dependencyGraph = new DependencyGraph(this);
+
+        /** Applies the failure policy when a loader cannot transform a module */
+        this.failureTracker = new FailureTracker(this);
+
         this.components = {
             AstBuilder,
             GeneratorBase,
             ExtensionLoader,
             ...this.builderTypes,
             ...this.generatorTypes,
-            ...settings.loaders
+            ...this.loaders
         };
+        this.configureLogging();
     }
 
     /**
-     * 
-     * @param {Partial<KLF>} config 
+     * Add a log sink that stays in place when the configuration changes
+     * @param {KLF.LogSinkSpec} spec A sink instance, callback, or config object
+     * @returns {LogSink} The sink that was added
+     */
+    addLogSink(spec) {
+        const sink = LogSink.create(spec);
+        this.addedLogSinks.push(sink);
+        return sink;
+    }
+
+    /**
+     * Apply changes to the active configuration as a single transaction.  The
+     * merged settings are validated, then each loader is notified so that it
+     * can re-initialize.  If validation rejects the change, a component rejects
+     * it, or anything throws, the previous state is restored.  Every
+     * 'configChangeStart' event is followed by a 'configChangeEnd' event.
+     * @param {Partial<KLF.IModuleManager>} config The changes to apply
+     * @returns {boolean} Returns false if the change was rejected or could not be applied
      */
     applyConfigChange(config) {
+        const snapshot = this.createSnapshot();
+        /** @type {KLF.IConfigChange} */
+        let change = { config, diff: [], previous: this.settings, settings: this.settings },
+            error = undefined;
+
         try {
             this.emit('configChangeStart', config);
-            this.settings = ConfigUtil.mergeConfigs({}, this.settings, config);
+
+            const settings = ConfigUtil.mergeConfigs({}, this.settings, config);
+
+            //  Nothing has changed yet, so there is nothing to roll back
+            if (!this.checkConfigChange(config, settings))
+                error = new Error('Configuration change was rejected by strict validation');
+            else {
+                change = { config, diff: ConfigUtil.diffConfigs(this.settings, settings), previous: this.settings, settings };
+
+                this.settings = settings;
+                this.debug = typeof this.settings.debug === 'number' ? this.settings.debug : LogDetailLevel.tryParse(this.settings.debug, LogDetailLevel.Error);
+                this.configureLogging();
+
+                for (const loader of Object.values(this.loaderInstances)) {
+                    if (typeof loader.onConfigChange === 'function' && loader.onConfigChange(change) === false)
+                        throw new Error(`Loader ${loader.name} rejected the change`);
+                }
+
+                if (this.settings.enabled && this.hookRequire)
+                    this.install();
+                else if (this.installed)
+                    this.uninstall();
+                //  The hooks thread has its own copy of the settings
+                if (this.esmHooksPort && change.previous.enabled !== this.settings.enabled)
+                    this.esmHooksPort.postMessage({ type: 'enabled', enabled: this.settings.enabled === true });
+                if (!this.moduleWatcher.enabled)
+                    this.moduleWatcher.close();
+                this.transformCache.invalidate();
+                this.configPropagator.apply();
+                this.loadProfiler.installExitHook();
+            }
         }
         catch (err) {
-            this.log(`Failed to update active configuration; Error = ${err}`, LogDetailLevel.Error);
+            error = err;
+            this.restoreSnapshot(snapshot);
+            this.log(`Failed to update active configuration; Previous settings were restored; Error = ${err}`, LogDetailLevel.Error, { error: err });
         }
-    }
 
-    bootstrap() {
-        for (const [loaderId, loaderType] of Object.entries(this.loaders.instanceTypes)) {
-            this.log(`Creating runtime instance of ${loaderId}`, LogDetailLevel.Debug);
-        }
+        this.emit('configChangeEnd', error
+            ? { ...change, diff: [], settings: this.settings, success: false, error }
+            : { ...change, success: true });
+        return !error;
     }
 
     get builderTypes() {
@@ -87,6 +237,55 @@ class ModuleManager extends EventEmitter {
         return result;
     }
 
+    /**
+     * Validate a merged config before it replaces the active settings.  Only
+     * problems the change introduces are reported, so an existing problem is
+     * not repeated for every later update.
+     * @param {Partial<KLF.IModuleManager>} config The requested changes
+     * @param {Partial<KLF.IModuleManager>} settings The config that would result
+     * @returns {boolean} Returns false if strict validation rejected the change
+     */
+    checkConfigChange(config, settings) {
+        const validation = settings.validation || {};
+
+        this.lastValidation = { problems: [], rejected: false };
+        if (validation.enabled === false)
+            return true;
+
+        const
+            existing = new Set(this.validateConfig(this.settings).map(problem => `${problem.path}: ${problem.message}`)),
+            problems = this.validateConfig(settings).filter(problem => !existing.has(`${problem.path}: ${problem.message}`)),
+            rejected = problems.length > 0 && (validation.strict === true || this.settings.validation && this.settings.validation.strict === true);
+
+        if (problems.length === 0)
+            return true;
+
+        this.lastValidation = { problems, rejected };
+        for (const problem of problems) {
+            this.log(`Invalid setting ${problem.path}: ${problem.message}`, rejected ? LogDetailLevel.Error : LogDetailLevel.Warning, { problem });
+        }
+        this.emit('configInvalid', { config, problems, rejected });
+
+        if (rejected)
+            this.log(`Configuration change rejected; Found ${problems.length} problem(s)`, LogDetailLevel.Error);
+        return !rejected;
+    }
+
+    /**
+     * Check the value returned by a pipeline stage
+     * @param {{ name: string, run: KLF.PipelineCallback, stage: KLF.PipelineComponent }} entry The stage that ran
+     * @param {KLF.IPipelineContext} context The pipeline context
+     * @param {any} result The value returned by the stage, once it has settled
+     * @returns {boolean} Returns false if the stage rejected the module
+     */
+    checkStageResult(entry, context, result) {
+        if (result === false) {
+            context.loader.log(`Pipeline stage ${entry.name} rejected ${context.filename}`, LogDetailLevel.Debug, { filename: context.filename });
+            return false;
+        }
+        return true;
+    }
+
     /**
      * Configure an extension
      * @param {KLF.IExtensionLoader} loader The extension configuration
@@ -99,7 +298,13 @@ class ModuleManager extends EventEmitter {
                     key = ext.charAt(0) === '.' ? ext : '.' + ext,
                     originalRequire = Module._extensions[key];
 
-                if (typeof originalRequire === 'undefined') {
+                if (key in this.installedHandlers) {
+                    const { loader: owner } = this.installedHandlers[key];
+                    if (owner !== loader)
+                        this.log(`Loader ${loader.name} cannot handle ${key} since it is already handled by ${owner.name}`, LogDetailLevel.Warning, { loader });
+                    continue;
+                }
+                else if (typeof originalRequire === 'undefined') {
                     this.log(`This NodeJS runtime does not recognize extension ${key}, but we will try and make it understand`, LogDetailLevel.Debug);
                 }
                 loader.addDefaultLoader(key, originalRequire);
@@ -108,35 +313,80 @@ class ModuleManager extends EventEmitter {
                  * @param {Module} module
                  * @param {string} filename The module file to load
                  */
-                Module._extensions[key] = (module, filename) => {
+                const handler = Module._extensions[key] = (module, filename) => {
                     /** send the request back to the built-in handler */
                     const defer = (module, filename, message, detailLevel, arg = {}) => {
+                        //  Sandboxed modules must not reach the built-in handler, which would run them in the main realm
+                        if (loader.sandbox.appliesTo(filename))
+                            throw new LoaderError({ filename, loader: loader.name, policy: FailurePolicy.Strict, reason: `${message}; Sandboxed modules are not passed to the built-in handler` });
                         this.log(message, detailLevel, arg);
                         this.emit('deferred', { module, filename, message, ...arg });
                         return originalRequire(module, filename);
                     };
+                    const node = this.dependencyGraph.begin(module, filename, loader);
+                    /** @type {KLF.ILoadAttempt | undefined} */
+                    let attempt = undefined, loaded = false;
+
                     try {
-                        if (loader.enabled) {
+                        if (this.settings.enabled && loader.enabled) {
+                            //  Sandboxed modules are loaded even if the include rules would skip them; See defer()
+                            if (!loader.sandbox.appliesTo(filename) && !this.isIncluded(filename, loader))
+                                return defer(module, filename, `Loader ${loader.name} is skipping ${filename} due to include/exclude rules`, LogDetailLevel.Verbose);
+
                             loader.log(`Starting load process for ${filename} using ${loader.name}`, LogDetailLevel.Verbose);
 
-                            if (!loader.require(module, filename)) {
-                                if (typeof originalRequire === 'function')
+                            const record = this.loadProfiler.begin(filename, loader);
+                            attempt = this.failureTracker.begin(filename, loader);
+                            try {
+                                loaded = loader.require(module, filename);
+                            }
+                            finally {
+                                this.loadProfiler.end(record, loaded);
+                                this.failureTracker.end(attempt);
+                            }
+
+                            if (!loaded) {
+                                const failure = this.failureTracker.fail(attempt);
+
+                                if (failure)
+                                    throw failure;
+                                else if (typeof originalRequire === 'function')
                                     defer(module, filename, `Loader ${loader.name} is deferring ${filename} to built-in require()`, LogDetailLevel.Debug, { module, filename, loader });
                                 else {
-                                    this.log(`Loader ${this.name} was unable to load ${filename} and there is no fallback for ${key}!!!`, LogDetailLevel.Error, { module, filename, loader });
+                                    this.log(`Loader ${loader.name} was unable to load ${filename} and there is no fallback for ${key}!!!`, LogDetailLevel.Error, { module, filename, loader });
                                     this.emit('failure', { module, filename, message: 'No reason given by loader' });
                                     return false;
                                 }
                             }
-                            else /* we did our job */
+                            else /* we did our job */ {
+                                this.moduleWatcher.watch(filename);
                                 return true;
+                            }
                         }
                         defer(module, filename, `Skipping load process for ${filename} using ${loader.name} [loader disabled]`, LogDetailLevel.Verbose);
                     }
                     catch (error) {
+                        loaded = false;
+
+                        //  The module itself threw; Running it again with the built-in handler would repeat its side effects
+                        if (attempt && attempt.compiling)
+                            throw error;
+
+                        //  Strict failures, including those of modules required by this one, go straight to the caller
+                        const failure = error instanceof LoaderError ? error : attempt && this.failureTracker.fail(attempt, error);
+
+                        if (failure) {
+                            if (failure.filename === filename)
+                                this.emit('failure', { module, filename, message: failure.message, error: failure });
+                            throw failure;
+                        }
                         defer(module, filename, `Loader ${loader.name} failed to load ${filename}: Error: ${error}`, LogDetailLevel.Error, { filename, error, module });
                     }
+                    finally {
+                        this.dependencyGraph.end(node, loaded);
+                    }
                 };
+                this.installedHandlers[key] = { loader, handler };
             }
         }
         else {
@@ -144,6 +394,261 @@ class ModuleManager extends EventEmitter {
         }
     }
 
+    /**
+     * Create the configured log sinks and parse the per-component levels
+     */
+    configureLogging() {
+        const { sinks = [{ type: 'console' }], levels = {} } = this.settings.logging || {};
+
+        this.logSinks = [];
+        for (const spec of sinks) {
+            try {
+                this.logSinks.push(LogSink.create(spec));
+            }
+            catch (err) {
+                console.error(`+[  ERROR]: Could not create log sink: ${err.message}`);
+            }
+        }
+
+        this.logLevels = {};
+        for (const [component, level] of Object.entries(levels)) {
+            const value = LogSink.parseLevel(level);
+
+            if (typeof value === 'number')
+                this.logLevels[component] = value;
+            else
+                console.error(`+[  ERROR]: Invalid log level '${level}' for component ${component}`);
+        }
+    }
+
+    /**
+     * Create runtime instances of any configured loaders that do not exist yet
+     * @returns {KLF.IExtensionLoader[]} The newly created loaders
+     */
+    createLoaders() {
+        const result = [];
+
+        for (const [loaderId, entry] of Object.entries(this.settings.loaders)) {
+            const config = entry.config || {};
+
+            if (loaderId in this.loaderInstances)
+                continue;
+            else if (typeof entry.type !== 'function') {
+                this.log(`Loader ${loaderId} does not have a type yet and will not be created`, LogDetailLevel.Debug);
+                continue;
+            }
+            else if (config.enabled === false) {
+                this.log(`Loader ${loaderId} is disabled and will not be created`, LogDetailLevel.Debug);
+                continue;
+            }
+            this.log(`Creating runtime instance of ${loaderId}`, LogDetailLevel.Debug);
+
+            const loader = new entry.type(this, { name: loaderId, ...config });
+
+            loader.initialize();
+            this.loaderInstances[loaderId] = loader;
+            result.push(loader);
+        }
+        return result;
+    }
+
+    /**
+     * Tokenize module source and create the context passed to each pipeline stage
+     * @param {string} filename The module filename
+     * @param {string} source The original source text
+     * @param {KLF.IExtensionLoader} loader The loader handling the module
+     * @param {Module?} module The module being loaded, if any
+     * @returns {KLF.IPipelineContext | false} Returns false if the source could not be tokenized
+     */
+    createPipelineContext(filename, source, loader, module = undefined) {
+        const
+            builder = loader.createTreeBuilder({ filename, source, module }),
+            root = builder.tokenize();
+
+        if (!root) {
+            loader.log(`Loader ${loader.name} could not tokenize ${filename}`, LogDetailLevel.Debug, { filename });
+            return false;
+        }
+        return { builder, filename, loader, manager: this, module, root, source };
+    }
+
+    /**
+     * Capture the state a config change can modify so that it can be rolled back
+     * @returns {KLF.IManagerSnapshot}
+     */
+    createSnapshot() {
+        const loaderStates = new Map();
+
+        for (const loader of Object.values(this.loaderInstances)) {
+            loaderStates.set(loader, { ...loader, fallbackLoaders: { ...loader.fallbackLoaders } });
+        }
+        return {
+            settings: this.settings,
+            debug: this.debug,
+            logSinks: this.logSinks,
+            logLevels: this.logLevels,
+            loaderInstances: { ...this.loaderInstances },
+            loaderStates,
+            installedHandlers: { ...this.installedHandlers },
+            stackTraceHook: this.stackTraceMapper.installed,
+            watchedFiles: this.moduleWatcher.watchedFiles
+        };
+    }
+
+    /**
+     * Create the value returned by transform() and transformAsync()
+     * @param {string} filename The module filename
+     * @param {KLF.IExtensionLoader} loader The loader that handled the source
+     * @param {KLF.ITransformDiagnostic[]} diagnostics Problems reported during the transform
+     * @param {KLF.ITransformResult | false} result The generated output, if any
+     * @param {Error?} error The error that stopped the transform, if any
+     * @returns {KLF.ITransformOutput}
+     */
+    createTransformOutput(filename, loader, diagnostics, result, error = undefined) {
+        if (error)
+            diagnostics.push({ detailLevel: LogDetailLevel.Error, message: `${error}`, error });
+        else if (!result)
+            diagnostics.push({ detailLevel: LogDetailLevel.Error, message: `Loader ${loader.name} could not transform ${filename}` });
+
+        return {
+            code: result ? result.code : false,
+            diagnostics,
+            filename,
+            loader: loader.name,
+            map: result && result.map || false,
+            success: !!result,
+            tree: result ? result.root : false
+        };
+    }
+
+    /**
+     * Get the schema used to validate the top level of the configuration.
+     * Loaders, builders, and generators declare their own schemas.
+     * @returns {KLF.IConfigSchema}
+     */
+    static getConfigSchema() {
+        const
+            filterList = { type: 'array', items: { type: ['string', 'regexp', 'function'] } },
+            componentMap = {
+                type: 'object',
+                additionalProperties: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        type: { type: 'function' },
+                        config: { type: ['object', 'boolean'] }
+                    }
+                }
+            };
+
+        return {
+            type: 'object',
+            properties: {
+                debug: { type: ['number', 'string'], enum: LogDetailLevel },
+                enabled: { type: 'boolean' },
+                exclude: filterList,
+                include: filterList,
+                onExclude: { type: 'function' },
+                onInclude: { type: 'function' },
+                failurePolicy: { type: 'string', enum: FailurePolicy },
+                cache: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        directory: { type: 'string' },
+                        maxSize: { type: 'number' },
+                        storeTokens: { type: 'boolean' }
+                    }
+                },
+                sourceMaps: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        inline: { type: 'boolean' },
+                        remapStackTraces: { type: 'boolean' }
+                    }
+                },
+                propagate: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        childProcesses: { type: 'boolean' },
+                        workers: { type: 'boolean' },
+                        forwardLogs: { type: 'boolean' }
+                    }
+                },
+                metrics: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        report: { type: ['boolean', 'string'], enum: [false, 'table', 'trace'] },
+                        reportFile: { type: 'string' }
+                    }
+                },
+                watch: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        debounce: { type: 'number' },
+                        persistent: { type: 'boolean' }
+                    }
+                },
+                logging: {
+                    type: 'object',
+                    properties: {
+                        sinks: { type: 'array', items: { type: ['object', 'function'] } },
+                        levels: { type: 'object', additionalProperties: { type: ['number', 'string'], enum: LogDetailLevel } }
+                    }
+                },
+                plugins: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        discover: { type: 'boolean' }
+                    }
+                },
+                klfPlugins: {
+                    type: 'array',
+                    items: {
+                        type: ['string', 'object'],
+                        properties: {
+                            name: { type: 'string' },
+                            enabled: { type: 'boolean' },
+                            order: { type: 'number' },
+                            options: { type: 'any' }
+                        }
+                    }
+                },
+                graph: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        deferred: { type: 'boolean' },
+                        chains: { type: 'number' }
+                    }
+                },
+                validation: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        strict: { type: 'boolean' }
+                    }
+                },
+                ast: {
+                    type: 'object',
+                    properties: {
+                        baseBuilderType: { type: 'function' },
+                        baseGeneratorType: { type: 'function' },
+                        builders: componentMap,
+                        generators: componentMap
+                    }
+                },
+                loaders: componentMap,
+                macros: componentMap
+            }
+        };
+    }
+
     /**
      * Get the default/startup configuration
      * @returns {Partial<KLF.IModuleManager>}
@@ -158,16 +663,296 @@ class ModuleManager extends EventEmitter {
             ],
             include: [
             ],
+            /** What happens when a loader cannot transform a module: 'fallback', 'warn', or 'strict'; Loaders may override this */
+            failurePolicy: FailurePolicy.Fallback,
+            cache: {
+                /** Store transformed output on disk */
+                enabled: false,
+                /** The directory entries are written to */
+                directory: path.join(process.cwd(), 'node_modules', '.cache', 'klf-require'),
+                /** Remove least recently used entries once the cache exceeds this many bytes; 0 = unlimited */
+                maxSize: 0,
+                /** Also store the flattened token list with each entry */
+                storeTokens: false
+            },
+            sourceMaps: {
+                /** Create a source map for each transformed module */
+                enabled: true,
+                /** Append the map to the compiled code as a sourceMappingURL comment */
+                inline: false,
+                /** Rewrite stack traces to point at the original source */
+                remapStackTraces: true
+            },
+            propagate: {
+                /** Pass the active configuration to new worker threads and child processes */
+                enabled: false,
+                /** Add the bootstrap script to NODE_OPTIONS so that child processes load it */
+                childProcesses: true,
+                /** Add the bootstrap script to workers created with worker_threads.Worker */
+                workers: true,
+                /** Send log messages from worker threads back to the main thread */
+                forwardLogs: true
+            },
+            metrics: {
+                /** Record timings for each module handled by the loaders and emit 'metrics' events */
+                enabled: false,
+                /** Write a report when the process exits: false, 'table', or 'trace' (Chrome trace-event JSON) */
+                report: false,
+                /** The file the report is written to; Tables are printed to the console if not set */
+                reportFile: undefined
+            },
+            graph: {
+                /** Record which module required which */
+                enabled: false,
+                /** Also record modules the loaders passed to the built-in handlers */
+                deferred: false,
+                /** The number of deepest require chains to report */
+                chains: 5
+            },
+            watch: {
+                /** Evict changed modules and their dependents from require.cache */
+                enabled: false,
+                /** Milliseconds to wait for writes to settle before reloading */
+                debounce: 100,
+                /** Keep the process alive while files are being watched */
+                persistent: false
+            },
+            logging: {
+                /** Where messages are written; Entries may be sink objects, callbacks, or { type: 'console' | 'file' | 'memory' } */
+                sinks: [{ type: 'console' }],
+                /** Thresholds for individual loaders, builders, and generators, e.g. { ExtensionLoaderJS: 'Verbose' } */
+                levels: {}
+            },
+            plugins: {
+                /** Register components from plugin packages when the manager starts */
+                enabled: true,
+                /** Also load packages named klf-require-plugin-* found in the project dependencies or node_modules */
+                discover: true
+            },
+            /** Plugin modules to load, as names, paths, or { name, enabled, order, options } */
+            klfPlugins: [],
+            validation: {
+                /** Check config changes against the schemas declared by each component */
+                enabled: true,
+                /** Reject changes that have problems instead of only reporting them */
+                strict: false
+            },
             ast: {},
-            loaders: {}
+            loaders: {},
+            /** Macros expanded by loaders that support them; Loaders may turn each macro on or off */
+            macros: {}
         };
 
         AstBuilder.enumerateBuiltinTypes(config);
         ExtensionLoader.enumerateBuiltinTypes(config);
+        MacroExpander.enumerateBuiltinTypes(config);
+
+        config.$schema = ModuleManager.getConfigSchema();
 
         return config;
     }
 
+    /**
+     * Find configuration outside of code.  Sources are merged in this order, with
+     * later sources overriding earlier ones:
+     * (1) the "klf" section of the nearest package.json,
+     * (2) klf.config.json next to the main module,
+     * (3) klf.config.js next to the main module,
+     * (4) KLF_* environment variables.
+     * Changes made with updateConfig() are applied on top of all of these.
+     * @param {string} directory The directory to search; Defaults to the main module directory
+     * @returns {Partial<KLF.IModuleManager>}
+     */
+    discoverConfig(directory = require.main ? path.dirname(require.main.filename) : process.cwd()) {
+        const readers = [
+            (config) => ConfigUtil.readPackageConfig(directory),
+            (config) => ConfigUtil.readConfigFiles(directory, config),
+            (config) => ConfigUtil.readEnvironmentConfig(process.env)
+        ];
+        let result = {};
+
+        this.configSources = [];
+        for (const reader of readers) {
+            try {
+                const { config, sources } = reader(ConfigUtil.mergeConfigs({}, this.settings, result));
+                result = ConfigUtil.mergeConfigs(result, config);
+                this.configSources.push(...sources);
+            }
+            catch (err) {
+                this.log(`Failed to read configuration: ${err}`, LogDetailLevel.Error, { error: err });
+            }
+        }
+        if (this.configSources.length > 0)
+            this.log(`Discovered configuration in ${this.configSources.join(', ')}`, LogDetailLevel.Debug);
+        return result;
+    }
+
+    /**
+     * Generate the finished source for a pipeline context
+     * @param {KLF.IPipelineContext} context The context the stages ran with
+     * @returns {KLF.ITransformResult}
+     */
+    generateOutput(context) {
+        const { code, map } = context.builder.generate({ sourceMap: this.settings.sourceMaps.enabled });
+        return { builder: context.builder, code, map, root: context.root };
+    }
+
+    /**
+     * Find the loader responsible for a file based on its extension
+     * @param {string} filename The module filename
+     * @param {boolean} esm If true, extensions that are only handled as ES modules also match
+     * @returns {KLF.IExtensionLoader | false}
+     */
+    getLoaderForFile(filename, esm = false) {
+        const ext = path.extname(filename);
+        for (const loader of Object.values(this.loaderInstances)) {
+            const extensions = esm ? [...loader.extensions, ...loader.moduleExtensions] : loader.extensions;
+            if (extensions.some(e => (e.charAt(0) === '.' ? e : '.' + e) === ext))
+                return loader;
+        }
+        return false;
+    }
+
+    /**
+     * Get the logging threshold for a component.  A component level takes
+     * precedence over the level of the loader it runs under, which takes
+     * precedence over the global debug level.
+     * @param {string?} component The component that logged the message
+     * @param {string?} loader The loader the component is running under
+     * @returns {KLF.LogDetailLevel}
+     */
+    getLogLevel(component = undefined, loader = undefined) {
+        if (component && component in this.logLevels)
+            return this.logLevels[component];
+        else if (loader && loader in this.logLevels)
+            return this.logLevels[loader];
+        return this.debug;
+    }
+
+    /**
+     * Get the enabled stages in a loader's pipeline
+     * @param {KLF.IExtensionLoader} loader The loader whose pipeline is run
+     * @returns {{ name: string, run: KLF.PipelineCallback, stage: KLF.PipelineComponent }[]}
+     */
+    getPipelineStages(loader) {
+        const result = [];
+
+        for (const stage of loader.pipeline) {
+            const
+                run = typeof stage === 'function' ? stage : stage && stage.run,
+                name = stage && stage.name || '(anonymous)';
+
+            if (typeof stage === 'object' && stage.enabled === false)
+                continue;
+            else if (typeof run !== 'function')
+                throw new Error(`Loader ${loader.name} has an invalid pipeline stage: ${name}`);
+            result.push({ name, run, stage });
+        }
+        return result;
+    }
+
+    /**
+     * Get the source map created for a transformed module, without sourcesContent
+     * @param {string} filename The module filename
+     * @returns {KLF.SourceMap | false}
+     */
+    getSourceMap(filename) {
+        return this.stackTraceMapper.getSourceMap(filename);
+    }
+
+    /**
+     * Create runtime instances of each configured loader and hook them into require()
+     * @returns {boolean} Returns true if any handlers were added to Module._extensions
+     */
+    install() {
+        const handlerCount = Object.keys(this.installedHandlers).length;
+
+        if (this.settings.sourceMaps.enabled && this.settings.sourceMaps.remapStackTraces)
+            this.installStackTraceHook();
+
+        this.createLoaders();
+        for (const loader of Object.values(this.loaderInstances)) {
+            this.configureLoader(loader);
+        }
+        return Object.keys(this.installedHandlers).length > handlerCount;
+    }
+
+    /** Are any of our handlers installed in Module._extensions? */
+    get installed() {
+        return Object.keys(this.installedHandlers).length > 0;
+    }
+
+    /**
+     * Install the Error.prepareStackTrace hook that remaps transformed modules
+     * @returns {boolean} Returns true if the hook was installed
+     */
+    installStackTraceHook() {
+        return this.stackTraceMapper.install();
+    }
+
+    /**
+     * Decide whether a loader should handle a file.  Rules are applied in this order:
+     * (1) a loader exclude rule skips the file,
+     * (2) a loader include rule handles the file, even if the manager excludes it,
+     * (3) a manager exclude rule skips the file,
+     * (4) a manager include rule handles the file,
+     * (5) if the manager or loader define include rules, unmatched files are skipped,
+     * (6) otherwise the file is handled.
+     * @param {string} filename The file being loaded
+     * @param {KLF.IExtensionLoader} loader The loader that would handle the file
+     * @returns {boolean} Returns true if the loader should handle the file
+     */
+    isIncluded(filename, loader) {
+        const { settings } = this;
+        /** @type {KLF.LoaderFilterMatch | false} */
+        let match = loader.matchFilters(filename);
+
+        if (!match) {
+            const excluded = FilterUtil.findMatch(settings.exclude, filename);
+            const included = typeof excluded === 'undefined' && FilterUtil.findMatch(settings.include, filename);
+
+            if (typeof excluded !== 'undefined')
+                match = { action: 'Exclude', filter: excluded, source: 'ModuleManager' };
+            else if (typeof included !== 'undefined')
+                match = { action: 'Include', filter: included, source: 'ModuleManager' };
+            else if (Array.isArray(settings.include) && settings.include.length > 0)
+                match = { action: 'Exclude', filter: false, source: 'ModuleManager' };
+            else if (loader.include.length > 0)
+                match = { action: 'Exclude', filter: false, source: loader.name };
+            else
+                return true;
+        }
+
+        const callbackName = match.action === 'Include' ? 'onInclude' : 'onExclude';
+
+        for (const callback of [loader[callbackName], settings[callbackName]]) {
+            if (typeof callback === 'function')
+                callback(filename, match.filter, match.action);
+        }
+
+        if (match.action === 'Exclude') {
+            const reason = match.filter === false
+                ? `it did not match any include rule defined by ${match.source}`
+                : `${match.source} exclude rule ${FilterUtil.describe(match.filter)} matched`;
+            loader.log(`Skipping ${filename}: ${reason}`, LogDetailLevel.Debug, { filename, filter: match.filter, source: match.source });
+            return false;
+        }
+        loader.log(`Including ${filename}: ${match.source} include rule ${FilterUtil.describe(match.filter)} matched`, LogDetailLevel.Verbose, { filename });
+        return true;
+    }
+
+    /**
+     * Would a message from a component be written to the sinks?  Use this to
+     * avoid building expensive messages.
+     * @param {KLF.LogDetailLevel} detailLevel The sensitivity of the message
+     * @param {string?} component The component that would log the message
+     * @param {string?} loader The loader the component is running under
+     * @returns {boolean}
+     */
+    isLogEnabled(detailLevel, component = undefined, loader = undefined) {
+        return this.getLogLevel(component, loader) >= detailLevel;
+    }
+
     /**
      * Check to see if the given type might be useful in our system
      * @param {any} type The type to inspect
@@ -195,40 +980,499 @@ class ModuleManager extends EventEmitter {
                 args = ignoreConfig;
             ignoreConfig = false;
         }
-        const debugLevel = DetailLevelString[detailLevel];
-        const output = `+[${debugLevel}]: ${message}`;
         /** @type {KLF.LogMessageEventArgs} */
         const logArgs = { detailLevel, message, args, timestamp: Date.now(), ...args };
 
-        if (this.debug >= detailLevel || ignoreConfig) {
-            console.log(output);
+        if (ignoreConfig || this.isLogEnabled(detailLevel, logArgs.component, logArgs.loader)) {
+            for (const sink of [...this.logSinks, ...this.addedLogSinks]) {
+                if (this.consoleOutput || !(sink instanceof ConsoleLogSink))
+                    sink.receive(logArgs);
+            }
         }
         if (typeof this.onLogMessage === 'function') {
-            this.onLogMessage.call(extConfig, logArgs);
+            this.onLogMessage.call(this, logArgs);
         }
         this.emit('logging', logArgs);
     }
+    /**
+     * Register module customization hooks so that ES modules are routed through
+     * the loaders.  The hooks run on their own thread using a copy of the current
+     * settings; Components that only exist as classes registered at runtime are
+     * not available there.
+     * @returns {boolean} Returns true if the hooks were registered
+     */
+    registerEsmHooks() {
+        if (typeof Module.register !== 'function') {
+            this.log(`ES module hooks require a NodeJS runtime that supports module.register(); Found ${process.version}`, LogDetailLevel.Warning);
+            return false;
+        }
+        else if (this.esmHooksRegistered)
+            return false;
+        //  Preloaded modules also run on the hooks thread itself
+        else if (!isMainThread) {
+            this.log('ES module hooks can only be registered from the main thread', LogDetailLevel.Debug);
+            return false;
+        }
+
+        const { port1, port2 } = new MessageChannel();
+
+        port1.on('message', ({ type, ...data }) => {
+            if (type === 'log')
+                this.log(`[esm] ${data.message}`, data.detailLevel, { component: data.component, loader: data.loader, filename: data.filename, position: data.position });
+            else if (type === 'sourceMap')
+                this.stackTraceMapper.addSourceMap(data.filename, data.map);
+            else if (type === 'failure')
+                this.failureTracker.record(data.failure);
+        });
+        port1.unref();
+
+        Module.register(pathToFileURL(path.join(__dirname, 'esm', 'hooks.mjs')), {
+            data: { config: ConfigUtil.toSerializable(this.settings), port: port2 },
+            transferList: [port2]
+        });
+        this.esmHooksRegistered = true;
+        this.esmHooksPort = port1;
+        this.configPropagator.apply();
+        this.log('Registered ES module hooks', LogDetailLevel.Debug);
+        return true;
+    }
+
+    /**
+     * Evict a module and every module that depends on it from require.cache,
+     * remove their transform cache entries and source maps, and emit a 'reloaded' event so that
+     * handlers can require entry points again.  The evicted modules are no
+     * longer watched until they are loaded again; Editors that save by
+     * renaming a new file over the old one leave a watcher on a file that no
+     * longer exists.
+     * @param {string} filename The module that changed
+     * @returns {string[]} The filenames of the evicted modules
+     */
+    reloadModule(filename) {
+        const modules = ModuleWatcher.findDependents(filename).filter(id => id in require.cache);
+
+        for (const id of modules) {
+            delete require.cache[id];
+            this.moduleWatcher.unwatch(id);
+            this.stackTraceMapper.removeSourceMap(id);
+        }
+        if (this.transformCache.enabled)
+            this.transformCache.purge(entry => modules.includes(entry.filename));
+
+        this.log(`Reloading ${filename}; Evicted ${modules.length} module(s) from require.cache`, LogDetailLevel.Debug, { filename });
+        this.emit('reloaded', { filename, modules });
+        return modules;
+    }
+
+    /**
+     * Remove one of our Module._extensions handlers and restore the one it replaced
+     * @param {string} key The extension the handler was installed for
+     */
+    removeHandler(key) {
+        const { loader, handler } = this.installedHandlers[key];
+
+        if (Module._extensions[key] !== handler)
+            this.log(`Module._extensions[${key}] was replaced after ${loader.name} was installed; Leaving it in place`, LogDetailLevel.Warning, { loader });
+        else if (key in loader.fallbackLoaders)
+            Module._extensions[key] = loader.fallbackLoaders[key];
+        else
+            delete Module._extensions[key];
+
+        delete loader.fallbackLoaders[key];
+        delete this.installedHandlers[key];
+    }
+
+    /**
+     * Remove a sink added with addLogSink()
+     * @param {LogSink} sink The sink to remove
+     * @returns {boolean} Returns true if the sink was removed
+     */
+    removeLogSink(sink) {
+        const index = this.addedLogSinks.indexOf(sink);
+
+        if (index > -1)
+            this.addedLogSinks.splice(index, 1);
+        return index > -1;
+    }
+
+    /**
+     * Put back the Module._extensions handlers that were installed when a snapshot was taken
+     * @param {Object.<string,{ loader: KLF.IExtensionLoader, handler: Function }>} previous The handlers to restore
+     */
+    restoreHandlers(previous) {
+        for (const key of Object.keys(this.installedHandlers)) {
+            if (this.installedHandlers[key] !== previous[key])
+                this.removeHandler(key);
+        }
+        for (const [key, entry] of Object.entries(previous)) {
+            if (this.installedHandlers[key] !== entry) {
+                Module._extensions[key] = entry.handler;
+                this.installedHandlers[key] = entry;
+            }
+        }
+    }
+
+    /**
+     * Roll back to the state captured by createSnapshot()
+     * @param {KLF.IManagerSnapshot} snapshot The state to restore
+     */
+    restoreSnapshot(snapshot) {
+        const { settings, debug, logSinks, logLevels, loaderInstances } = snapshot;
+
+        Object.assign(this, { settings, debug, logSinks, logLevels, loaderInstances: { ...loaderInstances } });
+
+        for (const [loader, state] of snapshot.loaderStates) {
+            for (const key of Object.keys(loader)) {
+                if (!(key in state))
+                    delete loader[key];
+            }
+            Object.assign(loader, state);
+        }
+        this.restoreHandlers(snapshot.installedHandlers);
+
+        if (snapshot.stackTraceHook && !this.stackTraceMapper.installed)
+            this.installStackTraceHook();
+        else if (!snapshot.stackTraceHook && this.stackTraceMapper.installed)
+            this.uninstallStackTraceHook();
+        for (const filename of snapshot.watchedFiles) {
+            this.moduleWatcher.watch(filename);
+        }
+        this.configPropagator.apply();
+    }
+
+    /**
+     * Find the loader to use for a programmatic transform
+     * @param {KLF.ITransformOptions} options The transform options
+     * @returns {KLF.IExtensionLoader}
+     */
+    resolveTransformLoader(options) {
+        const { filename, loader } = options;
+
+        this.createLoaders();
+        if (loader instanceof ExtensionLoader)
+            return loader;
+        else if (typeof loader === 'string') {
+            if (loader in this.loaderInstances)
+                return this.loaderInstances[loader];
+            throw new Error(`Bad argument to transform(); Loader ${loader} does not exist or is disabled`);
+        }
+        const result = this.getLoaderForFile(filename, true);
+        if (!result)
+            throw new Error(`Bad argument to transform(); No loader handles ${filename}`);
+        return result;
+    }
+
     /**
      * Run module code through the pipeline and return the finished source to Node
      * @param {string} filename The filename of the module being loaded
      * @param {string} source The source text read in from the filename
+     * @param {KLF.IExtensionLoader} loader The loader handling the module
+     * @param {Module?} module The module being loaded, if any
      * @returns {string | false} Returns the modified source or false if the parsing failed
      */
-    runPipeline(filename, source) {
+    runPipeline(filename, source, loader, module = undefined) {
+        const
+            cache = this.transformCache,
+            cacheKey = cache.enabled && cache.createKey(filename, source, loader);
+
+        if (cacheKey) {
+            const entry = this.loadProfiler.measure('cache', () => cache.get(cacheKey.key));
+            if (entry) {
+                this.loadProfiler.note({ cache: 'hit' });
+                loader.log(`Using cached transform of ${filename}`, LogDetailLevel.Verbose, { filename });
+                if (entry.map) {
+                    this.stackTraceMapper.addSourceMap(filename, entry.map);
+                    this.emit('sourceMap', { filename, map: entry.map });
+                }
+                return entry.code;
+            }
+        }
+
+        const result = this.transformSource(filename, source, loader, module);
+
+        if (!result)
+            return false;
+
+        const { sourceMaps } = this.settings;
+        const { builder, code, map } = result;
+        const finalCode = map && sourceMaps.inline ? `${code}\n${SourceMapUtil.toInlineComment(map)}` : code;
+
+        if (map) {
+            this.stackTraceMapper.addSourceMap(filename, map);
+            this.emit('sourceMap', { filename, map });
+        }
+
+        if (cacheKey) {
+            cache.set(cacheKey.key, {
+                filename,
+                loader: loader.name,
+                loaderVersion: loader.version,
+                configHash: cacheKey.configHash,
+                sourceHash: cacheKey.sourceHash,
+                code: finalCode,
+                map,
+                tokens: cache.settings.storeTokens
+                    ? builder.allTokens.map(({ index, tokenName, raw, replacement, start, end }) => ({ index, type: tokenName, raw, replacement, start, end }))
+                    : undefined
+            });
+        }
+        return finalCode;
+    }
+
+    /**
+     * Prepare a programmatic transform and start collecting diagnostics.  Warnings
+     * and errors logged for other files while the transform runs are ignored.
+     * @param {string} source The source text to transform
+     * @param {KLF.ITransformOptions} options The transform options
+     * @returns {{ filename: string, loader: KLF.IExtensionLoader, diagnostics: KLF.ITransformDiagnostic[], stop: () => void }}
+     */
+    startTransform(source, options) {
+        if (typeof source !== 'string')
+            throw new Error(`Bad argument 1 to transform(); Expected string, but got ${typeof source}`);
+
+        const
+            filename = options.filename || '<anonymous>.js',
+            loader = this.resolveTransformLoader({ ...options, filename }),
+            diagnostics = [];
+
+        /** @param {KLF.LogMessageEventArgs} entry */
+        const listener = (entry) => {
+            if (entry.detailLevel > LogDetailLevel.Warning)
+                return;
+            else if (typeof entry.filename === 'string' && entry.filename !== filename)
+                return;
+            diagnostics.push({ detailLevel: entry.detailLevel, message: entry.message, error: entry.error });
+        };
+
+        this.on('logging', listener);
+        return { filename, loader, diagnostics, stop: () => this.off('logging', listener) };
+    }
+
+    /**
+     * Transform source text without hooking require() or using the transform cache
+     * @param {string} source The source text to transform
+     * @param {KLF.ITransformOptions} options The filename and, optionally, the loader to use
+     * @returns {KLF.ITransformOutput}
+     */
+    transform(source, options = {}) {
+        const { filename, loader, diagnostics, stop } = this.startTransform(source, options);
+
+        try {
+            return this.createTransformOutput(filename, loader, diagnostics, this.transformSource(filename, source, loader));
+        }
+        catch (error) {
+            return this.createTransformOutput(filename, loader, diagnostics, false, error);
+        }
+        finally {
+            stop();
+        }
+    }
+
+    /**
+     * Transform source text without hooking require(); Pipeline stages may return promises
+     * @param {string} source The source text to transform
+     * @param {KLF.ITransformOptions} options The filename and, optionally, the loader to use
+     * @returns {Promise<KLF.ITransformOutput>} Rejects if the arguments are invalid or the loader is unknown
+     */
+    transformAsync(source, options = {}) {
+        let started;
+
+        try {
+            started = this.startTransform(source, options);
+        }
+        catch (error) {
+            return Promise.reject(error);
+        }
+
+        const { filename, loader, diagnostics, stop } = started;
+
+        return this.transformSourceAsync(filename, source, loader)
+            .then(result => this.createTransformOutput(filename, loader, diagnostics, result))
+            .catch(error => this.createTransformOutput(filename, loader, diagnostics, false, error))
+            .finally(stop);
+    }
+
+    /**
+     * Tokenize source, run the loader pipeline, and generate the result
+     * @param {string} filename The module filename
+     * @param {string} source The original source text
+     * @param {KLF.IExtensionLoader} loader The loader handling the module
+     * @param {Module?} module The module being loaded, if any
+     * @returns {KLF.ITransformResult | false} Returns false if the module could not be transformed
+     */
+    transformSource(filename, source, loader, module = undefined) {
+        const
+            profiler = this.loadProfiler,
+            context = profiler.measure('tokenize', () => this.createPipelineContext(filename, source, loader, module));
+
+        if (!context)
+            return false;
+
+        profiler.note({ tokenCount: context.builder.allTokens.length });
+        for (const entry of this.getPipelineStages(loader)) {
+            loader.log(`Running pipeline stage ${entry.name} on ${filename}`, LogDetailLevel.Verbose, { filename });
+
+            const result = profiler.measure('pipeline', () => entry.run.call(entry.stage, context.root, context), entry.name);
+
+            if (result && typeof result.then === 'function')
+                throw new Error(`Pipeline stage ${entry.name} returned a promise; Use transformAsync() for asynchronous stages`);
+            else if (!this.checkStageResult(entry, context, result))
+                return false;
+        }
+        return profiler.measure('generate', () => this.generateOutput(context));
+    }
+
+    /**
+     * Tokenize source, run the loader pipeline, and generate the result; Stages may return promises
+     * @param {string} filename The module filename
+     * @param {string} source The original source text
+     * @param {KLF.IExtensionLoader} loader The loader handling the module
+     * @returns {Promise<KLF.ITransformResult | false>} Resolves to false if the module could not be transformed
+     */
+    transformSourceAsync(filename, source, loader) {
+        let context;
+
+        try {
+            context = this.createPipelineContext(filename, source, loader);
+        }
+        catch (error) {
+            return Promise.reject(error);
+        }
+        if (!context)
+            return Promise.resolve(false);
+
+        const runStages = (stages) => {
+            if (stages.length === 0)
+                return Promise.resolve(this.generateOutput(context));
+
+            const [entry, ...rest] = stages;
+
+            loader.log(`Running pipeline stage ${entry.name} on ${filename}`, LogDetailLevel.Verbose, { filename });
+
+            return Promise.resolve(entry.run.call(entry.stage, context.root, context))
+                .then(result => this.checkStageResult(entry, context, result) ? runStages(rest) : false);
+        };
+        return Promise.resolve(this.getPipelineStages(loader)).then(runStages);
+    }
+
+    /**
+     * Remove our handlers from Module._extensions and restore the handlers that
+     * were there before, as recorded in each loader's fallbackLoaders.  Extensions
+     * that Node did not know about are removed again.  ES module hooks cannot be
+     * unregistered and remain in place.  Handlers of loaders with an enabled
+     * sandbox stay in place so that sandboxed modules are refused rather than
+     * run in the main realm by the built-in handler.
+     * @returns {boolean} Returns true if any handlers were removed
+     */
+    uninstall() {
+        const entries = Object.entries(this.installedHandlers).filter(([, { loader }]) => loader.sandbox.settings.enabled !== true);
+
+        for (const [key] of entries) {
+            this.removeHandler(key);
+        }
+        this.uninstallStackTraceHook();
+        this.moduleWatcher.close();
 
+        if (entries.length > 0)
+            this.log(`Restored original handlers for ${entries.map(([key]) => key).join(', ')}`, LogDetailLevel.Debug);
+        return entries.length > 0;
+    }
+
+    /**
+     * Remove the Error.prepareStackTrace hook and restore the previous handler
+     * @returns {boolean} Returns true if the hook was removed
+     */
+    uninstallStackTraceHook() {
+        return this.stackTraceMapper.uninstall();
+    }
+
+    /**
+     * Check a config against the top-level schema and the schema each loader,
+     * builder, and generator declares.  Components without a schema are not checked.
+     * @param {Partial<KLF.IModuleManager>} config The config to check
+     * @returns {KLF.IConfigProblem[]} Every problem found, with the path of the offending setting
+     */
+    validateConfig(config = this.settings) {
+        const
+            problems = SchemaUtil.validate(config, config.$schema),
+            collections = {
+                'loaders': config.loaders,
+                'ast.builders': config.ast && config.ast.builders,
+                'ast.generators': config.ast && config.ast.generators
+            };
+
+        for (const [prefix, entries] of Object.entries(collections)) {
+            for (const [id, entry] of Object.entries(entries || {})) {
+                if (entry && entry.config && typeof entry.config === 'object')
+                    problems.push(...SchemaUtil.validate(entry.config, entry.config.$schema, `${prefix}.${id}`));
+            }
+        }
+        return problems;
     }
 }
 
 const manager = new ModuleManager(ModuleManager.getDefaultConfig());
 
+manager.applyConfigChange(manager.discoverConfig());
+
 class ModuleManagerSafeWrapper extends EventEmitter {
     constructor() {
         super();
+
+        /** The number of withLoaders() calls that have not finished */
+        this.loaderScopes = 0;
+
+        /** The enabled setting before the outermost withLoaders() call */
+        this.enabledBeforeScopes = false;
     }
 
+    /** The combined size of all transform cache entries, in bytes */
+    get cacheSize() { return manager.transformCache.size; }
+
     get enabled() { return manager.settings.enabled; }
 
-    set enabled(flag) { manager.settings.enabled = flag === true; }
+    set enabled(flag) {
+        if (flag === true)
+            this.install();
+        else
+            this.uninstall();
+    }
+
+    /** Are the require() hooks currently installed? */
+    get installed() { return manager.installed; }
+
+    /**
+     * Add a log sink that stays in place when the configuration changes
+     * @param {KLF.LogSinkSpec} spec A sink instance, callback, or config object
+     * @returns {KLF.ILogSink} The sink that was added
+     */
+    addLogSink(spec) {
+        return manager.addLogSink(spec);
+    }
+
+    /**
+     * Define a macro that loaders replace where it is read as a value.  The expander
+     * receives the identifier token, the tokenizer context, the filename, and
+     * the builder, followed by the parsed arguments if the macro is called
+     * like a function, and returns source text or tokens.  Throwing or returning
+     * undefined fails the transform of the module.
+     * @param {string} name The identifier the macro replaces, e.g. __env
+     * @param {KLF.MacroExpanderCallback} expander Creates the replacement
+     * @returns Reference to this object
+     */
+    defineMacro(name, expander) {
+        manager.componentRegistry.defineMacro(name, expander);
+        return this;
+    }
+
+    /**
+     * Export the modules recorded so far and the require() calls between them
+     * @param {'json' | 'dot' | 'mermaid'} format The output format
+     * @param {string?} relativeTo Labels in DOT and Mermaid output are relative to this directory; Defaults to the working directory
+     * @returns {string}
+     */
+    exportDependencyGraph(format = 'json', relativeTo = undefined) {
+        return manager.dependencyGraph.export(format, relativeTo);
+    }
 
     /**
      * Hook for extending component types
@@ -248,12 +1492,156 @@ class ModuleManagerSafeWrapper extends EventEmitter {
         return this;
     }
 
+    /**
+     * Get the timings recorded for the latest load of each module handled by the loaders
+     * @returns {KLF.IMetricsEventArgs[]}
+     */
+    getMetrics() {
+        return [...manager.loadProfiler.records.values()].map(record => LoadProfiler.toEventArgs(record));
+    }
+
+    /**
+     * Get a registered component
+     * @param {string} name The name the component is registered under, its type name, or an alias
+     * @returns {KLF.IComponentInfo | undefined}
+     */
+    getComponent(name) {
+        return manager.componentRegistry.get(name);
+    }
+
+    /**
+     * Get the modules recorded so far, the require() calls between them, and any cycles
+     * @returns {KLF.IDependencyGraph}
+     */
+    getDependencyGraph() {
+        return manager.dependencyGraph.create();
+    }
+
+    /**
+     * Get the modules the loaders could not transform
+     * @returns {KLF.ILoadFailure[]}
+     */
+    getLoadFailures() {
+        return manager.failureTracker.failures.map(failure => ({ ...failure }));
+    }
+
+    /**
+     * Get the plugins that were found, including those that were skipped or failed to load
+     * @returns {KLF.IPluginInfo[]}
+     */
+    getPlugins() {
+        return manager.pluginLoader.plugins.map(plugin => ({ ...plugin, components: plugin.components.slice(0) }));
+    }
+
+    /**
+     * Get the source map created for a transformed module, without sourcesContent
+     * @param {string} filename The module filename
+     * @returns {KLF.SourceMap | false}
+     */
+    getSourceMap(filename) {
+        return manager.getSourceMap(filename);
+    }
+
+    /**
+     * List the entries in the transform cache
+     * @returns {KLF.ITransformCacheEntryInfo[]}
+     */
+    inspectCache() {
+        return manager.transformCache.inspect();
+    }
+
+    /**
+     * Enable the loaders and hook them into require()
+     * @returns {boolean} Returns true if any handlers were added to Module._extensions
+     */
+    install() {
+        const handlerCount = Object.keys(manager.installedHandlers).length;
+
+        //  A config change lets listeners, workers, and the ES module hooks know
+        if (manager.settings.enabled !== true)
+            manager.applyConfigChange({ enabled: true });
+        else
+            manager.install();
+        return Object.keys(manager.installedHandlers).length > handlerCount;
+    }
+
+    /**
+     * Install the Error.prepareStackTrace hook that remaps transformed modules
+     * @returns {boolean}
+     */
+    installStackTraceHook() {
+        return manager.installStackTraceHook();
+    }
+
+    /**
+     * List the registered loaders, builders, generators, and macros
+     * @param {KLF.ComponentKind?} kind If set, only components of this kind are listed
+     * @returns {KLF.IComponentInfo[]}
+     */
+    listComponents(kind = undefined) {
+        return manager.componentRegistry.list(kind);
+    }
+
+    /**
+     * Load plugins that were not found when the manager started
+     * @param {string?} directory The directory to search from; Defaults to the main module directory
+     * @returns {KLF.IPluginInfo[]} The plugins processed by this call
+     */
+    loadPlugins(directory = undefined) {
+        return manager.pluginLoader.loadPlugins(this, directory);
+    }
+
     log(...args) {
         return manager.log(...args);
     }
 
     on(...args) {
-        this.on(...args);
+        manager.on(...args);
+        return this;
+    }
+
+    /**
+     * Remove least recently used cache entries until the cache fits in the size limit
+     * @param {number?} maxSize The size limit in bytes; Defaults to the configured limit
+     * @returns {number} The number of entries removed
+     */
+    pruneCache(maxSize = undefined) {
+        return manager.transformCache.prune(maxSize);
+    }
+
+    /**
+     * Remove entries from the transform cache
+     * @param {string | ((entry: KLF.ITransformCacheEntryInfo) => boolean)} filter Optional module filename or predicate; Removes everything if omitted
+     * @returns {number} The number of entries removed
+     */
+    purgeCache(filter = undefined) {
+        return manager.transformCache.purge(filter);
+    }
+
+    /**
+     * Evict a module and its dependents from require.cache as if the file had changed
+     * @param {string} filename The module to reload
+     * @returns {string[]} The filenames of the evicted modules
+     */
+    reload(filename) {
+        return manager.reloadModule(filename);
+    }
+
+    /**
+     * Remove a sink added with addLogSink()
+     * @param {LogSink} sink The sink to remove
+     * @returns {boolean} Returns true if the sink was removed
+     */
+    removeLogSink(sink) {
+        return manager.removeLogSink(sink);
+    }
+
+    /**
+     * Route ES modules through the loaders using module customization hooks
+     * @returns {boolean} Returns true if the hooks were registered
+     */
+    registerEsmHooks() {
+        return manager.registerEsmHooks();
     }
 
     /**
@@ -263,54 +1651,60 @@ class ModuleManagerSafeWrapper extends EventEmitter {
      * @returns Reference to this object
      */
     registerComponent(type, altName) {
-        if (manager.isUsefulComponent(type)) {
-            const parentTypeName = ObjectUtil.parentClassName(type);
-            const altTypeName = typeof altName === 'string' && altName.trim();
-            /** @type {KLF.IComponentEntry} */
-            const existingParentDef = parentTypeName in manager.components && manager.components[parentTypeName];
-            const existingNamedDef = type.name in manager.components && manager.components[type.name];
-            /** @type {KLF.IComponentEntry} */
-            const newEntry = {
-                type,
-                name: type.name,
-                config: { ...(typeof type.getDefaultConfig === 'function' && type.getDefaultConfig(manager.settings) || {}) }
-            };
+        manager.componentRegistry.register(type, altName);
+        return this;
+    }
 
-            if (false === type.name in manager.components) {
-                manager.components[type.name] = type;
-            }
-            if (existingParentDef) {
-                manager.components[parentTypeName] = type;
-            }
-            if (altTypeName && altTypeName !== type.name)
-                manager.components[altTypeName] = type;
-
-            const updateTypeInfo = (targetConfig, newEntry) => {
-                if (existingParentDef) {
-                    const existingConfig = targetConfig[parentTypeName] || {};
-                    if (false === type.prototype instanceof existingParentDef)
-                        this.log(`registerComponent: Cannot redefine ${type.name} since it does not inherit from the existing type`,
-                            LogDetailLevel.Warning,
-                            { existingType: existingParentDef.type, newType: type });
-                    else if (existingNamedDef && false === type.prototype instanceof existingNamedDef)
-                        this.log(`registerComponent: Cannot redefine ${type.name} since it does not inherit from the existing type`,
-                            LogDetailLevel.Warning,
-                            { existingType: existingParentDef.type, newType: type });
-                    else
-                        targetConfig[parentTypeName] = { ...existingConfig, ...newEntry };
-                }
-                else
-                    targetConfig[type.name] = newEntry;
-            };
+    /**
+     * Run source text through a loader pipeline without hooking require().  The
+     * loader is chosen by name or by the extension of the filename.
+     * @param {string} source The source text to transform
+     * @param {KLF.ITransformOptions} options The filename and, optionally, the loader to use
+     * @returns {KLF.ITransformOutput}
+     */
+    transform(source, options = {}) {
+        return manager.transform(source, options);
+    }
 
-            if (type.prototype instanceof GeneratorBase)
-                updateTypeInfo(manager.settings.ast.generators, newEntry);
-            else if (type.prototype instanceof AstBuilder)
-                updateTypeInfo(manager.settings.ast.builders, newEntry);
-            else if (type.prototype instanceof ExtensionLoader)
-                updateTypeInfo(manager.loaders, newEntry);
-            return this;
-        }
+    /**
+     * Run source text through a loader pipeline; Pipeline stages may return promises
+     * @param {string} source The source text to transform
+     * @param {KLF.ITransformOptions} options The filename and, optionally, the loader to use
+     * @returns {Promise<KLF.ITransformOutput>}
+     */
+    transformAsync(source, options = {}) {
+        return manager.transformAsync(source, options);
+    }
+
+    /**
+     * Disable the loaders and restore the original Module._extensions handlers
+     * @returns {boolean} Returns true if any handlers were removed
+     */
+    uninstall() {
+        const handlerCount = Object.keys(manager.installedHandlers).length;
+
+        if (manager.settings.enabled !== false)
+            manager.applyConfigChange({ enabled: false });
+        else
+            manager.uninstall();
+        return Object.keys(manager.installedHandlers).length < handlerCount;
+    }
+
+    /**
+     * Remove the Error.prepareStackTrace hook and restore the previous handler
+     * @returns {boolean}
+     */
+    uninstallStackTraceHook() {
+        return manager.uninstallStackTraceHook();
+    }
+
+    /**
+     * Remove a component.  If it replaced its parent type, the parent is restored.
+     * @param {string} name The name the component is registered under, its type name, or an alias
+     * @returns {boolean} Returns true if a component was removed
+     */
+    unregisterComponent(name) {
+        return manager.componentRegistry.unregister(name);
     }
 
     /**
@@ -319,10 +1713,69 @@ class ModuleManagerSafeWrapper extends EventEmitter {
      * @returns 
      */
     updateConfig(callback) {
-        const newConfig = callback(manager.settings, { LogDetailLevel });
-        if (typeof newConfig === 'object') {
-            manager.applyConfigChange(newConfig);
+        //  The callback may either modify the copy in place or return changes
+        const draft = ConfigUtil.mergeConfigs({}, manager.settings);
+        const newConfig = callback(draft, { LogDetailLevel });
+
+        if (!manager.applyConfigChange(typeof newConfig === 'object' ? newConfig : draft) && manager.lastValidation.rejected) {
+            const { problems } = manager.lastValidation,
+                error = new Error(`Configuration update rejected: ${problems.map(problem => `${problem.path}: ${problem.message}`).join('; ')}`);
+
+            error.problems = problems;
+            throw error;
         }
+        return this;
+    }
+
+    /**
+     * Check the active config, or the result of applying changes to it, without applying anything
+     * @param {Partial<KLF.IModuleManager>?} changes Changes to check against the active config
+     * @returns {KLF.IConfigProblem[]} Every problem found, with the path of the offending setting
+     */
+    validateConfig(changes = undefined) {
+        return manager.validateConfig(changes ? ConfigUtil.mergeConfigs({}, manager.settings, changes) : manager.settings);
+    }
+
+    /**
+     * Write a profiling report for the modules loaded so far
+     * @param {'table' | 'trace'} format The report format; Defaults to the configured format
+     * @param {string?} filename The file to write; Tables are printed to the console if not set
+     * @returns {string | false} The file written, or false if the report was printed
+     */
+    writeMetricsReport(format = undefined, filename = undefined) {
+        return manager.loadProfiler.writeReport(format, filename);
+    }
+
+    /**
+     * Install the loaders only while a callback runs.  If the callback returns a
+     * promise, the loaders stay installed until it settles.  The previous state
+     * is restored once every overlapping call has finished.
+     * @template T
+     * @param {() => T} callback The code to run with the loaders installed
+     * @returns {T} The callback result
+     */
+    withLoaders(callback) {
+        //  Only the last call to finish restores the state, so one caller cannot uninstall the loaders another is using
+        if (this.loaderScopes++ === 0)
+            this.enabledBeforeScopes = manager.settings.enabled === true;
+        const restore = () => {
+            if (--this.loaderScopes === 0 && !this.enabledBeforeScopes)
+                this.uninstall();
+        };
+        let result;
+
+        try {
+            this.install();
+            result = callback();
+        }
+        catch (err) {
+            restore();
+            throw err;
+        }
+        if (result && typeof result.then === 'function')
+            return Promise.resolve(result).finally(restore);
+        restore();
+        return result;
     }
 }
 
@@ -335,3 +1788,6 @@ module.exports = {
     ModuleManagerWrapper: wrapper
 };
 
+//  Plugins receive the wrapper, so they are loaded once it exists
+manager.pluginLoader.loadPlugins(wrapper);
+
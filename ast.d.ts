@@ -52,6 +52,9 @@ declare module 'ast' {
                 /** Update position and finish/validate the token */
                 endToken(token: TTokenType): TTokenType;
 
+                /** Print the tokens back out as source code */
+                generate(): GeneratedSource;
+
                 /**
                  * Get a token provider by enum value/ID
                  * @param tokenType The type of provider we want
@@ -120,8 +123,8 @@ declare module 'ast' {
                 /** Remove a provider... good for single-use providers like global */
                 removeProvider(provider: IAstGenerator<TTokenType>): boolean;
 
-                /** Tokenize the source code */
-                tokenize(): TTokenType;
+                /** Tokenize the source code; Returns false if the source could not be fully tokenized */
+                tokenize(): TTokenType | false;
 
                 /** Token providers mapped by name */
                 readonly tokenProviders: Map<string, IAstGenerator<TTokenType>>;
@@ -146,9 +149,27 @@ declare module 'ast' {
                 /** Child tokens */
                 children?: IToken[];
 
+                /** The name of the class a class keyword starts, if known */
+                className?: string;
+
+                /** Set when the token was replaced by a defined value */
+                defined?: boolean;
+
                 /** Where this token ended within its source document */
                 end: SourcePosition;
 
+                /** The flags of a regular expression literal, e.g. gi */
+                flags?: string;
+
+                /** The name of the function a function keyword starts, if known */
+                functionName?: string;
+
+                /** The parsed arguments when a function-style macro is called */
+                macroArgs?: IMacroArgument[];
+
+                /** The tokenizer context at a macro, recorded for the stage that expands it */
+                macroContext?: ITokenizerContext;
+
                 /** Indicates the order in which the token was created */
                 index: number;
 
@@ -158,6 +179,12 @@ declare module 'ast' {
                 /** Identifier name */
                 name?: string;
 
+                /** The pattern of a regular expression literal, without its slashes */
+                pattern?: string;
+
+                /** Set when the token was removed, e.g. by folding a branch that cannot run */
+                removed?: boolean;
+
                 /** Where this token starts within its source document */
                 start: SourcePosition;
 
@@ -170,6 +197,9 @@ declare module 'ast' {
                 /** The raw source from the defining file */
                 raw: string;
 
+                /** Text emitted in place of raw during code generation */
+                replacement?: string;
+
                 /** The superclass token, if any */
                 superClass?: IToken;
 
@@ -203,6 +233,14 @@ declare module 'ast' {
                 /** The friendly name of this component */
                 name: string;
 
+                /**
+                 * Called before the loader re-creates its providers for a new configuration
+                 * @param change The pending change
+                 * @param loader The loader this provider belongs to
+                 * @returns False to reject the change
+                 */
+                onConfigChange?(change: IConfigChange, loader: IExtensionLoader): boolean;
+
                 /** Value used when sorting this provider with other providers */
                 weight: number;
 
@@ -211,6 +249,10 @@ declare module 'ast' {
             }
 
             export interface ITokenizerContext {
+                /** Is the scope waiting for the curly brace that starts its body? */
+                awaitingBody?: boolean;
+                /** Are we directly inside a class body? */
+                classBody?: boolean;
                 /** The next, non-whitespace tokens to expect */
                 expect?: TokenType[];
                 /** Are we an annonymous function? */
@@ -221,6 +263,10 @@ declare module 'ast' {
                 inAssignment: boolean;
                 /** Are we parsing function parameters? */
                 inParameterList: boolean;
+                /** Does a closing curly brace end this context? */
+                opened?: boolean;
+                /** The number of open parentheses when the context started */
+                parenDepth?: number;
                 /** The DOM scope */
                 scope: TokenizerScope;
                 /** Native variables in the current scope */
@@ -237,6 +283,14 @@ declare module 'ast' {
 
             //#region AST type definitions
 
+            /** The output of the code generator */
+            export type GeneratedSource = {
+                /** The generated source code */
+                code: string,
+                /** A source map relating the generated code to the original */
+                map?: SourceMap
+            };
+
             /** The result type returned by AST generators */
             export type NextTokenResult<TTokenType> = boolean | { nextToken?: TTokenType[], token: TTokenType };
 
@@ -250,6 +304,22 @@ declare module 'ast' {
                 col: number
             };
 
+            /** How an identifier is used where it appears */
+            export enum IdentifierRole {
+                /** Declares a name, e.g. a variable, parameter, function, or import */
+                Binding = 'binding',
+                /** Names a property, class member, or label, or is used as a keyword, e.g. async */
+                Key = 'key',
+                /** A shorthand property in an object literal, e.g. { name } */
+                Shorthand = 'shorthand',
+                /** Receives a value, e.g. name = 1 or name++ */
+                Target = 'target',
+                /** The position could not be classified */
+                Unknown = 'unknown',
+                /** Reads the variable */
+                Value = 'value'
+            }
+
             /** A tokenizer scope */
             export enum TokenizerScope {
                 ArrowFunction,
@@ -297,10 +367,14 @@ declare module 'ast' {
                 Paranthesis,
                 /** Raw text... no parsing */
                 RawText,
+                /** A regular expression literal, e.g. /\d+/g */
+                RegExp,
                 /** A reserved word: for, while, etc */
                 ReservedWord,
                 /** An end of statement token */
                 Semicolon,
+                /** A quoted string or template literal */
+                String,
                 /** Some whitespace */
                 Whitespace
             }
@@ -9,6 +9,9 @@
 
 const
     GeneratorBase = require('./generators/GeneratorBase'),
+    Token = require('./Token'),
+    SourceMapUtil = require('../util/SourceMapUtil'),
+    { LogDetailLevel, TokenType } = require('../Constants'),
     events = require('events'),
     path = require('path'),
     fs = require('fs');
@@ -143,6 +146,51 @@ class AstBuilder extends events.EventEmitter {
         return token;
     }
 
+    /**
+     * Print the tokens back out as source code.  Tokens with a replacement
+     * value emit that value instead of their raw source text.
+     * @param {{ sourceMap?: boolean }} options Set sourceMap to false to skip creating a map
+     * @returns {KLF.GeneratedSource}
+     */
+    generate(options = {}) {
+        const
+            chunks = [],
+            createMap = options.sourceMap !== false,
+            /** @type {KLF.SourceMapSegment[][]} */
+            lines = [[]];
+        let col = 0;
+
+        for (const token of this.allTokens) {
+            const isReplaced = typeof token.replacement === 'string',
+                output = isReplaced ? token.replacement : token.raw;
+
+            if (output.length === 0)
+                continue;
+            chunks.push(output);
+            if (!createMap)
+                continue;
+
+            //  Whitespace does not need to map back to anything
+            if (token.type !== TokenType.Whitespace && token.start)
+                lines[lines.length - 1].push([col, 0, token.start.line, token.start.col]);
+
+            const outputLines = output.split('\n');
+            for (let i = 1; i < outputLines.length; i++) {
+                lines.push([]);
+                //  Unmodified tokens span the same lines in the original source
+                if (!isReplaced && token.type !== TokenType.Whitespace && token.start && outputLines[i].length > 0)
+                    lines[lines.length - 1].push([0, 0, token.start.line + i, 0]);
+            }
+            col = outputLines.length > 1
+                ? outputLines[outputLines.length - 1].length
+                : col + output.length;
+        }
+        const code = chunks.join('');
+        return createMap
+            ? { code, map: SourceMapUtil.createSourceMap(this.filename, this.source, lines) }
+            : { code };
+    }
+
     /**
      * Get all known AST generators
      * @param {Partial<KLF.IModuleManager>} config The configuration being built
@@ -256,7 +304,7 @@ class AstBuilder extends events.EventEmitter {
      * @param logData Additional logging information
      */
     log(message, detailLevel, logData = {}) {
-        this.loader.log(message, detailLevel, logData);
+        this.loader.log(message, detailLevel, { component: this.constructor.name, filename: this.filename, position: { ...this.position }, ...logData });
         return this;
     }
 
@@ -277,7 +325,10 @@ class AstBuilder extends events.EventEmitter {
                 const result = generator.getToken(this, this.context, testResult);
 
                 if (typeof result === 'object') {
-                    const token = result instanceof AstToken ? result : result.token;
+                    const token = result instanceof Token ? result : result.token;
+
+                    if (this.manager.isLogEnabled(LogDetailLevel.Verbose, generator.name, this.loader.name))
+                        generator.log(this, `${generator.name} created ${token.tokenName} token at ${token.start.line + 1}:${token.start.col + 1} in ${this.filename}`, LogDetailLevel.Verbose, { position: { ...token.start } });
                     const nextToken = Array.isArray(result.nextToken) ? result.nextToken : [];
                     const leaveOpen = result.leaveOpen === true;
 
@@ -295,17 +346,21 @@ class AstBuilder extends events.EventEmitter {
             }
         }
         if (this.isEOF()) {
-            this.log(`Loader ${loader.name} successfully created AST for module ${this.filename}`, LogDetailLevel.Verbose);
+            this.log(`Loader ${this.loader.name} successfully created AST for module ${this.filename}`, LogDetailLevel.Verbose);
             return undefined;
         }
         else {
             const lastToken = this.allTokens[this.allTokens.length - 1];
+            if (!lastToken) {
+                this.log(`Loader ${this.loader.name} failed to create AST for module ${this.filename}; No tokens were read`, LogDetailLevel.Debug);
+                return false;
+            }
             const pos = lastToken.end || lastToken.start;
             const snippet = `... "${this.source.slice(pos.char, pos.char + 5)}"`;
             const posText = lastToken.end
                 ? `ending at ${JSON.stringify(lastToken.end)}`
                 : `starting at ${JSON.stringify(lastToken.start)}`;
-            this.log(`Loader ${loader.name} failed to create AST for module ${this.filename}; Last token read was ${lastToken.tokenName} ${posText}: ${snippet}`, LogDetailLevel.Debug);
+            this.log(`Loader ${this.loader.name} failed to create AST for module ${this.filename}; Last token read was ${lastToken.tokenName} ${posText}: ${snippet}`, LogDetailLevel.Debug);
             return false;
         }
     }
@@ -317,8 +372,8 @@ class AstBuilder extends events.EventEmitter {
     popContext() {
         const context = this.contextStack.shift();
         if (!context) {
-            this.log(`Encountered error while parsing ${filename}`, LogDetailLevel.Error);
-            throw new Error(`Parsing error in ${filename}`);
+            this.log(`Encountered error while parsing ${this.filename}`, LogDetailLevel.Error);
+            throw new Error(`Parsing error in ${this.filename}`);
         }
         this.context = this.contextStack[0];
         return context;
@@ -354,7 +409,7 @@ class AstBuilder extends events.EventEmitter {
      * Read all of the text until the end of line */
     readEOL() {
         const n = this.remainder.indexOf('\n');
-        return this.remainder.slice(0, n);
+        return n > -1 ? this.remainder.slice(0, n) : this.remainder;
     }
 
     /**
@@ -389,14 +444,14 @@ class AstBuilder extends events.EventEmitter {
             ...partialToken
         };
 
-        const result = new AstToken(token, this);
-        token.index = this.allTokens.push(result) - 1;
+        const result = new Token(token, this);
+        result.index = this.allTokens.push(result) - 1;
         return result;
     }
 
     /**
      * Tokenize the source and return an AST
-     * @returns {KLF.IToken}
+     * @returns {KLF.IToken | false} The root token or false if the source could not be fully tokenized
      */
     tokenize() {
         /**
@@ -406,9 +461,9 @@ class AstBuilder extends events.EventEmitter {
         const { token } = this.nextToken();
         /** @type {{ token: KLF.IToken, nextToken: KLF.IToken[] }} */
         let result = { nextToken: [] };
-        while (result = this.nextToken(...result.nextToken)) {
-            token.children.push(result.token);
-        };
+        while (result = this.nextToken(...result.nextToken));
+        if (result === false || !this.isEOF())
+            return false;
         return token;
     }
 
@@ -424,13 +479,14 @@ class AstBuilder extends events.EventEmitter {
             const { lines, col } = this.countLines(token.raw, current.col);
             const end = this.position = { char: current.char + len, col, line: current.line + lines };
 
+            if (this.openTokens.length > 0)
+                this.openTokens[0].children.push(token);
+
             if (leaveOpen) {
                 if (!Array.isArray(token.children))
                     token.children = [];
                 this.openTokens.unshift(token);
             }
-            else if (this.openTokens.length > 0)
-                this.openTokens[0].children.push(token);
 
             if (!leaveOpen) token.end = end;
             this.remainder = this.remainder.slice(len);
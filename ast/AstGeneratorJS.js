@@ -7,7 +7,11 @@
  * @version 1.0.0
  */
 const
-    AstBuilder = require('./AstBuilder');
+    AstBuilder = require('./AstBuilder'),
+    { ReservedWord, TokenizerScope, TokenType } = require('../Constants');
+
+/** Identifiers that may come before a method name in a class body */
+const MEMBER_MODIFIERS = ['async', 'get', 'set', 'static'];
 
 /**
  * Object that parses source code into a DOM
@@ -22,6 +26,91 @@ class AstBuilderJS extends AstBuilder {
         super(settings);
 
         this.pushContext({ scope: false, thisClass: false, thisFunction: false, thisMember: false, variables: {} });
+
+        /** The number of open parentheses */
+        this.parenDepth = 0;
+
+        /**
+         * The last two tokens that were not whitespace or comments, most recent first
+         * @type {KLF.IToken[]}
+         */
+        this.recentTokens = [];
+
+        /** When tokenizing started; Used by the __date macro */
+        this.started = new Date();
+    }
+
+    /**
+     * Finish a token and track the class, function, and member it belongs to
+     * @param {KLF.IToken} token The token to finish
+     * @param {boolean} leaveOpen If true, the token will receive children
+     * @returns {KLF.IToken}
+     */
+    endToken(token, leaveOpen = false) {
+        //  A function-style macro and its arguments become a single token
+        if (token.type === TokenType.Identifier && this.isMacroCandidate() && typeof token.end !== 'object')
+            this.loader.macros.readArguments(this, token);
+
+        super.endToken(token, leaveOpen);
+
+        switch (token.type) {
+            case TokenType.CommentBlock:
+            case TokenType.CommentInline:
+            case TokenType.Global:
+            case TokenType.Whitespace:
+                break;
+
+            default:
+                this.updateScope(token);
+                this.recentTokens = [token, this.recentTokens[0]];
+                break;
+        }
+        return token;
+    }
+
+    /**
+     * Guess the name of an anonymous class or function from an assignment, e.g. const Foo = class {}
+     * @returns {string | undefined}
+     */
+    inferName() {
+        const [operator, target] = this.recentTokens;
+
+        if (operator && target && target.type === TokenType.Identifier && (operator.raw === '=' || operator.raw === ':'))
+            return target.name;
+        return undefined;
+    }
+
+    /**
+     * Can the identifier being read be a macro?  Property names cannot.
+     * @returns {boolean}
+     */
+    isMacroCandidate() {
+        const [previous] = this.recentTokens;
+        return !!this.loader.macros && !(previous && previous.raw === '.');
+    }
+
+    /**
+     * Does an identifier name a method in the body of a class?
+     * @param {KLF.IToken} token The identifier
+     * @returns {boolean}
+     */
+    isMemberName(token) {
+        const { context } = this, [previous] = this.recentTokens;
+
+        if (!context.classBody || context.parenDepth !== this.parenDepth || !/^\s*\(/.test(this.remainder))
+            return false;
+        else if (previous.type === TokenType.Identifier || previous.type === TokenType.ReservedWord)
+            return MEMBER_MODIFIERS.includes(previous.raw);
+        return ['{', '}', ';', '*'].includes(previous.raw);
+    }
+
+    /**
+     * Open a scope whose body starts at the next curly brace, such as a class or function
+     * @param {Partial<KLF.ITokenizerContext>} newContext Details about the new scope
+     * @returns {KLF.ITokenizerContext}
+     */
+    openScope(newContext) {
+        return this.pushContext({ awaitingBody: true, classBody: false, opened: true, parenDepth: this.parenDepth, ...newContext });
     }
 
     /**
@@ -34,11 +123,65 @@ class AstBuilderJS extends AstBuilder {
             whitespaceProvider = this.getProviderById(TokenType.Whitespace);
 
         // Always allow for whitespace
-        if (pipeline.findIndex(p => whitespaceProvider) === -1)
+        if (whitespaceProvider && pipeline.indexOf(whitespaceProvider) === -1)
             pipeline.push(whitespaceProvider);
 
         return pipeline;
     }
+
+    /**
+     * Update the scope using a token that is not whitespace or a comment, and record the scope of macros
+     * @param {KLF.IToken} token The token that was just read
+     */
+    updateScope(token) {
+        const { context } = this, [previous, beforePrevious] = this.recentTokens;
+
+        switch (token.type) {
+            case TokenType.CurlyBrace:
+                if (token.raw === '}') {
+                    //  Scopes that never received a body end with the block around them
+                    while (this.context.awaitingBody)
+                        this.popContext();
+                    //  Braces and parentheses may be unbalanced, e.g. in a regular expression read as division; Recover at the end of each block
+                    if (this.context.opened)
+                        this.parenDepth = this.popContext().parenDepth;
+                }
+                else if (context.awaitingBody && context.parenDepth === this.parenDepth) {
+                    context.awaitingBody = false;
+                    context.classBody = context.scope === TokenizerScope.Class;
+                }
+                else
+                    this.pushContext({ awaitingBody: false, classBody: false, opened: true, parenDepth: this.parenDepth });
+                break;
+
+            case TokenType.Identifier:
+                if (context.awaitingBody && context.thisClass && previous === context.thisClass)
+                    context.thisClass.className = token.name;
+                else if (context.awaitingBody && context.thisFunction && (previous === context.thisFunction || previous.raw === '*' && beforePrevious === context.thisFunction))
+                    context.thisFunction.functionName = token.name;
+                else if (this.isMemberName(token))
+                    this.openScope({ scope: TokenizerScope.Member, thisFunction: false, thisMember: token });
+                //  Macros are expanded by a pipeline stage, once it is known how the identifier is used
+                else if (this.isMacroCandidate() && this.loader.macros.isEnabled(token.name))
+                    token.macroContext = { ...context };
+                break;
+
+            case TokenType.Paranthesis:
+                this.parenDepth = Math.max(0, this.parenDepth + (token.raw === '(' ? 1 : -1));
+                break;
+
+            case TokenType.ReservedWord:
+                if (token.raw === ReservedWord.Class) {
+                    token.className = this.inferName();
+                    this.openScope({ scope: TokenizerScope.Class, thisClass: token, thisFunction: false, thisMember: false });
+                }
+                else if (token.raw === ReservedWord.Function) {
+                    token.functionName = this.inferName();
+                    this.openScope({ scope: TokenizerScope.Function, thisFunction: token });
+                }
+                break;
+        }
+    }
 }
 
 module.exports = AstBuilderJS;
\ No newline at end of file
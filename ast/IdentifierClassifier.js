@@ -0,0 +1,435 @@
+'use strict';
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+const
+    { IdentifierRole, ReservedWord, TokenType } = require('../Constants');
+
+/** The closing bracket for each opening bracket */
+const BRACKETS = { '(': ')', '[': ']', '{': '}' };
+
+/** Punctuation that an expression may follow */
+const EXPRESSION_PUNCTUATION = ['(', ',', '?', '[', '!', '&', '|', '+', '-', '*', '/', '%', '<', '>', '~', '^'];
+
+/** Words that an expression may follow */
+const EXPRESSION_WORDS = ['await', 'case', 'default', 'delete', 'in', 'instanceof', 'new', 'of', 'return', 'throw', 'typeof', 'void', 'yield'];
+
+/** Words that may come before the name of a class member or object method */
+const MEMBER_MODIFIERS = ['async', 'get', 'set', 'static'];
+
+/**
+ * Works out how each identifier in a module is used, e.g. whether it reads a
+ * variable or declares a parameter, so that stages which replace identifiers
+ * only touch the ones that read a value.
+ *
+ * The token list is flat, so the classifier tracks the brackets itself and
+ * decides what each one opens from the tokens around it: A block, class
+ * body, object literal, destructuring pattern, parameter list, and so on.
+ * Unmatched brackets are ignored.
+ */
+class IdentifierClassifier {
+    /**
+     * Classify the identifiers in a list of tokens
+     * @param {KLF.IToken[]} tokens The tokens, without whitespace or comments
+     * @returns {Map<KLF.IToken, KLF.IdentifierRole>}
+     */
+    static classify(tokens) {
+        const
+            pairs = IdentifierClassifier.matchBrackets(tokens),
+            openers = new Map([...pairs].map(([open, close]) => [close, open])),
+            roles = new Map(),
+            stack = [IdentifierClassifier.createFrame('block', -1)];
+        let classDepth = -1;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i], frame = stack[stack.length - 1];
+
+            if (pairs.has(i)) {
+                const kind = classDepth === stack.length && token.raw === '{' ? 'class' : IdentifierClassifier.getFrameKind(tokens, i, pairs, frame);
+
+                if (kind === 'class')
+                    classDepth = -1;
+                stack.push(IdentifierClassifier.createFrame(kind, i));
+                continue;
+            }
+            else if (openers.has(i)) {
+                //  Frames opened by brackets that never closed end with the enclosing bracket
+                while (stack.length > 1 && stack[stack.length - 1].start !== openers.get(i))
+                    stack.pop();
+                if (stack.length > 1)
+                    stack.pop();
+                continue;
+            }
+
+            switch (token.type) {
+                case TokenType.Assignment:
+                    if (!IdentifierClassifier.isArrow(tokens, i))
+                        frame.initializer = true;
+                    break;
+
+                case TokenType.Identifier:
+                    //  for (const x of list)
+                    if (token.raw === 'of' && frame.declaration && !frame.initializer && tokens[i - 1] && tokens[i - 1].type !== TokenType.ReservedWord)
+                        frame.declaration = false;
+                    else
+                        roles.set(token, IdentifierClassifier.getRole(tokens, i, pairs, frame));
+                    break;
+
+                case TokenType.RawText:
+                    if (token.raw === ',')
+                        frame.initializer = false;
+                    else if (token.raw === '?' && !IdentifierClassifier.isAdjacent(token, tokens[i + 1], '.?') && !IdentifierClassifier.isAdjacent(tokens[i - 1], token, '?'))
+                        frame.ternary++;
+                    else if (token.raw === ':' && frame.ternary > 0) {
+                        frame.ternary--;
+                        frame.ternaryEnd = i;
+                    }
+                    break;
+
+                case TokenType.ReservedWord:
+                    if ([ReservedWord.Const, ReservedWord.Let, ReservedWord.Var].includes(token.raw)) {
+                        frame.declaration = true;
+                        frame.initializer = false;
+                    }
+                    else if (token.raw === ReservedWord.In && frame.declaration && !frame.initializer)
+                        frame.declaration = false;
+                    else if (token.raw === ReservedWord.Class)
+                        classDepth = stack.length;
+                    break;
+
+                case TokenType.Semicolon:
+                    frame.declaration = false;
+                    frame.initializer = false;
+                    break;
+            }
+        }
+        return roles;
+    }
+
+    /**
+     * Create the state kept for an open bracket
+     * @param {string} kind What the bracket opens
+     * @param {number} start The position of the bracket
+     */
+    static createFrame(kind, start) {
+        return {
+            /** Is a let, const, or var declaration being read? */
+            declaration: false,
+            /** Is the current element's initializer or default value being read? */
+            initializer: false,
+            kind,
+            start,
+            /** The number of ? operators waiting for their : */
+            ternary: 0,
+            /** The position of the last : that ended a ? operator */
+            ternaryEnd: -1
+        };
+    }
+
+    /**
+     * Decide what an opening bracket starts
+     * @param {KLF.IToken[]} tokens The tokens
+     * @param {number} index The position of the bracket
+     * @param {Map<number, number>} pairs The matching bracket positions
+     * @param {object} frame The frame the bracket appears in
+     * @returns {'array' | 'block' | 'object' | 'params' | 'paren' | 'pattern' | 'specifiers'}
+     */
+    static getFrameKind(tokens, index, pairs, frame) {
+        const
+            { raw } = tokens[index],
+            previous = tokens[index - 1],
+            after = tokens[pairs.get(index) + 1],
+            isTarget = after && after.type === TokenType.Assignment && !IdentifierClassifier.isArrow(tokens, pairs.get(index) + 1);
+
+        if (raw === '(') {
+            let name = index - 1;
+
+            if (IdentifierClassifier.isArrow(tokens, pairs.get(index) + 1) || previous && previous.raw === ReservedWord.Catch)
+                return 'params';
+            //  function (), function name (), function* name ()
+            if (previous && previous.type === TokenType.Identifier)
+                name--;
+            if (tokens[name] && tokens[name].raw === '*')
+                name--;
+            if (tokens[name] && tokens[name].raw === ReservedWord.Function)
+                return 'params';
+            //  Methods in classes and object literals
+            if ((frame.kind === 'class' || frame.kind === 'object') && after && after.raw === '{')
+                return 'params';
+            return 'paren';
+        }
+        else if (IdentifierClassifier.isBindingSlot(tokens, index, frame))
+            return 'pattern';
+        else if (raw === '[')
+            return isTarget && !IdentifierClassifier.isValueEnd(previous) ? 'pattern' : 'array';
+        else if (previous && (previous.raw === 'import' || previous.raw === ReservedWord.Export))
+            return 'specifiers';
+        else if (IdentifierClassifier.isExpressionStart(tokens, index, frame))
+            return isTarget ? 'pattern' : 'object';
+        return 'block';
+    }
+
+    /**
+     * Decide how an identifier is used
+     * @param {KLF.IToken[]} tokens The tokens
+     * @param {number} index The position of the identifier
+     * @param {Map<number, number>} pairs The matching bracket positions
+     * @param {object} frame The frame the identifier appears in
+     * @returns {KLF.IdentifierRole}
+     */
+    static getRole(tokens, index, pairs, frame) {
+        const
+            token = tokens[index],
+            previous = tokens[index - 1],
+            next = tokens[index + 1],
+            inBinding = (frame.kind === 'params' || frame.kind === 'pattern') && !frame.initializer,
+            isTarget = IdentifierClassifier.isAssignment(tokens, index + 1) || IdentifierClassifier.isUpdate(tokens, index + 1);
+
+        //  Private names, e.g. this.#count
+        if (IdentifierClassifier.isAdjacent(previous, token, token.raw) && previous.raw === '#')
+            return isTarget ? IdentifierRole.Target : IdentifierRole.Key;
+        else if (previous && previous.raw === '.') {
+            //  ...rest and ...spread
+            if (tokens[index - 2] && tokens[index - 2].raw === '.')
+                return inBinding ? IdentifierRole.Binding : IdentifierRole.Value;
+            return isTarget ? IdentifierRole.Target : IdentifierRole.Key;
+        }
+        else if (IdentifierClassifier.isContextualKeyword(tokens, index, pairs))
+            return IdentifierRole.Key;
+        else if (previous && [ReservedWord.Function, ReservedWord.Class, 'import', 'as'].includes(previous.raw))
+            return IdentifierRole.Binding;
+        else if (previous && previous.raw === '*' && tokens[index - 2] && tokens[index - 2].raw === ReservedWord.Function)
+            return IdentifierRole.Binding;
+        else if (previous && (previous.raw === ReservedWord.Break || previous.raw === ReservedWord.Continue))
+            return IdentifierRole.Key;
+
+        switch (frame.kind) {
+            case 'specifiers':
+                return IdentifierRole.Binding;
+
+            case 'params':
+            case 'pattern':
+                if (!inBinding)
+                    break;
+                else if (tokens[frame.start].raw === '{' && IdentifierClassifier.isMemberPosition(tokens, index, ['{', ',']) && next && next.raw === ':')
+                    return IdentifierRole.Key;
+                return IdentifierRole.Binding;
+
+            case 'class':
+                if (IdentifierClassifier.isMemberPosition(tokens, index, ['{', '}', ';'], true))
+                    return IdentifierRole.Key;
+                break;
+
+            case 'object':
+                if (!IdentifierClassifier.isMemberPosition(tokens, index, ['{', ',']))
+                    break;
+                else if (next && (next.raw === ':' || next.raw === '('))
+                    return IdentifierRole.Key;
+                else if (!next || next.raw === ',' || next.raw === '}')
+                    return IdentifierRole.Shorthand;
+                else if (MEMBER_MODIFIERS.includes(token.raw))
+                    return IdentifierRole.Key;
+                return IdentifierRole.Unknown;
+        }
+
+        if (frame.declaration && !frame.initializer && previous && ([ReservedWord.Const, ReservedWord.Let, ReservedWord.Var].includes(previous.raw) || previous.raw === ','))
+            return IdentifierRole.Binding;
+        else if (IdentifierClassifier.isArrow(tokens, index + 1))
+            return IdentifierRole.Binding;
+        else if (isTarget || IdentifierClassifier.isUpdate(tokens, index - 2))
+            return IdentifierRole.Target;
+        //  for (name in object) and for (name of list)
+        else if (previous && previous.raw === '(' && tokens[index - 2] && tokens[index - 2].raw === ReservedWord.For && next && (next.raw === ReservedWord.In || next.raw === 'of'))
+            return IdentifierRole.Target;
+        //  Labels
+        else if (next && next.raw === ':' && frame.kind === 'block' && frame.ternary === 0
+            && (!previous || ['{', '}', ';'].includes(previous.raw) || token.start.line > previous.end.line))
+            return IdentifierRole.Key;
+        return IdentifierRole.Value;
+    }
+
+    /**
+     * Are two tokens written next to each other, e.g. the halves of ++?
+     * @param {KLF.IToken} first The first token
+     * @param {KLF.IToken} second The second token
+     * @param {string} chars The characters the second token may be
+     * @returns {boolean}
+     */
+    static isAdjacent(first, second, chars) {
+        return !!first && !!second && chars.includes(second.raw) && first.end.char === second.start.char;
+    }
+
+    /**
+     * Is an identifier used as a keyword, e.g. async in async () => {}?
+     * @param {KLF.IToken[]} tokens The tokens
+     * @param {number} index The position of the identifier
+     * @param {Map<number, number>} pairs The matching bracket positions
+     * @returns {boolean}
+     */
+    static isContextualKeyword(tokens, index, pairs) {
+        const { raw } = tokens[index], previous = tokens[index - 1], next = tokens[index + 1];
+
+        if (!next)
+            return false;
+        else if (raw === 'async')
+            return next.raw === ReservedWord.Function
+                || next.type === TokenType.Identifier && IdentifierClassifier.isArrow(tokens, index + 2)
+                || next.raw === '(' && pairs.has(index + 1) && IdentifierClassifier.isArrow(tokens, pairs.get(index + 1) + 1);
+        else if (raw === 'import')
+            return next.type === TokenType.Identifier || next.type === TokenType.String || next.raw === '{' || next.raw === '*';
+        else if (raw === 'from')
+            return next.type === TokenType.String && !!previous && (previous.raw === '}' || previous.raw === '*' || previous.type === TokenType.Identifier);
+        else if (raw === 'as')
+            return next.type === TokenType.Identifier && !!previous && (previous.raw === '*' || previous.type === TokenType.Identifier);
+        return false;
+    }
+
+    /**
+     * Is there an arrow (=>) at a position?
+     * @param {KLF.IToken[]} tokens The tokens
+     * @param {number} index The position
+     * @returns {boolean}
+     */
+    static isArrow(tokens, index) {
+        return !!tokens[index] && tokens[index].raw === '=' && IdentifierClassifier.isAdjacent(tokens[index], tokens[index + 1], '>');
+    }
+
+    /**
+     * Is there an assignment operator, other than an arrow, at a position?
+     * @param {KLF.IToken[]} tokens The tokens
+     * @param {number} index The position
+     * @returns {boolean}
+     */
+    static isAssignment(tokens, index) {
+        return !!tokens[index] && tokens[index].type === TokenType.Assignment && !IdentifierClassifier.isArrow(tokens, index);
+    }
+
+    /**
+     * Does a bracket open a destructuring pattern in a declaration or parameter list?
+     * @param {KLF.IToken[]} tokens The tokens
+     * @param {number} index The position of the bracket
+     * @param {object} frame The frame the bracket appears in
+     * @returns {boolean}
+     */
+    static isBindingSlot(tokens, index, frame) {
+        const previous = tokens[index - 1];
+
+        if (!previous || frame.initializer)
+            return false;
+        else if (frame.kind === 'params' || frame.kind === 'pattern')
+            return ['(', '[', '{', ',', ':', '.'].includes(previous.raw);
+        return frame.declaration && ([ReservedWord.Const, ReservedWord.Let, ReservedWord.Var].includes(previous.raw) || previous.raw === ',');
+    }
+
+    /**
+     * Does a curly brace start an object literal rather than a block?
+     * @param {KLF.IToken[]} tokens The tokens
+     * @param {number} index The position of the brace
+     * @param {object} frame The frame the brace appears in
+     * @returns {boolean}
+     */
+    static isExpressionStart(tokens, index, frame) {
+        const previous = tokens[index - 1];
+
+        if (!previous || IdentifierClassifier.isArrow(tokens, index - 2))
+            return false;
+        else if (previous.type === TokenType.Assignment || previous.type === TokenType.Equality)
+            return true;
+        //  Labels and case clauses are followed by blocks
+        else if (previous.raw === ':')
+            return frame.kind === 'object' || frame.ternaryEnd === index - 1;
+        return EXPRESSION_PUNCTUATION.includes(previous.raw) || EXPRESSION_WORDS.includes(previous.raw);
+    }
+
+    /**
+     * Does an identifier start a member of a class body or object literal?
+     * @param {KLF.IToken[]} tokens The tokens
+     * @param {number} index The position of the identifier
+     * @param {string[]} starts The tokens a member may follow
+     * @param {boolean} afterLineBreak If true, a member may also start a line, since class fields may end without a semicolon
+     * @returns {boolean}
+     */
+    static isMemberPosition(tokens, index, starts, afterLineBreak = false) {
+        let before = index - 1;
+
+        while (tokens[before] && (tokens[before].raw === '*' || tokens[before].raw === '#' || MEMBER_MODIFIERS.includes(tokens[before].raw)))
+            before--;
+        if (!tokens[before])
+            return false;
+        return starts.includes(tokens[before].raw)
+            || afterLineBreak && IdentifierClassifier.isValueEnd(tokens[before]) && tokens[before + 1].start.line > tokens[before].end.line;
+    }
+
+    /**
+     * Is there an increment or decrement operator at a position?
+     * @param {KLF.IToken[]} tokens The tokens
+     * @param {number} index The position
+     * @returns {boolean}
+     */
+    static isUpdate(tokens, index) {
+        const token = tokens[index];
+        return !!token && (token.raw === '+' || token.raw === '-') && IdentifierClassifier.isAdjacent(token, tokens[index + 1], token.raw);
+    }
+
+    /**
+     * Can a token end an expression, so that a following [ is a member access?
+     * @param {KLF.IToken} token The token
+     * @returns {boolean}
+     */
+    static isValueEnd(token) {
+        return !!token && (token.type === TokenType.Identifier
+            || token.type === TokenType.Number
+            || token.type === TokenType.String
+            || token.type === TokenType.RegExp
+            || token.raw === ')' || token.raw === ']' || token.raw === ReservedWord.This || token.raw === ReservedWord.Super);
+    }
+
+    /**
+     * Get the tokens that are classified; Whitespace, comments, and removed code are left out
+     * @param {KLF.IToken[]} allTokens Every token in the module
+     * @returns {KLF.IToken[]}
+     */
+    static getSignificantTokens(allTokens) {
+        return allTokens.filter(t => !t.removed
+            && t.type !== TokenType.Whitespace
+            && t.type !== TokenType.CommentBlock
+            && t.type !== TokenType.CommentInline
+            && t.type !== TokenType.Global);
+    }
+
+    /**
+     * Match each opening bracket with its closing bracket
+     * @param {KLF.IToken[]} tokens The tokens
+     * @returns {Map<number, number>} The position of each closing bracket, keyed by the position of its opening bracket
+     */
+    static matchBrackets(tokens) {
+        const pairs = new Map(), open = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const { raw, type } = tokens[i];
+
+            if (type !== TokenType.CurlyBrace && type !== TokenType.Paranthesis && type !== TokenType.RawText)
+                continue;
+            else if (raw in BRACKETS)
+                open.push(i);
+            else if (raw === ')' || raw === ']' || raw === '}') {
+                let at = open.length - 1;
+
+                //  A curly brace closes anything left open inside it; Other brackets never close a block
+                while (at > -1 && BRACKETS[tokens[open[at]].raw] !== raw && (raw === '}' || tokens[open[at]].raw !== '{'))
+                    at--;
+                if (at > -1 && BRACKETS[tokens[open[at]].raw] === raw) {
+                    pairs.set(open[at], i);
+                    open.length = at;
+                }
+            }
+        }
+        return pairs;
+    }
+}
+
+module.exports = IdentifierClassifier;
@@ -1,3 +1,13 @@
+'use strict';
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ * 
+ * @version 1.0.0
+ */
+const { TokenType } = require('../Constants');
+
 /** 
  * @type {KLF.IToken} 
  * @class
@@ -18,6 +28,7 @@ class Token {
         this.name = config.name;
         this.ordinal = config.ordinal;
         this.raw = config.raw;
+        this.replacement = config.replacement;
         this.start = config.start;
         this.superClass = config.superClass;
         this.superClassName = config.superClassName;
@@ -7,11 +7,12 @@
  * @version 1.0.0
  */
 const GeneratorBase = require('./GeneratorBase');
+const { TokenType } = require('../../Constants');
 
 class AssignmentGenerator extends GeneratorBase {
     /** @param {KLF.IAstGenerator<KLF.IToken>} */
     constructor(settings) {
-        super({ ...settings, condition: /(?<operator>=|\+=|-=|\*=|\/=|%=|\*\*=|<<=|>>=|>>>=|&=|\^=|\|=|&&=|\|\|=|\?\?=)/ });
+        super({ ...settings, condition: /^(?<operator>=|\+=|-=|\*=|\/=|%=|\*\*=|<<=|>>=|>>>=|&=|\^=|\|=|&&=|\|\|=|\?\?=)/ });
     }
 
     /** @type {KLF.GetTokenCallback} */
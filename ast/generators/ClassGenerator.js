@@ -7,11 +7,12 @@
  * @version 1.0.0
  */
 const GeneratorBase = require('./GeneratorBase');
+const { ReservedWord, TokenType } = require('../../Constants');
 
 /**@type {KLF.ITokenProvider<KLF.IToken} */
 class ClassGenerator extends GeneratorBase {
     constructor(settings) {
-        super({ settings, condition: /^(?<raw>class)/, weight: 200 });
+        super({ ...settings, condition: /^(?<raw>class)/, weight: 200 });
     }
 
     /** @type {KLF.GetTokenCallback} */
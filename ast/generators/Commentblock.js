@@ -7,6 +7,7 @@
  * @version 1.0.0
  */
 const Generator = require('./GeneratorBase');
+const { TokenType } = require('../../Constants');
 
 class CommentBlockGenerator extends Generator {
     constructor(settings) { super({ ...settings, condition: '/*' }); }
@@ -14,7 +15,7 @@ class CommentBlockGenerator extends Generator {
     /** @type {KLF.GetTokenCallback} */
     getToken(ast, context) {
         const endOfComment = ast.remainder.indexOf('*/');
-        const raw = ast.remainder.slice(0, endOfComment + 2);
+        const raw = endOfComment > -1 ? ast.remainder.slice(0, endOfComment + 2) : ast.remainder;
         const token = ast.startToken({ type: TokenType.CommentBlock, raw });
         return { token };
     }
@@ -7,11 +7,12 @@
  * @version 1.0.0
  */
 const Generator = require('./GeneratorBase');
+const { TokenType } = require('../../Constants');
 
 class EqualityGenerator extends Generator {
     /** @param {KLF.IAstGenerator<KLF.IToken>} */
     constructor(settings) {
-        super({ ...settings, condition: /^(?<operator>(?:===|==|\!==|\!=))/ });
+        super({ ...settings, condition: /^(?<operator>(?:===|==|\!==|\!=))/, weight: 10 });
     }
 
     /** @type {KLF.GetTokenCallback} */
@@ -11,6 +11,7 @@
 const
     RegExUtil = require('../../util/RegExUtil'),
     ConfigUtil = require('../../util/ConfigUtil'),
+    { TokenType } = require('../../Constants'),
     path = require('path'),
     fs = require('fs');
 
@@ -28,6 +29,8 @@ class GeneratorBase {
             ...settings,
         });
         this.tokenType = typeof settings.tokenType === 'number' && settings.tokenType in TokenType && settings.tokenType;
+        /** Named capture groups are passed along to getToken() */
+        this.hasCapture = settings.condition instanceof RegExp && /\(\?<[^>=!]+>/.test(settings.condition.source);
     }
 
     /**
@@ -40,7 +43,7 @@ class GeneratorBase {
         if (typeof condition === 'string')
             return 100 + condition.length;
         else if (typeof condition === 'object' && condition instanceof RegExp) {
-            return RegExUtil.calculateWeight(condition);
+            return RegExUtil.weighRegex(condition);
         }
         else if (typeof condition === 'function') {
             return 1;
@@ -75,8 +78,21 @@ class GeneratorBase {
         }
     }
 
+    /**
+     * Get the schema used to validate this generator's settings
+     * @returns {KLF.IConfigSchema}
+     */
+    static getConfigSchema() {
+        return {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' }
+            }
+        };
+    }
+
     static getDefaultConfig() {
-        return { enabled: true };
+        return { $schema: this.getConfigSchema(), enabled: true };
     }
 
     /**
@@ -104,6 +120,27 @@ class GeneratorBase {
         throw new Error('not implemented');
     }
 
+    /**
+     * Write a log message tagged with this generator's name
+     * @param {KLF.IAstBuilder} ast The AST builder
+     * @param {string} message The message to record
+     * @param {KLF.LogDetailLevel} detailLevel The severity of the message
+     * @param {object} args Additional logging information
+     */
+    log(ast, message, detailLevel, args = {}) {
+        ast.log(message, detailLevel, { component: this.name, ...args });
+    }
+
+    /**
+     * Called before the loader re-creates its providers for a new configuration
+     * @param {KLF.IConfigChange} change The pending change
+     * @param {KLF.IExtensionLoader} loader The loader this provider belongs to
+     * @returns {boolean} Returns false to reject the change
+     */
+    onConfigChange(change, loader) {
+        return true;
+    }
+
     /**
      * Test to see if this provider can construct a token
      * @param {KLF.AstGenerator<any>} parent The generator creating AST
@@ -124,7 +161,7 @@ class GeneratorBase {
                 return this.condition.test(parent.remainder);
         }
         else if (typeof this.condition === 'function') {
-            return this.condition.call(this, this, this.context);
+            return this.condition.call(this, parent, context);
         }
     }
 }
@@ -7,6 +7,7 @@
  * @version 1.0.0
  */
 const Generator = require('./GeneratorBase');
+const { TokenType } = require('../../Constants');
 
 class GlobalGenerator extends Generator {
     constructor(settings) {
@@ -7,18 +7,21 @@
  * @version 1.0.0
  */
 const Generator = require('./GeneratorBase');
+const { ReservedWord, TokenType } = require('../../Constants');
+
+/** Keywords are case-sensitive; Testing the enum object itself would also match its methods, e.g. parse */
+const RESERVED_WORDS = new Set(ReservedWord.keyNames.map(name => ReservedWord[name]));
 
 class IdentifierGenerator extends Generator {
-    constructor({ settings }) {
+    constructor(settings) {
         super({ ...settings, condition: /^(?<identifier>[\p{L}_$][\p{L}\p{N}_$]*)/u, weight: 300 });
     }
 
     /** @type {KLF.GetTokenCallback} */
     getToken(ast, context, matchData) {
         const { identifier: raw } = matchData;
-        const keywordTest = raw.toLowerCase();
         const token = ast.startToken({ type: TokenType.Identifier, raw, name: raw });
-        if (keywordTest in ReservedWord) {
+        if (RESERVED_WORDS.has(raw)) {
             token.type = TokenType.ReservedWord;
         }
         return { token };
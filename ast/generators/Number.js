@@ -7,6 +7,7 @@
  * @version 1.0.0
  */
 const Generator = require('./GeneratorBase');
+const { TokenType } = require('../../Constants');
 
 class NumberGenerator extends Generator {
     /** @param {KLF.IAstGenerator} */
@@ -14,11 +15,11 @@ class NumberGenerator extends Generator {
         super(settings);
         //  Could I combine them into one, big, gross regex... sure?
         this.testers = [
-            /^(?<decimal>[1-9](?:_?[0-9]+\.?)+(?:_?[0-9]+\.?)*n?)/,
-            /^(?<hex>0[xX][a-fA-F0-9](?:_?[a-fA-F0-9]+)+n?)/,
-            /^(?<exp>[0-9]+[eE]-[0-9+]n?)/,
-            /^(?<binary>0[bB][01]?(_?[01]+)*n?)/, // BUG: Allows multiple underscores
-            /^(?<octal>0[oO][0-7]+n*)/
+            /^(?<hex>0[xX][a-fA-F0-9](?:_?[a-fA-F0-9]+)*n?)/,
+            /^(?<binary>0[bB][01](?:_?[01]+)*n?)/,
+            /^(?<octal>0[oO][0-7](?:_?[0-7]+)*n?)/,
+            /^(?<exp>[0-9]+(?:\.[0-9]+)?[eE][+-]?[0-9]+)/,
+            /^(?<decimal>(?:0|[1-9](?:_?[0-9]+)*)(?:\.[0-9]+)?n?)/
         ]
     }
 
@@ -26,7 +27,7 @@ class NumberGenerator extends Generator {
     test(ast, context) {
         for (const test of this.testers) {
             const match = test.exec(ast.remainder);
-            if (match === null) return false;
+            if (match === null) continue;
             const { decimal, hex, exp, binary, octal } = match.groups;
             if (decimal)
                 return { raw: decimal, format: 'decimal' };
@@ -34,14 +35,16 @@ class NumberGenerator extends Generator {
                 return { raw: hex, format: 'hexidecimal' };
             }
             else if (exp) {
-                if (binary.indexOf('__') > -1)
-                    return false;
-                return { raw: binary, format: 'exponential' };
+                return { raw: exp, format: 'exponential' };
+            }
+            else if (binary) {
+                return { raw: binary, format: 'binary' };
             }
             else if (octal) {
                 return { raw: octal, format: 'octal' };
             }
         }
+        return false;
     }
 
     /** @type {KLF.GetTokenCallback} */
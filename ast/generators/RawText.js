@@ -0,0 +1,31 @@
+'use strict';
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ * 
+ * @version 1.0.0
+ */
+const Generator = require('./GeneratorBase');
+const { TokenType } = require('../../Constants');
+
+/**
+ * Catch-all generator that consumes a single character no other generator
+ * could handle so that the tree always covers the entire source file.
+ */
+class RawTextGenerator extends Generator {
+    constructor(settings) {
+        super({ ...settings, weight: Number.MIN_SAFE_INTEGER });
+    }
+
+    /** @type {KLF.TestTokenCallback<KLF.IToken>} */
+    test(ast, context) { return !ast.isEOF() && ast.remainder.charAt(0); }
+
+    /** @type {KLF.GetTokenCallback<KLF.IToken>} */
+    getToken(ast, context, raw) {
+        const token = ast.startToken({ type: TokenType.RawText, raw });
+        return { token };
+    }
+}
+
+module.exports = RawTextGenerator;
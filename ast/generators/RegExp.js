@@ -0,0 +1,42 @@
+'use strict';
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ * 
+ * @version 1.0.0
+ */
+const Generator = require('./GeneratorBase');
+const IdentifierClassifier = require('../IdentifierClassifier');
+const RegExUtil = require('../../util/RegExUtil');
+const { TokenType } = require('../../Constants');
+
+/**
+ * Reads regular expression literals as a single token so that quotes,
+ * slashes, and brackets inside them are not read as strings, comments, or
+ * code.  A slash is division if the token before it ends a value, e.g. a / b.
+ */
+class RegExpGenerator extends Generator {
+    constructor(settings) { super({ ...settings, weight: 275 }); }
+
+    /** @type {KLF.TestTokenCallback} */
+    test(ast, context) {
+        const [previous, beforePrevious] = ast.recentTokens || [];
+
+        if (ast.remainder.charAt(0) !== '/' || IdentifierClassifier.isValueEnd(previous))
+            return false;
+        //  i++ / n is division as well
+        else if (previous && beforePrevious && (previous.raw === '+' || previous.raw === '-') && beforePrevious.raw === previous.raw && beforePrevious.end.char === previous.start.char)
+            return false;
+        return RegExUtil.readLiteral(ast.remainder);
+    }
+
+    /** @type {KLF.GetTokenCallback} */
+    getToken(ast, context, raw) {
+        const end = raw.lastIndexOf('/');
+        const token = ast.startToken({ type: TokenType.RegExp, raw, pattern: raw.slice(1, end), flags: raw.slice(end + 1) });
+        return { token };
+    }
+}
+
+module.exports = RegExpGenerator;
@@ -0,0 +1,40 @@
+'use strict';
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ * 
+ * @version 1.0.0
+ */
+const Generator = require('./GeneratorBase');
+const { TokenType } = require('../../Constants');
+
+class StringGenerator extends Generator {
+    /** @param {KLF.IAstGenerator} */
+    constructor(settings) { super({ ...settings, condition: /^(?<quote>['"`])/, weight: 250 }); }
+
+    /** @type {KLF.GetTokenCallback} */
+    getToken(ast, context, { quote }) {
+        const source = ast.remainder;
+        let end = 1;
+
+        //  Single and double quoted strings may not span lines; template literals can
+        while (end < source.length) {
+            const c = source.charAt(end);
+            if (c === '\\')
+                end += 2;
+            else if (c === quote)
+                break;
+            else if (c === '\n' && quote !== '`')
+                break;
+            else
+                end++;
+        }
+        const terminated = source.charAt(end) === quote;
+        const raw = source.slice(0, terminated ? end + 1 : Math.min(end, source.length));
+        const token = ast.startToken({ type: TokenType.String, raw, value: raw.slice(1, terminated ? -1 : raw.length) });
+        return { token };
+    }
+}
+
+module.exports = StringGenerator;
@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * Command line tool for inspecting what the loaders do to a file
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { ModuleManager: manager, ModuleManagerWrapper: wrapper } = require('../ModuleManager'),
+    { DetailLevelString } = require('../Constants'),
+    SourceMapUtil = require('../util/SourceMapUtil'),
+    path = require('path'),
+    fs = require('fs');
+
+const usage = `Usage: klf-require <command> [options]
+
+Commands:
+  tokens <file>      List every token with its position
+  tree <file>        Print the nested token tree
+  transform <file>   Print the transformed output
+  config             Print the effective configuration, registered components, and plugins
+
+Options:
+  --loader <name>    Use a specific loader instead of choosing one by extension
+  --json             Print tokens or the tree as JSON
+  --source-map       Append an inline source map to transformed output
+  --help             Show this message`;
+
+/**
+ * Parse the command line
+ * @param {string[]} argv The arguments following the script name
+ * @returns {{ command: string, file: string, loader: string, json: boolean, sourceMap: boolean, help: boolean }}
+ */
+function parseArguments(argv) {
+    const result = { command: undefined, file: undefined, loader: undefined, json: false, sourceMap: false, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        switch (arg) {
+            case '--help':
+            case '-h':
+                result.help = true;
+                break;
+            case '--json':
+                result.json = true;
+                break;
+            case '--loader':
+                if (i + 1 >= argv.length)
+                    throw new Error('Option --loader requires a loader name');
+                result.loader = argv[++i];
+                break;
+            case '--source-map':
+                result.sourceMap = true;
+                break;
+            default:
+                if (arg.startsWith('-'))
+                    throw new Error(`Unknown option ${arg}`);
+                else if (!result.command)
+                    result.command = arg;
+                else if (!result.file)
+                    result.file = path.resolve(arg);
+                else
+                    throw new Error(`Unexpected argument ${arg}`);
+        }
+    }
+    return result;
+}
+
+/**
+ * Format a zero-based position as line:col using one-based numbers
+ * @param {{ line: number, col: number }} pos The position to format
+ * @returns {string}
+ */
+function formatPosition(pos) {
+    return pos ? `${pos.line + 1}:${pos.col + 1}` : '?';
+}
+
+/**
+ * Convert a token into plain data
+ * @param {KLF.IToken} token The token to convert
+ * @param {boolean} withChildren Include child tokens as well
+ * @returns {object}
+ */
+function tokenToJSON(token, withChildren) {
+    const result = {
+        index: token.index,
+        type: token.tokenName,
+        raw: token.raw,
+        replacement: token.replacement,
+        start: token.start,
+        end: token.end
+    };
+    if (withChildren && Array.isArray(token.children))
+        result.children = token.children.map(child => tokenToJSON(child, true));
+    return result;
+}
+
+/**
+ * Tokenize a file without running the pipeline
+ * @param {{ file: string, loader: string }} options The parsed command line
+ * @returns {KLF.IPipelineContext}
+ */
+function tokenizeFile(options) {
+    const
+        loader = manager.resolveTransformLoader({ filename: options.file, loader: options.loader }),
+        source = fs.readFileSync(options.file, { encoding: loader.encoding }),
+        context = manager.createPipelineContext(options.file, source, loader);
+
+    if (!context)
+        throw new Error(`Loader ${loader.name} could not tokenize ${options.file}`);
+    return context;
+}
+
+const commands = {
+    /**
+     * Print the effective settings, components, and plugins
+     */
+    config() {
+        const components = {};
+
+        for (const [name, type] of Object.entries(manager.components)) {
+            components[name] = type && type.name || String(type);
+        }
+        const output = { settings: manager.settings, configSources: manager.configSources, components, plugins: manager.pluginLoader.plugins };
+
+        console.log(JSON.stringify(output, (key, value) => {
+            if (key === '$schema')
+                return undefined;
+            else if (typeof value === 'function')
+                return value.name ? `[${/^class\b/.test(value.toString()) ? 'class' : 'function'} ${value.name}]` : '[function]';
+            else if (value instanceof RegExp)
+                return value.toString();
+            return value;
+        }, 2));
+    },
+
+    /**
+     * Print the token list for a file
+     * @param {{ file: string, loader: string, json: boolean }} options The parsed command line
+     */
+    tokens(options) {
+        const { builder } = tokenizeFile(options);
+
+        if (options.json)
+            return console.log(JSON.stringify(builder.allTokens.map(token => tokenToJSON(token, false)), undefined, 2));
+
+        for (const token of builder.allTokens) {
+            const range = `${formatPosition(token.start)}-${formatPosition(token.end)}`;
+            console.log(`${String(token.index).padStart(6)}  ${range.padEnd(16)} ${token.tokenName.padEnd(16)} ${JSON.stringify(token.raw)}`);
+        }
+    },
+
+    /**
+     * Print the transformed output for a file
+     * @param {{ file: string, loader: string, sourceMap: boolean }} options The parsed command line
+     */
+    transform(options) {
+        const
+            loader = manager.resolveTransformLoader({ filename: options.file, loader: options.loader }),
+            source = fs.readFileSync(options.file, { encoding: loader.encoding }),
+            result = wrapper.transform(source, { filename: options.file, loader: loader.name });
+
+        for (const { detailLevel, message } of result.diagnostics) {
+            console.error(`+[${DetailLevelString[detailLevel]}]: ${message}`);
+        }
+        if (!result.success)
+            return process.exitCode = 1;
+
+        process.stdout.write(result.code);
+        if (options.sourceMap && result.map)
+            process.stdout.write(`\n${SourceMapUtil.toInlineComment(result.map)}\n`);
+    },
+
+    /**
+     * Print the nested token tree for a file
+     * @param {{ file: string, loader: string, json: boolean }} options The parsed command line
+     */
+    tree(options) {
+        const { root } = tokenizeFile(options);
+
+        if (options.json)
+            return console.log(JSON.stringify(tokenToJSON(root, true), undefined, 2));
+
+        const printToken = (token, depth) => {
+            const raw = typeof token.raw === 'string' ? ` ${JSON.stringify(token.raw.length > 40 ? token.raw.slice(0, 37) + '...' : token.raw)}` : '';
+            console.log(`${'  '.repeat(depth)}${token.tokenName} [${formatPosition(token.start)}]${raw}`);
+            if (Array.isArray(token.children))
+                token.children.forEach(child => printToken(child, depth + 1));
+        };
+        printToken(root, 0);
+    }
+};
+
+try {
+    const options = parseArguments(process.argv.slice(2));
+
+    if (options.help || !options.command) {
+        console.log(usage);
+        process.exitCode = options.help ? 0 : 1;
+    }
+    else if (!(options.command in commands))
+        throw new Error(`Unknown command ${options.command}`);
+    else if (options.command !== 'config' && !options.file)
+        throw new Error(`Command ${options.command} requires a filename`);
+    else
+        commands[options.command](options);
+}
+catch (err) {
+    console.error(`klf-require: ${err.message}`);
+    process.exitCode = 1;
+}
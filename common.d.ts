@@ -18,6 +18,16 @@ declare module 'common' {
                 None
             }
 
+            /** What happens when a loader cannot transform a module */
+            export enum FailurePolicy {
+                /** Load the module with the built-in handler */
+                Fallback = 'fallback',
+                /** Load the module with the built-in handler and list the failure in a report when the process exits */
+                Warn = 'warn',
+                /** Throw a LoaderError into the require() caller */
+                Strict = 'strict'
+            }
+
             //#endregion
 
             //#region Types
@@ -49,7 +59,8 @@ declare module 'common' {
 
             export type LogMessageCallback = (logEntry: LogMessageEventArgs) => void;
 
-            export type LoaderFilter = string | ((filename: string) => boolean);
+            /** A glob, a file or directory path, a regular expression, or a predicate */
+            export type LoaderFilter = string | RegExp | ((filename: string) => boolean);
 
             export type LoaderFilterAction = 'Include' | 'Exclude';
 
@@ -57,13 +68,37 @@ declare module 'common' {
 
             export type LoaderFilterList = LoaderFilter[];
 
+            /** Describes the include/exclude rule that decided whether a file is handled */
+            export type LoaderFilterMatch = {
+                action: LoaderFilterAction,
+                /** The rule that matched or false if the file did not match any include rule */
+                filter: LoaderFilter | false,
+                /** The name of the loader, or ModuleManager, that defined the rule */
+                source: string
+            };
+
+            /** The kinds of component the manager can register */
+            export type ComponentKind = 'builder' | 'generator' | 'loader' | 'macro';
+
+            /** The value types a config schema can describe */
+            export type ConfigSchemaType = 'any' | 'array' | 'boolean' | 'function' | 'number' | 'object' | 'regexp' | 'string';
+
+            /** Signature of V8's Error.prepareStackTrace hook */
+            export type PrepareStackTraceCallback = (error: Error, callSites: NodeJS.CallSite[]) => any;
+
+            /** A decoded mapping: [generatedCol, sourceIndex, originalLine, originalCol]; All zero-based */
+            export type SourceMapSegment = [number, number, number, number];
+
             //#endregion
 
             //#region Interfaces
 
             export interface IComponent<TType extends new (...args: any[]) => any = any> {
-                /** Get the default config for the type */
-                getDefaultConfig(config: IModuleManager): Partial<TType>;
+                /** Get the schema used to validate the type's settings */
+                getConfigSchema?(): IConfigSchema;
+
+                /** Get the default config for the type; A $schema key declares how the settings are validated */
+                getDefaultConfig(config: IModuleManager): Partial<TType> & { $schema?: IConfigSchema };
             }
 
             export interface IComponentEntry<TType extends new (...args: any[]) => any = any> {
@@ -77,6 +112,74 @@ declare module 'common' {
                 type: IComponent<TType>;
             }
 
+            /** Describes a registered loader, builder, generator, or macro */
+            export interface IComponentInfo {
+                kind: ComponentKind;
+
+                /** The name the component is registered under */
+                name: string;
+
+                /** The name of the implementing type */
+                type: string;
+
+                /** The name of the type it extends */
+                parent: string;
+
+                /** Types this component replaced, oldest first; Restored in reverse order as components are unregistered */
+                replaced: string[];
+
+                /** Other names the type can be found by */
+                aliases: string[];
+
+                /** The module that exports the type, if known */
+                source?: string;
+
+                /** The plugin that contributed the type, if any */
+                plugin?: string;
+
+                /** Loaders are active once an instance exists; Other components unless disabled */
+                active: boolean;
+
+                /** A copy of the component's config */
+                config: object;
+            }
+
+            /** Passed to 'componentUnregistered' listeners */
+            export interface IComponentUnregisteredEventArgs extends IComponentInfo {
+                /** The type that was put back in the component's place */
+                restored?: string;
+            }
+
+            /** A problem found while validating a config */
+            export interface IConfigProblem {
+                /** The path of the offending setting, e.g. loaders.ExtensionLoaderJS.macros.__date.enabled */
+                path: string;
+
+                /** What is wrong with the setting */
+                message: string;
+
+                /** The offending value */
+                value: any;
+            }
+
+            /** Describes the settings a component accepts */
+            export interface IConfigSchema {
+                /** The allowed type or types; Defaults to 'any' */
+                type?: ConfigSchemaType | ConfigSchemaType[];
+
+                /** The allowed values, or an enum created by EnumUtil.createEnum() */
+                enum?: any[] | { keyNames: string[], tryParse(value: string | number): any };
+
+                /** Schemas for the known keys of an object */
+                properties?: { [key: string]: IConfigSchema };
+
+                /** False to report unknown keys, or a schema for their values; Defaults to false when properties are given */
+                additionalProperties?: boolean | IConfigSchema;
+
+                /** The schema for each array element */
+                items?: IConfigSchema;
+            }
+
             /** Common interface inherited by various components in the library */
             export interface IImportLogger extends EventEmitter {
                 /** 
@@ -88,6 +191,29 @@ declare module 'common' {
                 log(message: string, detailLevel: LogDetailLevel, logData?: Map<string, any>): this;
             }
 
+            /** A standard v3 source map */
+            export interface SourceMap {
+                version: 3;
+                file: string;
+                sources: string[];
+                /** Omitted from the maps returned by getSourceMap() */
+                sourcesContent?: string[];
+                names: string[];
+                mappings: string;
+            }
+
+            /** Source map settings */
+            export interface ISourceMapConfig {
+                /** Create a source map for each transformed module */
+                enabled: boolean;
+
+                /** Append the map to the compiled code as a sourceMappingURL comment */
+                inline: boolean;
+
+                /** Rewrite stack traces to point at the original source */
+                remapStackTraces: boolean;
+            }
+
             /** Event type emitted by logger */
             export interface LogMessageEventArgs {
                 detailLevel: LogDetailLevel;
@@ -95,8 +221,51 @@ declare module 'common' {
                 message: string;
                 timestamp: number;
                 args?: Map<string, any>;
+
+                /** The name of the loader, builder, or generator that logged the message */
+                component?: string;
+
+                /** The loader the component was running under */
+                loader?: string;
+
+                /** The module being processed, if any */
+                filename?: string;
+
+                /** The position in the module source, if any */
+                position?: SourcePosition;
             }
 
+            /** Settings shared by all log sinks */
+            export interface ILogSinkConfig {
+                type: 'callback' | 'console' | 'file' | 'memory';
+
+                /** Optional threshold for this sink; Messages must also pass the manager's levels */
+                level?: LogDetailWord | LogDetailLevel;
+
+                /** The callback for 'callback' sinks */
+                callback?: LogMessageCallback;
+
+                /** The file 'file' sinks append JSON lines to */
+                filename?: string;
+
+                /** The number of messages 'memory' sinks keep */
+                size?: number;
+            }
+
+            /** Receives log messages */
+            export interface ILogSink {
+                level?: LogDetailLevel;
+
+                /** Record a message if it passes this sink's level */
+                receive(entry: LogMessageEventArgs): void;
+
+                /** Record a message */
+                write(entry: LogMessageEventArgs): void;
+            }
+
+            /** A sink instance, a callback, or the config used to create a sink */
+            export type LogSinkSpec = ILogSink | LogMessageCallback | ILogSinkConfig;
+
             //#endregion
         }
     }
@@ -0,0 +1,137 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * Module customization hooks that route ES modules through the same
+ * ExtensionLoader pipeline used for require().  Node runs these hooks on a
+ * separate thread, so the thread gets its own ModuleManager configured from
+ * the settings passed to module.register().  Log messages and source maps are
+ * sent back to the main thread over the supplied port, and the main thread
+ * sends changes to the enabled setting the other way.
+ *
+ * @version 1.0.0
+ */
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const require = createRequire(import.meta.url);
+const { FailurePolicy, LogDetailLevel } = require('../Constants');
+const LoaderError = require('../loader/LoaderError');
+
+/** @type {KLF.IModuleManager} */
+let manager = undefined;
+
+/** @type {MessagePort | undefined} */
+let port = undefined;
+
+/**
+ * Create the module manager for this thread
+ * @param {KLF.IEsmHookData} data The data passed to module.register()
+ */
+export async function initialize(data = {}) {
+    const { ModuleManager } = require('../ModuleManager');
+
+    port = data.port;
+    manager = ModuleManager;
+
+    if (port) {
+        manager.on('logging', ({ message, detailLevel, component, loader, filename, position }) => {
+            port.postMessage({ type: 'log', message, detailLevel, component, loader, filename, position });
+        });
+        manager.on('sourceMap', ({ filename, map }) => {
+            //  Stack frames for ES modules use file URLs rather than paths
+            port.postMessage({ type: 'sourceMap', filename: pathToFileURL(filename).href, map });
+        });
+        port.on('message', ({ type, ...data }) => {
+            if (type === 'enabled')
+                manager.applyConfigChange({ enabled: data.enabled });
+        });
+        port.unref();
+    }
+
+    //  Do not hook require() on this thread; The main thread handles CommonJS
+    manager.hookRequire = false;
+    manager.applyConfigChange({ ...data.config, propagate: { enabled: false } });
+
+    //  Messages are printed by the main thread
+    if (port)
+        manager.consoleOutput = false;
+    manager.createLoaders();
+}
+
+/**
+ * Pass resolution along to the next hook
+ * @param {string} specifier The module specifier
+ * @param {object} context The resolve context
+ * @param {Function} nextResolve The next resolve hook
+ */
+export async function resolve(specifier, context, nextResolve) {
+    const result = await nextResolve(specifier, context);
+    manager.log(`Resolved ${specifier} to ${result.url}`, LogDetailLevel.Verbose);
+    return result;
+}
+
+/**
+ * Run ES module source through the loader pipeline
+ * @param {string} url The module URL
+ * @param {object} context The load context
+ * @param {Function} nextLoad The next load hook
+ */
+export async function load(url, context, nextLoad) {
+    const result = await nextLoad(url, context);
+
+    //  CommonJS modules are handled by the require() hooks on the main thread
+    if (!url.startsWith('file:') || result.format !== 'module' || result.source == null)
+        return result;
+
+    const filename = fileURLToPath(url),
+        loader = manager.getLoaderForFile(filename, true);
+
+    if (!manager.settings.enabled || !loader || !loader.enabled || !manager.isIncluded(filename, loader))
+        return result;
+
+    const source = typeof result.source === 'string'
+        ? result.source
+        : Buffer.from(result.source).toString(loader.encoding);
+
+    const attempt = manager.failureTracker.begin(filename, loader);
+    let failure = false;
+
+    try {
+        loader.log(`Starting ES module load process for ${filename} using ${loader.name}`, LogDetailLevel.Verbose);
+
+        const code = manager.runPipeline(filename, source, loader);
+
+        if (typeof code === 'string')
+            return { ...result, source: code };
+        failure = reportFailure(attempt);
+        manager.log(`Loader ${loader.name} is deferring ${filename} to the built-in ES module loader`, LogDetailLevel.Debug);
+    }
+    catch (error) {
+        failure = reportFailure(attempt, error);
+        manager.log(`Loader ${loader.name} failed to load ${filename}: Error: ${error}`, LogDetailLevel.Error);
+    }
+    finally {
+        manager.failureTracker.end(attempt);
+    }
+    if (failure)
+        throw failure;
+    return result;
+}
+
+/**
+ * Pass a failed load to the main thread, which keeps the list used for the exit report
+ * @param {KLF.ILoadAttempt} attempt The record returned by begin()
+ * @param {any} cause The error thrown by the loader, if any
+ * @returns {LoaderError | false} The error to throw, or false if the built-in loader should load the module
+ */
+function reportFailure(attempt, cause = undefined) {
+    const failure = manager.failureTracker.createFailure(attempt, cause);
+
+    if (port)
+        port.postMessage({ type: 'failure', failure });
+    else
+        manager.failureTracker.record(failure);
+    return failure.policy === FailurePolicy.Strict ? new LoaderError(failure, cause) : false;
+}
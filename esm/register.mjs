@@ -0,0 +1,22 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * ES module entry point.  Preload it to route both require() and import
+ * through klf-require:
+ *
+ *     node --import klf-require/esm/register.mjs app.mjs
+ *
+ * @version 1.0.0
+ */
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+/** @type {KLF.IModuleManagerWrapper} */
+const wrapper = require('../index.js');
+
+wrapper.registerEsmHooks();
+
+export default wrapper;
@@ -1,14 +1,26 @@
 /** @type {number} The line number in a source file */
 declare var __line;
 
+/** @type {string} The enclosing scope and file:line:col, e.g. Foo.bar (/src/foo.js:12:5) */
+declare var __callsite;
+
 /** @type {string} The current class name */
 declare var __class;
 
 /** @type {string} The current class member name*/
 declare var __member;
 
-/** @type {string} The current non-method function */
+/** @type {string} The current function, or the name of the current method */
 declare var __function;
 
+/** @type {string} When the module was transformed, as an ISO 8601 string */
+declare var __date;
+
+/** @type {string} The file:line:col where the macro appears */
+declare var __location;
+
+/** @type {string} A new UUID for each place the macro appears */
+declare var __newid;
+
 /** @type {string} MAGIC: Generates a new UUID each call during runtime */
 declare var __newUUID;
@@ -10,28 +10,229 @@ declare module 'loader' {
             /** Points to the original require implementation for a particular extension */
             export type NativeRequireLoader = (module: Module, filename: string) => any;
 
+            /** A transform stage; Returning false aborts the pipeline and defers the module */
+            export type PipelineCallback = (root: IToken, context: IPipelineContext) => void | boolean | Promise<void | boolean>;
+
+            /**
+             * Creates the replacement for a macro.  Throwing or returning undefined fails the
+             * transform, with the macro's position, so that the loader's failure policy applies
+             * @param token The macro identifier; For function-style calls, the token covers the whole call
+             * @param context The tokenizer context at the macro
+             * @param filename The module filename
+             * @param builder The AST builder
+             * @param args The parsed arguments if the macro is called like a function
+             */
+            export type MacroExpanderCallback = (token: IToken, context: ITokenizerContext, filename: string, builder: IAstBuilder, args?: IMacroArgument[]) => string | (IToken | string)[] | undefined;
+
+            /** How the __newid macro creates IDs */
+            export type NewIdStrategy = 'uuid' | 'hash' | 'sequential';
+
+            /** A single pipeline stage; Either a callback or a named stage object */
+            export type PipelineComponent = PipelineCallback | IPipelineStage;
+
             //#endregion
 
             //#region Interfaces
 
             /** Contains details on how to load a particular exteion, e.g. '.js' files */
+            /** Settings for running modules in their own vm context */
+            export interface ISandboxConfig {
+                /** Run modules handled by this loader in their own vm context */
+                enabled: boolean;
+
+                /** The modules to sandbox; If empty, every module the loader handles is sandboxed */
+                include: LoaderFilterList;
+
+                /** Names of globals copied from the main realm, or an object holding the globals to expose */
+                globals: string[] | { [name: string]: any };
+
+                /** Modules sandboxed code may require, as package names or filters matched against the resolved filename */
+                modules: LoaderFilterList;
+
+                /** Builtin modules sandboxed code may require, e.g. 'path' */
+                builtins: string[];
+
+                /** Milliseconds the top-level code of each module may run; 0 = unlimited */
+                timeout: number;
+            }
+
+            /** Replaces defined names such as process.env.NODE_ENV with literal values; A pipeline stage */
+            export interface IDefineReplacer extends IPipelineStage {
+                /** The source text of each value, keyed by dotted path */
+                defines: Map<string, string>;
+
+                /** False when nothing is defined, so the stage is skipped */
+                readonly enabled: boolean;
+
+                /**
+                 * Evaluate a condition made only of literals and operators
+                 * @param tokens The condition, without whitespace or comments
+                 * @returns The truth of the condition, or undefined if it is not constant
+                 */
+                evaluate(tokens: IToken[]): boolean | undefined;
+
+                /** Remove branches that cannot run once the values are substituted */
+                foldBranches: boolean;
+            }
+
+            /** Removes the regions of a module excluded by //#if, //#elif, //#else, and //#endif comments; A pipeline stage */
+            export interface IDirectiveProcessor extends IPipelineStage {
+                /** Honor directives in this loader's modules */
+                enabled: boolean;
+
+                /**
+                 * Evaluate the condition of an #if or #elif directive against the defines
+                 * @param condition The expression
+                 */
+                evaluate(condition: string): boolean;
+
+                /** The defined values, nested by path */
+                scope: { [name: string]: any };
+            }
+
+            /** An argument passed to a function-style macro */
+            export interface IMacroArgument {
+                /** Is the argument a string, number, boolean, null, or undefined literal? */
+                literal: boolean;
+
+                /** The argument source text */
+                raw: string;
+
+                /** The value of a literal argument; Otherwise the source text */
+                value: any;
+            }
+
+            /** Settings for a single macro */
+            export interface IMacroConfig {
+                /** Replace the macro */
+                enabled: boolean;
+
+                /** Additional settings read by the expander */
+                [key: string]: any;
+            }
+
+            /** Settings for the __newid macro */
+            export interface INewIdMacroConfig extends IMacroConfig {
+                /** Added to the start of each ID */
+                prefix: string;
+
+                /** The directory filenames are hashed relative to by the hash strategy; Defaults to the directory of each module's nearest package.json */
+                root?: string;
+
+                /** uuid for random IDs, hash for IDs derived from the filename and position, or sequential for 1, 2, 3... per module */
+                strategy: NewIdStrategy;
+            }
+
+            /** Replaces macros such as __class with literal values; A pipeline stage */
+            export interface IMacroExpander extends IPipelineStage {
+                /**
+                 * Replace a macro identifier with its value
+                 * @param ast The AST builder
+                 * @param context The tokenizer context at the token
+                 * @param token The identifier token
+                 * @returns True if the token was replaced
+                 */
+                expand(ast: IAstBuilder, context: ITokenizerContext, token: IToken): boolean;
+
+                /**
+                 * Get the settings for a macro; The loader's settings override the macro's own config
+                 * @param name The macro name
+                 */
+                getConfig(name: string): IMacroConfig | undefined;
+
+                /**
+                 * Get an enabled macro
+                 * @param name The macro name
+                 */
+                getMacro(name: string): IComponentEntry | false;
+
+                /**
+                 * Is a macro defined and enabled?
+                 * @param name The macro name
+                 */
+                isEnabled(name: string): boolean;
+
+                /**
+                 * If a function-style macro is called, extend the token to cover the call and keep the parsed arguments
+                 * @param ast The AST builder; Its remainder starts with the token
+                 * @param token The identifier token, before its position is updated
+                 */
+                readArguments(ast: IAstBuilder, token: IToken): boolean;
+
+                /** The loader's macro settings, keyed by macro name */
+                settings: { [name: string]: IMacroConfig };
+            }
+
+            /** Runs CommonJS modules in their own vm context */
+            export interface IModuleSandbox {
+                /**
+                 * Does the sandbox apply to a module?
+                 * @param filename The module filename
+                 */
+                appliesTo(filename: string): boolean;
+
+                /**
+                 * Compile a module inside a new context; Returns a function that runs it
+                 * @param module The module being loaded
+                 * @param code The transformed source
+                 * @param filename The module filename
+                 */
+                compile(module: Module, code: string, filename: string): () => void;
+
+                /**
+                 * Is a sandboxed module allowed to require something?
+                 * @param request The module specifier
+                 * @param module The module doing the requiring
+                 */
+                isAllowed(request: string, module: Module): boolean;
+
+                settings: ISandboxConfig;
+            }
+
             export interface IExtensionLoader<TAst = IAstBuilder, TToken = IToken> extends IImportLogger {
                 /** Designate the fallback loader if we fail */
                 addDefaultLoader(extension: string, require: NativeRequireLoader): void;
 
+                /**
+                 * Read the values this loader uses from its settings
+                 * @param settings The settings used to configure this loader
+                 */
+                applySettings(settings: Partial<IExtensionLoader>): void;
+
                 astGenerator: IAstBuilder<TAst>;
 
+                /**
+                 * Compile the finished source into the module; Returns a function that runs it.
+                 * Syntax errors are thrown before any of the module's code runs.
+                 * @param module The module being loaded
+                 * @param code The transformed source
+                 * @param filename The module filename
+                 */
+                compile(module: Module, code: string, filename: string): () => void;
+
                 /** Is this loader enabled? */
                 enabled: boolean;
 
-                /** Directories to exclude from the loader logic */
-                exclude?: LoaderFilterList[];
+                /** The encoding used to read source files; Defaults to utf8 */
+                encoding?: BufferEncoding;
+
+                /** Replaces defined names while loading; Configured with a map of names to values and foldBranches */
+                defines?: IDefineReplacer;
+
+                /** Removes regions excluded by directive comments; Configured with a boolean */
+                directives?: IDirectiveProcessor;
+
+                /** Files to exclude from the loader logic */
+                exclude?: LoaderFilterList;
 
                 /** One or more extensions to associate with this loader */
                 extensions: string[];
 
-                /** Directories to explicitly include in the loader logic */
-                include?: LoaderFilterList[];
+                /** Overrides the global failure policy if set */
+                failurePolicy?: FailurePolicy;
+
+                /** Files to explicitly include in the loader logic */
+                include?: LoaderFilterList;
 
                 /** Initialize the loader */
                 initialize(): void;
@@ -39,6 +240,25 @@ declare module 'loader' {
                 /** The name of the loader */
                 readonly name: string;
 
+                /** Expands macros; Only defined by loaders that support macros */
+                macros?: IMacroExpander;
+
+                /**
+                 * Check this loader's own include and exclude rules; Exclude rules take precedence
+                 * @param filename The file being loaded
+                 */
+                matchFilters(filename: string): LoaderFilterMatch | false;
+
+                /** Extensions that are only handled through the ES module hooks, e.g. '.mjs' */
+                moduleExtensions: string[];
+
+                /**
+                 * Called when the configuration changes; Re-initializes the loader if the change affects it
+                 * @param change The pending change
+                 * @returns False to reject the change
+                 */
+                onConfigChange(change: IConfigChange): boolean;
+
                 /** Optional callback to check if a file should be be skipped by the loader */
                 onExclude?: LoaderFilterCallback;
 
@@ -48,10 +268,17 @@ declare module 'loader' {
                 /** Optional callback for logging events*/
                 onMessage?: LogMessageCallback;
 
-                /** Ordered pipeline used to pre-parse module source */
-                pipeline: PipelineComponent[];
+                /** Ordered pipeline used to pre-parse module source; Module paths are loaded with require() */
+                pipeline: (PipelineComponent | string)[];
+
+                /** Runs selected modules in their own vm context; Configured with ISandboxConfig */
+                sandbox: IModuleSandbox;
+
+                /** Run the module through the pipeline and compile it; Returns false if the module was not handled */
+                require(module: object, filename: string): boolean;
 
-                require(module: object, filename: string): void;
+                /** The loader version; Part of the transform cache key */
+                readonly version: string;
 
                 /** Modules configured to create AST from source code */
                 tokenProviders: Map<string, IAstGenerator<TToken>>;
@@ -63,6 +290,42 @@ declare module 'loader' {
                 tokenProvidersSorted: IAstGenerator<TToken>[];
             }
 
+            /** State shared by every stage while a single module moves through the pipeline */
+            export interface IPipelineContext {
+                /** The builder that created the token tree */
+                builder: IAstBuilder<IToken>;
+
+                /** The module filename */
+                filename: string;
+
+                /** The loader handling the module */
+                loader: IExtensionLoader;
+
+                /** The module manager */
+                manager: IModuleManager;
+
+                /** The module being loaded, if any */
+                module?: Module;
+
+                /** The root of the token tree */
+                root: IToken;
+
+                /** The original source text */
+                source: string;
+            }
+
+            /** A named pipeline stage */
+            export interface IPipelineStage {
+                /** Stages that are explicitly disabled are skipped */
+                enabled?: boolean;
+
+                /** The name of the stage used when logging */
+                name: string;
+
+                /** Transform the token tree in place */
+                run: PipelineCallback;
+            }
+
             //#endregion
         }
     }
@@ -0,0 +1,358 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { IdentifierRole, LogDetailLevel, ReservedWord, TokenType } = require('../Constants'),
+    IdentifierClassifier = require('../ast/IdentifierClassifier'),
+    vm = require('vm');
+
+/** Identifiers that name a literal value */
+const LITERAL_NAMES = ['true', 'false', 'null', 'undefined', 'NaN', 'Infinity'];
+
+/** Operators that may appear in a condition that is folded */
+const CONDITION_OPERATORS = ['!', '&', '|', '<', '>', '+', '-'];
+
+/**
+ * Get the text a token will be generated as
+ * @param {KLF.IToken} token The token
+ * @returns {string}
+ */
+function outputOf(token) {
+    return typeof token.replacement === 'string' ? token.replacement : token.raw;
+}
+
+/**
+ * Replaces member-expression chains such as process.env.NODE_ENV with the
+ * literal values listed in the loader's defines setting, like the define
+ * option of a bundler.  Afterwards, if statements whose condition is now
+ * made only of literals are folded: The branch that cannot run is removed,
+ * e.g. if ("production" !== "production") { ... }
+ *
+ * Only identifiers that read a value are replaced; Declarations, parameters,
+ * property keys, and assignment targets are left alone, and shorthand
+ * properties are expanded, e.g. { __DEV__: false }.  If a defined name appears
+ * where its use cannot be worked out, the stage fails rather than risk
+ * emitting invalid code.  Replacement is not scope-aware; Uses of a local
+ * variable that shadows a defined name are replaced too.
+ * Removed code is replaced by its line breaks so that line numbers do not
+ * change.  Branches are only folded when they are blocks, since the flat
+ * token list does not show where any other statement ends, and folding is
+ * undone if the folded module would no longer parse.
+ *
+ * The replacer is a pipeline stage and runs before the loader's own stages.
+ */
+class DefineReplacer {
+    /**
+     * Create a replacer
+     * @param {KLF.IExtensionLoader} loader The loader that owns the replacer
+     * @param {Object.<string, any>} defines The values to substitute, keyed by name or dotted path
+     * @param {boolean} foldBranches Remove branches that cannot run once the values are substituted
+     */
+    constructor(loader, defines = {}, foldBranches = true) {
+        /** @type {KLF.IExtensionLoader} */
+        this.loader = loader;
+
+        /** The pipeline stage name */
+        this.name = 'defines';
+
+        /**
+         * The values to substitute, keyed by dotted path
+         * @type {Map<string, string>}
+         */
+        this.defines = new Map();
+
+        /** Remove branches that cannot run once the values are substituted */
+        this.foldBranches = foldBranches !== false;
+
+        for (const [key, value] of Object.entries(defines || {})) {
+            if (/^[\p{L}_$][\p{L}\p{N}_$]*(\.[\p{L}_$][\p{L}\p{N}_$]*)*$/u.test(key))
+                this.defines.set(key, DefineReplacer.toLiteral(value));
+            else
+                loader.log(`Loader ${loader.name}: Ignoring define '${key}'; Names must be identifiers separated by dots`, LogDetailLevel.Warning);
+        }
+    }
+
+    /** Stages are skipped when nothing is defined */
+    get enabled() {
+        return this.defines.size > 0;
+    }
+
+    /**
+     * Evaluate a condition made only of literals and operators
+     * @param {KLF.IToken[]} tokens The condition, without whitespace or comments
+     * @returns {boolean | undefined} The truth of the condition, or undefined if it is not constant
+     */
+    evaluate(tokens) {
+        if (tokens.length === 0)
+            return undefined;
+
+        for (const token of tokens) {
+            const constant = token.defined === true
+                || token.type === TokenType.Number
+                || token.type === TokenType.String && !token.raw.startsWith('`')
+                || token.type === TokenType.Identifier && typeof token.replacement !== 'string' && LITERAL_NAMES.includes(token.raw)
+                || token.type === TokenType.Equality
+                || token.type === TokenType.Paranthesis
+                || token.type === TokenType.RawText && CONDITION_OPERATORS.includes(token.raw);
+
+            if (!constant)
+                return undefined;
+        }
+        //  Only literals and operators remain, so the expression cannot reach anything
+        try {
+            return vm.runInThisContext(`!!(${tokens.map(outputOf).join('')})`, { timeout: 100 });
+        }
+        catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Find the token that closes a bracket
+     * @param {KLF.IToken[]} tokens The tokens, without whitespace or comments
+     * @param {number} index The position of the opening bracket
+     * @returns {number} The position of the closing bracket, or -1 if it was not found
+     */
+    static findClose(tokens, index) {
+        const open = tokens[index] && tokens[index].raw, close = open === '(' ? ')' : open === '{' ? '}' : undefined;
+        let depth = 0;
+
+        if (!close)
+            return -1;
+        for (let i = index; i < tokens.length; i++) {
+            if (tokens[i].raw === open)
+                depth++;
+            else if (tokens[i].raw === close && --depth === 0)
+                return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Find where an if statement ends, including any else branches
+     * @param {KLF.IToken[]} tokens The tokens, without whitespace or comments
+     * @param {number} index The position of the if keyword
+     * @returns {{ condition: [number, number], body: [number, number], elseAt: number, end: number } | false} Positions within tokens, or false if a branch is not a block
+     */
+    static findIfStatement(tokens, index) {
+        const
+            conditionEnd = DefineReplacer.findClose(tokens, index + 1),
+            bodyEnd = conditionEnd > -1 ? DefineReplacer.findClose(tokens, conditionEnd + 1) : -1;
+
+        if (bodyEnd === -1)
+            return false;
+
+        const next = tokens[bodyEnd + 1], result = { condition: [index + 2, conditionEnd - 1], body: [conditionEnd + 1, bodyEnd], elseAt: -1, end: bodyEnd };
+
+        if (next && next.raw === ReservedWord.Else) {
+            const following = tokens[bodyEnd + 2];
+            let end = -1;
+
+            if (following && following.raw === '{')
+                end = DefineReplacer.findClose(tokens, bodyEnd + 2);
+            else if (following && following.raw === ReservedWord.If) {
+                const chain = DefineReplacer.findIfStatement(tokens, bodyEnd + 2);
+                end = chain ? chain.end : -1;
+            }
+            if (end === -1)
+                return false;
+            result.elseAt = bodyEnd + 1;
+            result.end = end;
+        }
+        return result;
+    }
+
+    /**
+     * Check whether code parses as a CommonJS module body.  ES modules never
+     * do, so they are only checked when the unfolded code parses as well.
+     * @param {string} code The generated code
+     * @param {string} filename The module filename
+     * @returns {boolean}
+     */
+    static parses(code, filename) {
+        try {
+            vm.compileFunction(code, ['exports', 'require', 'module', '__filename', '__dirname'], { filename });
+            return true;
+        }
+        catch {
+            return false;
+        }
+    }
+
+    /**
+     * Remove the if statements whose condition is constant
+     * @param {KLF.IAstBuilder} builder The AST builder
+     * @param {KLF.IToken[]} tokens The tokens, without whitespace or comments
+     * @returns {number} The number of statements folded
+     */
+    fold(builder, tokens) {
+        let folded = 0;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i], previous = tokens[i - 1];
+
+            if (token.raw !== ReservedWord.If || token.removed || previous && previous.raw === '.')
+                continue;
+
+            const statement = DefineReplacer.findIfStatement(tokens, i);
+
+            //  Branches that are not blocks are left alone
+            if (!statement)
+                continue;
+
+            //  Names removed by substitute() are part of a replaced chain
+            const value = this.evaluate(tokens.slice(statement.condition[0], statement.condition[1] + 1).filter(t => !t.removed));
+
+            if (typeof value !== 'boolean')
+                continue;
+
+            const { body, elseAt, end } = statement;
+
+            if (value) {
+                //  Keep the block itself so that let and const stay scoped
+                this.remove(builder, tokens[i], tokens[body[0] - 1]);
+                if (elseAt > -1)
+                    this.remove(builder, tokens[elseAt], tokens[end]);
+            }
+            else if (elseAt > -1)
+                this.remove(builder, tokens[i], tokens[elseAt]);
+            else {
+                this.remove(builder, tokens[i], tokens[end]);
+                //  A statement may be required here, e.g. after else or for (...)
+                if (previous && !['{', '}', ';'].includes(previous.raw))
+                    token.replacement = `{}${token.replacement}`;
+            }
+            folded++;
+        }
+        return folded;
+    }
+
+    /**
+     * Replace a run of tokens with the line breaks it contains
+     * @param {KLF.IAstBuilder} builder The AST builder
+     * @param {KLF.IToken} first The first token to remove
+     * @param {KLF.IToken} last The last token to remove
+     */
+    remove(builder, first, last) {
+        for (let i = first.index; i <= last.index; i++) {
+            const token = builder.allTokens[i];
+
+            token.replacement = token.raw.replace(/[^\n]+/g, '');
+            token.removed = true;
+        }
+    }
+
+    /**
+     * Replace the defined names, then fold constant if statements
+     * @param {KLF.IToken} root The root token
+     * @param {KLF.IPipelineContext} context The pipeline context
+     */
+    run(root, context) {
+        const
+            { builder, filename } = context,
+            //  Code excluded by directives is already gone
+            tokens = IdentifierClassifier.getSignificantTokens(builder.allTokens),
+            replaced = this.substitute(builder, tokens);
+        let folded = 0;
+
+        if (this.foldBranches) {
+            const saved = builder.allTokens.map(({ replacement, removed }) => ({ replacement, removed }));
+
+            folded = this.fold(builder, tokens);
+            //  Folding trusts the brackets in the token list; Undo it if the result no longer parses
+            if (folded > 0 && !DefineReplacer.parses(builder.generate({ sourceMap: false }).code, filename)) {
+                const before = builder.allTokens.map((token, i) => typeof saved[i].replacement === 'string' ? saved[i].replacement : token.raw);
+
+                if (DefineReplacer.parses(before.join(''), filename)) {
+                    builder.allTokens.forEach((token, i) => Object.assign(token, saved[i]));
+                    this.loader.log(`Left ${folded} if statement(s) in ${filename} unfolded; Removing them would not parse`, LogDetailLevel.Warning, { filename });
+                    folded = 0;
+                }
+            }
+        }
+
+        if (replaced > 0 || folded > 0)
+            this.loader.log(`Replaced ${replaced} defined name(s) and folded ${folded} if statement(s) in ${filename}`, LogDetailLevel.Debug, { filename });
+    }
+
+    /**
+     * Replace each chain of identifiers that starts with a defined name
+     * @param {KLF.IAstBuilder} builder The AST builder
+     * @param {KLF.IToken[]} tokens The tokens, without whitespace or comments
+     * @returns {number} The number of chains replaced
+     */
+    substitute(builder, tokens) {
+        const roles = IdentifierClassifier.classify(tokens);
+        let replaced = 0;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i], role = roles.get(token);
+
+            if (token.type !== TokenType.Identifier || typeof token.replacement === 'string' || role === IdentifierRole.Key)
+                continue;
+
+            //  Collect a.b.c, then use the longest prefix that is defined
+            const ends = [i], names = [token.name];
+
+            while (tokens[ends[ends.length - 1] + 1] && tokens[ends[ends.length - 1] + 1].raw === '.') {
+                const next = tokens[ends[ends.length - 1] + 2];
+
+                if (!next || next.type !== TokenType.Identifier)
+                    break;
+                names.push(next.name);
+                ends.push(ends[ends.length - 1] + 2);
+            }
+
+            let length = names.length;
+            while (length > 0 && !this.defines.has(names.slice(0, length).join('.')))
+                length--;
+            if (length === 0)
+                continue;
+
+            const end = ends[length - 1], name = names.slice(0, length).join('.');
+
+            if (role === IdentifierRole.Unknown) {
+                const message = `Cannot tell how defined name ${name} is used at ${builder.filename}:${token.start.line + 1}:${token.start.col + 1}`;
+
+                this.loader.log(message, LogDetailLevel.Error, { filename: builder.filename, position: { ...token.start } });
+                throw Object.assign(new Error(message), { position: { ...token.start } });
+            }
+            //  Leave declarations, parameters, and assignment targets alone
+            else if (role !== IdentifierRole.Value && role !== IdentifierRole.Shorthand || roles.get(tokens[end]) === IdentifierRole.Target)
+                continue;
+
+            if (end > i)
+                this.remove(builder, builder.allTokens[token.index + 1], tokens[end]);
+            token.replacement = role === IdentifierRole.Shorthand ? `${token.name}: ${this.defines.get(name)}` : this.defines.get(name);
+            token.defined = true;
+            replaced++;
+            i = end;
+        }
+        return replaced;
+    }
+
+    /**
+     * Create the source text for a defined value
+     * @param {any} value The value
+     * @returns {string}
+     */
+    static toLiteral(value) {
+        if (typeof value === 'undefined')
+            return 'undefined';
+        else if (typeof value === 'number' && value < 0)
+            return `(${value})`;
+        else if (typeof value === 'number' && !isFinite(value))
+            return String(value);
+        else if (value && typeof value === 'object')
+            return `(${JSON.stringify(value)})`;
+        return JSON.stringify(value);
+    }
+}
+
+module.exports = DefineReplacer;
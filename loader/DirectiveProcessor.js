@@ -0,0 +1,208 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { LogDetailLevel, TokenType } = require('../Constants'),
+    vm = require('vm');
+
+/** Matches an inline comment holding a directive, e.g. //#if DEBUG */
+const DIRECTIVE_PATTERN = /^\/\/\s*#(if|elif|else|endif)\b(.*)$/;
+
+/**
+ * Get the file:line:col location of a token
+ * @param {string} filename The module filename
+ * @param {KLF.IToken} token The token
+ * @returns {string}
+ */
+function formatLocation(filename, token) {
+    return `${filename}:${token.start.line + 1}:${token.start.col + 1}`;
+}
+
+/**
+ * Removes regions of a module using directives in inline comments, similar to
+ * the C preprocessor:
+ *
+ *     //#if DEBUG && process.env.NODE_ENV !== 'production'
+ *     require('./diagnostics').install();
+ *     //#elif TRACE
+ *     ...
+ *     //#else
+ *     ...
+ *     //#endif
+ *
+ * Conditions are JavaScript expressions evaluated against the loader's
+ * defines; Names that are not defined are undefined.  Excluded regions are
+ * replaced by their line breaks so that line numbers do not change.
+ * Directives may be nested.  Unbalanced directives and conditions that cannot
+ * be evaluated are logged as errors and fail the load.
+ *
+ * The processor is a pipeline stage and runs before macros are expanded and
+ * defines are replaced, so neither touches excluded code.
+ */
+class DirectiveProcessor {
+    /**
+     * Create a directive processor
+     * @param {KLF.IExtensionLoader} loader The loader that owns the processor
+     * @param {Object.<string, any>} defines The values conditions are evaluated against, keyed by name or dotted path
+     * @param {boolean} enabled Honor directives in this loader's modules
+     */
+    constructor(loader, defines = {}, enabled = true) {
+        /** @type {KLF.IExtensionLoader} */
+        this.loader = loader;
+
+        /** The pipeline stage name */
+        this.name = 'directives';
+
+        /** Stages are skipped when disabled */
+        this.enabled = enabled !== false;
+
+        /**
+         * The defined values, nested by path, e.g. { process: { env: { NODE_ENV: 'production' } } }
+         * @type {Object.<string, any>}
+         */
+        this.scope = {};
+
+        for (const [key, value] of Object.entries(defines || {})) {
+            const parts = key.split('.'), last = parts.pop();
+            let target = this.scope;
+
+            for (const part of parts) {
+                if (!target[part] || typeof target[part] !== 'object')
+                    target[part] = {};
+                target = target[part];
+            }
+            target[last] = value;
+        }
+    }
+
+    /**
+     * Evaluate the condition of an #if or #elif directive
+     * @param {string} condition The expression
+     * @returns {boolean}
+     */
+    evaluate(condition) {
+        //  Every name resolves through the scope so that undefined names do not throw
+        const scope = new Proxy(this.scope, {
+            get: (target, key) => Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined,
+            has: (target, key) => key !== Symbol.unscopables
+        });
+
+        return vm.runInNewContext(`with (scope) { !!(${condition}\n) }`, { scope }, { timeout: 100 });
+    }
+
+    /**
+     * Replace the tokens between two directives with the line breaks they contain
+     * @param {KLF.IAstBuilder} builder The AST builder
+     * @param {KLF.IToken} after The directive that starts the region
+     * @param {KLF.IToken} before The directive that ends the region
+     */
+    exclude(builder, after, before) {
+        for (let i = after.index + 1; i < before.index; i++) {
+            const token = builder.allTokens[i];
+
+            token.replacement = token.raw.replace(/[^\n]+/g, '');
+            token.removed = true;
+        }
+    }
+
+    /**
+     * Remove the regions excluded by directives
+     * @param {KLF.IToken} root The root token
+     * @param {KLF.IPipelineContext} context The pipeline context
+     */
+    run(root, context) {
+        const
+            { builder, filename } = context,
+            errors = [],
+            stack = [];
+        let excluded = 0;
+
+        const fail = (token, message) => {
+            this.loader.log(`${message} (${formatLocation(filename, token)})`, LogDetailLevel.Error, { filename, position: { ...token.start } });
+            errors.push({ message, token });
+        };
+        //  Is code included by the frames enclosing the given depth?
+        const isLive = (depth) => stack.slice(0, depth).every(f => f.active);
+
+        for (const token of builder.allTokens) {
+            const match = token.type === TokenType.CommentInline && DIRECTIVE_PATTERN.exec(token.raw);
+
+            if (!match)
+                continue;
+
+            const [, directive, text] = match, condition = text.trim(), frame = stack[stack.length - 1];
+
+            //  The region that ends here belongs to the frame on top of the stack
+            if (directive !== 'if' && frame && !frame.active && isLive(-1)) {
+                this.exclude(builder, frame.token, token);
+                excluded++;
+            }
+
+            if (directive === 'if' || directive === 'elif') {
+                let value = false;
+
+                if (directive === 'elif' && !frame) {
+                    fail(token, '#elif without #if');
+                    continue;
+                }
+                else if (directive === 'elif' && frame.sawElse)
+                    fail(token, `#elif after #else (#else at ${formatLocation(filename, frame.token)})`);
+
+                if (condition.length === 0)
+                    fail(token, `#${directive} requires a condition`);
+                //  Like the C preprocessor, conditions that cannot matter are not evaluated
+                else if (directive === 'if' ? isLive(stack.length) : isLive(-1) && !frame.taken) {
+                    try {
+                        value = this.evaluate(condition);
+                    }
+                    catch (err) {
+                        fail(token, `Cannot evaluate #${directive} ${condition}: ${err.message}`);
+                    }
+                }
+
+                if (directive === 'if')
+                    stack.push({ active: value, taken: value, sawElse: false, start: token, token });
+                else {
+                    frame.active = !frame.taken && value;
+                    frame.taken = frame.taken || value;
+                    frame.token = token;
+                }
+            }
+            else if (directive === 'else') {
+                if (!frame) {
+                    fail(token, '#else without #if');
+                    continue;
+                }
+                else if (frame.sawElse)
+                    fail(token, `Duplicate #else (first #else at ${formatLocation(filename, frame.token)})`);
+                frame.active = !frame.taken;
+                frame.taken = true;
+                frame.sawElse = true;
+                frame.token = token;
+            }
+            else if (!frame)
+                fail(token, '#endif without #if');
+            else
+                stack.pop();
+        }
+
+        for (const frame of stack) {
+            fail(frame.start, '#if without #endif');
+        }
+
+        if (errors.length > 0) {
+            const [{ message, token }] = errors;
+            throw Object.assign(new Error(`${filename} has ${errors.length} invalid directive(s); First: ${message}`), { position: { ...token.start } });
+        }
+        else if (excluded > 0)
+            this.loader.log(`Excluded ${excluded} region(s) of ${filename} using directives`, LogDetailLevel.Debug, { filename });
+    }
+}
+
+module.exports = DirectiveProcessor;
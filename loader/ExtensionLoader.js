@@ -7,8 +7,14 @@
  */
 'use strict';
 const { EventEmitter } = require('events');
+const { FailurePolicy, LogDetailLevel, TokenType } = require('../Constants');
+const GeneratorBase = require('../ast/generators/GeneratorBase');
+const FilterUtil = require('../util/FilterUtil');
+const ModuleSandbox = require('./ModuleSandbox');
 const path = require('path');
 const fs = require('fs');
+const vm = require('vm');
+const { version: packageVersion } = require('../package.json');
 
 /**
  * @implements {KLF.IExtensionLoader<KLF.IAstBuilder<KLF.IToken>, KLF.IToken>}
@@ -22,8 +28,45 @@ class ExtensionLoader extends EventEmitter {
     constructor(manager, settings) {
         super();
 
+        /** @type {ModuleManager} */
+        this.manager = manager;
+
+        /** @type {Object.<string,KLF.NativeRequireLoader>} */
+        this.fallbackLoaders = {};
+
+        /** @type {KLF.IAstGenerator[]} */
+        this.tokenProvidersSorted = [];
+
+        this.applySettings(settings);
+    }
+
+    /**
+     *
+     * @param {string} extension The extension we are defining a fallback for
+     * @param {KLF.NativeRequireLoader} callback The callback we should use if we fail
+     */
+    addDefaultLoader(extension, callback) {
+        if (typeof callback !== 'undefined') {
+            if (typeof callback !== 'function') {
+                this.log(`Loader ${this.name}: Callback for extension ${extension} MUST be a function`, LogDetailLevel.Error);
+            }
+            else if (extension in this.fallbackLoaders) {
+                this.log(`Loader ${this.name} already has fallback loader for extension ${extension}; Overwriting existing`, LogDetailLevel.Warning);
+            }
+            this.fallbackLoaders[extension] = callback;
+        }
+    }
+
+    /**
+     * Read the values this loader uses from its settings
+     * @param {KLF.IExtensionLoader} settings The settings used to configure this loader
+     */
+    applySettings(settings) {
         /** @type {typeof AstGenerator} */
-        this.astGenerator = settings.astGenerator;
+        this.astGenerator = settings.astGenerator || settings.ast && settings.ast.builder;
+
+        /** @type {string} */
+        this.encoding = settings.encoding || 'utf8';
 
         /** @type {boolean} */
         this.enabled = settings.enabled === true;
@@ -34,46 +77,39 @@ class ExtensionLoader extends EventEmitter {
         /** @type {string} */
         this.extensions = Array.isArray(settings.extensions) ? settings.extensions : [];
 
+        /** @type {KLF.FailurePolicy | undefined} Overrides the global failure policy if set */
+        this.failurePolicy = settings.failurePolicy || undefined;
+
         /** @type {KLF.LoaderFilter[]} */
         this.include = Array.isArray(settings.include) ? settings.include : [];
 
+        /** @type {string[]} */
+        this.moduleExtensions = Array.isArray(settings.moduleExtensions) ? settings.moduleExtensions : [];
+
         /** @type {KLF.LoaderFilterCallback} */
         this.onExclude = settings.onExclude || false;
 
         /** @type {KLF.LoaderFilterCallback} */
         this.onInclude = settings.onInclude || false;
 
-        /** @type {ModuleManager} */
-        this.manager = manager;
-
         /** @type {string} */
         this.name = settings.name || this.constructor.name;
 
-        /** @type {Object.<string,KLF.NativeRequireLoader>} */
-        this.fallbackLoaders = {};
+        /** Runs selected modules in their own vm context */
+        this.sandbox = new ModuleSandbox(this, settings.sandbox);
 
-        /** @type {Object.<string,KLF.IAstGenerator>} */
-        this.tokenProviders = settings.tokenProviders;
+        /** @type {string} */
+        this.version = settings.version || packageVersion;
 
-        /** @type {KLF.IAstGenerator[]} */
-        this.tokenProvidersSorted = [];
-    }
+        /**
+         * Stages may be given as module paths so that the config can be passed to other threads
+         * @type {KLF.PipelineComponent[]}
+         */
+        this.pipeline = (Array.isArray(settings.pipeline) ? settings.pipeline : [])
+            .map(stage => typeof stage === 'string' ? require(stage) : stage);
 
-    /**
-     *
-     * @param {string} extension The extension we are defining a fallback for
-     * @param {KLF.NativeRequireLoader} callback The callback we should use if we fail
-     */
-    addDefaultLoader(extension, callback) {
-        if (typeof callback !== 'undefined') {
-            if (typeof callback !== 'function') {
-                this.log(`Loader ${this.name}: Callback for extension ${extension} MUST be a function`, LogDetailLevel.Error);
-            }
-            else if (extension in this.fallbackLoaders) {
-                this.log(`Loader ${this.name} already has fallback loader for extension ${extension}; Overwriting existing`, LogDetailLevel.Warning);
-            }
-            this.fallbackLoaders[extension] = callback;
-        }
+        /** @type {Object.<string,KLF.IAstGenerator>} */
+        this.tokenProviders = settings.tokenProviders || ExtensionLoader.getTokenProviders(settings.ast && settings.ast.generators);
     }
 
     /**
@@ -89,6 +125,24 @@ class ExtensionLoader extends EventEmitter {
         return generator;
     }
 
+    /**
+     * Compile the finished source into the module.  Syntax errors are thrown
+     * here, before any of the module's code runs, so that they are treated as
+     * transform failures.
+     * @param {Module} module The module being loaded
+     * @param {string} code The transformed source code
+     * @param {string} filename The name of the file the module is stored in
+     * @returns {() => void} Runs the module's top-level code
+     */
+    compile(module, code, filename) {
+        if (this.sandbox.appliesTo(filename))
+            return this.sandbox.compile(module, code, filename);
+
+        //  module._compile() both compiles and runs; Check the syntax on its own first
+        vm.compileFunction(code, ['exports', 'require', 'module', '__filename', '__dirname'], { filename });
+        return () => module._compile(code, filename);
+    }
+
     /**
      * Get all known loadertypes
      */
@@ -124,6 +178,69 @@ class ExtensionLoader extends EventEmitter {
     }
 
 
+    /**
+     * Get the schema used to validate this loader's settings.  Loaders that
+     * accept additional settings should extend this schema.
+     * @returns {KLF.IConfigSchema}
+     */
+    static getConfigSchema() {
+        const filterList = { type: 'array', items: { type: ['string', 'regexp', 'function'] } };
+
+        return {
+            type: 'object',
+            properties: {
+                ast: {
+                    type: 'object',
+                    properties: {
+                        builder: { type: 'function' },
+                        generators: { type: 'object' }
+                    }
+                },
+                astGenerator: { type: 'function' },
+                encoding: { type: 'string' },
+                enabled: { type: 'boolean' },
+                exclude: filterList,
+                extensions: { type: 'array', items: { type: 'string' } },
+                failurePolicy: { type: 'string', enum: FailurePolicy },
+                include: filterList,
+                moduleExtensions: { type: 'array', items: { type: 'string' } },
+                name: { type: 'string' },
+                onExclude: { type: 'function' },
+                onInclude: { type: 'function' },
+                pipeline: { type: 'array', items: { type: ['function', 'object', 'string'] } },
+                sandbox: ModuleSandbox.getConfigSchema(),
+                tokenProviders: { type: 'object' },
+                version: { type: 'string' }
+            }
+        };
+    }
+
+    /**
+     * Get the default config
+     * @param {Partial<KLF.IModuleManager>} config Configuration being created
+     * @returns {Partial<KLF.IExtensionLoader>}
+     */
+    static getDefaultConfig(config) {
+        return { $schema: this.getConfigSchema(), sandbox: ModuleSandbox.getDefaultConfig() };
+    }
+
+    /**
+     * Convert generator entries from the AST config into token providers
+     * @param {Object.<string,KLF.IAstComponentConfig<KLF.IAstGenerator>>} generators The configured generators
+     * @returns {Object.<string,KLF.IAstGenerator>}
+     */
+    static getTokenProviders(generators = {}) {
+        const result = {};
+        for (const [name, entry] of Object.entries(generators || {})) {
+            if (entry && typeof entry.type === 'function') {
+                if (entry.config && entry.config.enabled === false)
+                    continue;
+                result[name] = entry.type;
+            }
+        }
+        return result;
+    }
+
     /**
      * Record a message in the log
      * @param {string} message The message to record
@@ -131,7 +248,52 @@ class ExtensionLoader extends EventEmitter {
      * @param  {object} args Any additional arguments to pass
      */
     log(message, detailLevel, args) {
-        this.manager.log(message, detailLevel, args);
+        this.manager.log(message, detailLevel, { component: this.name, loader: this.name, ...args });
+    }
+
+    /**
+     * Check this loader's own include and exclude rules; Exclude rules take precedence
+     * @param {string} filename The file being loaded
+     * @returns {KLF.LoaderFilterMatch | false} The matching rule or false if no rule matched
+     */
+    matchFilters(filename) {
+        const excluded = FilterUtil.findMatch(this.exclude, filename);
+        if (typeof excluded !== 'undefined')
+            return { action: 'Exclude', filter: excluded, source: this.name };
+
+        const included = FilterUtil.findMatch(this.include, filename);
+        if (typeof included !== 'undefined')
+            return { action: 'Include', filter: included, source: this.name };
+
+        return false;
+    }
+
+    /**
+     * Called by the manager when the configuration changes.  If the change
+     * affects this loader, each token provider is asked whether it accepts
+     * the change, then the settings are read again and the providers re-created.
+     * @param {KLF.IConfigChange} change The pending change
+     * @returns {boolean} Returns false to reject the change
+     */
+    onConfigChange(change) {
+        const
+            prefix = `loaders.${this.name}`,
+            entry = change.settings.loaders[this.name],
+            affected = change.diff.some(({ path }) => path === prefix || path.startsWith(prefix + '.') || path.startsWith('ast.generators'));
+
+        if (!affected || !entry)
+            return true;
+
+        for (const provider of this.tokenProvidersSorted) {
+            if (typeof provider.onConfigChange === 'function' && provider.onConfigChange(change, this) === false) {
+                this.log(`Token provider ${provider.name} rejected the configuration change`, LogDetailLevel.Warning);
+                return false;
+            }
+        }
+        this.applySettings({ name: this.name, ...entry.config });
+        this.initialize();
+        this.log(`Loader ${this.name} was re-initialized after a configuration change`, LogDetailLevel.Debug);
+        return true;
     }
 
     /**
@@ -143,13 +305,24 @@ class ExtensionLoader extends EventEmitter {
         /**
          * Process:
          * (1) Read the file content,
-         * (2) Tokenize the content,
+         * (2) Run the content through the manager's pipeline,
          * (3) Compile results
          */
         const
-            source = fs.readFileSync(filename, { encoding: this.encoding || 'utf8' }),
-            treeBuilder = this.createTreeBuilder({ filename, source }),
-            tokenRoot = treeBuilder.nextToken();
+            profiler = this.manager.loadProfiler,
+            source = profiler.measure('read', () => fs.readFileSync(filename, { encoding: this.encoding })),
+            code = this.manager.runPipeline(filename, source, this, module);
+
+        if (typeof code !== 'string')
+            return false;
+
+        profiler.measure('compile', () => {
+            const run = this.compile(module, code, filename);
+
+            this.manager.failureTracker.compiling(filename);
+            run();
+        });
+        return true;
     }
 
     initialize() {
@@ -162,7 +335,7 @@ class ExtensionLoader extends EventEmitter {
         let nextId = Number.MAX_SAFE_INTEGER - 1;
 
         for (const [name, type] of Object.entries(this.tokenProviders)) {
-            const enumLookup = name.startsWith('Ast') ? name.slice(3) : name;
+            const enumLookup = name.replace(/^Ast/, '').replace(/Generator$/, '');
             let enumValue = TokenType[enumLookup], instance = undefined;
 
             if (typeof enumValue !== 'number') {
@@ -176,7 +349,7 @@ class ExtensionLoader extends EventEmitter {
                 this.tokenProvidersSorted.push(instance);
             }
             else if (typeof type === 'object') {
-                instance = new AstTokenProvider({ name, ...type, id: enumValue, loader: this, tokenName: enumLookup });
+                instance = new GeneratorBase({ name, ...type, id: enumValue, loader: this, tokenName: enumLookup });
                 this.tokenProvidersById[enumValue] = instance;
                 this.tokenProvidersSorted.push(instance);
             }
@@ -6,7 +6,11 @@
  * 
  * @version 1.0.0
  */
+const DefineReplacer = require('./DefineReplacer');
+const DirectiveProcessor = require('./DirectiveProcessor');
 const ExtensionLoader = require('./ExtensionLoader');
+const MacroExpander = require('./MacroExpander');
+const ModuleSandbox = require('./ModuleSandbox');
 const AstGeneratorJS = require('../ast/AstGeneratorJS');
 
 /**
@@ -37,6 +41,24 @@ class ExtensionLoaderJS extends ExtensionLoader {
         return this;
     }
 
+    /**
+     * Read the values this loader uses from its settings
+     * @param {IExtensionLoaderJS} settings The settings used to configure this loader
+     */
+    applySettings(settings) {
+        super.applySettings(settings);
+
+        /** Replaces defined names such as process.env.NODE_ENV and folds the branches that cannot run */
+        this.defines = new DefineReplacer(this, settings.defines, settings.foldBranches);
+
+        /** Removes the regions excluded by //#if directives; Runs first so excluded code is never expanded or replaced */
+        this.directives = new DirectiveProcessor(this, settings.defines, settings.directives);
+
+        /** Replaces macros such as __class with literal values using the scope recorded while tokenizing */
+        this.macros = new MacroExpander(this, settings.macros);
+        this.pipeline.unshift(this.directives, this.macros, this.defines);
+    }
+
     /**
      *
      * @param {Partial<KLF.IAstBuilder<KLF.IToken>>} options
@@ -46,6 +68,39 @@ class ExtensionLoaderJS extends ExtensionLoader {
         return new AstGeneratorJS({ ...options, loader: this });
     }
 
+    /**
+     * Get the schema used to validate this loader's settings
+     * @returns {KLF.IConfigSchema}
+     */
+    static getConfigSchema() {
+        const schema = super.getConfigSchema();
+
+        schema.properties.defines = { type: 'object', additionalProperties: { type: 'any' } };
+        schema.properties.directives = { type: 'boolean' };
+        schema.properties.foldBranches = { type: 'boolean' };
+        schema.properties.macros = {
+            type: 'object',
+            properties: {
+                __newid: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean' },
+                        prefix: { type: 'string' },
+                        root: { type: 'string' },
+                        strategy: { type: 'string', enum: ['uuid', 'hash', 'sequential'] }
+                    }
+                }
+            },
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean' }
+                }
+            }
+        };
+        return schema;
+    }
+
     /**
      * Get the default config
      * @param {Partial<KLF.IModuleManager>} config Configuration being created
@@ -53,13 +108,20 @@ class ExtensionLoaderJS extends ExtensionLoader {
      */
     static getDefaultConfig(config) {
         const componentConfig = {
+            $schema: this.getConfigSchema(),
             ast: {
                 builder: AstGeneratorJS,
                 generators: config.ast.generators
             },
+            /** Names or dotted paths, e.g. process.env.NODE_ENV, replaced by literal values while loading */
+            defines: {},
+            /** Honor //#if, //#elif, //#else, and //#endif comments, evaluated against the defines */
+            directives: true,
             enabled: true,
             exclude: [],
             extensions: [".js"],
+            /** Remove if statements whose condition is constant once the defines are replaced */
+            foldBranches: true,
             include: [],
             macros: {
                 __callsite: {
@@ -81,33 +143,22 @@ class ExtensionLoaderJS extends ExtensionLoader {
                     enabled: true,
                 },
                 __newid: {
-                    enabled: false
+                    enabled: false,
+                    /** Added to the start of each ID */
+                    prefix: '',
+                    /** The directory filenames are hashed relative to by the hash strategy; Defaults to the directory of each module's nearest package.json */
+                    root: undefined,
+                    /** uuid for random IDs, hash for IDs derived from the filename and position, or sequential for 1, 2, 3... per module */
+                    strategy: 'uuid'
                 }
-            }
+            },
+            moduleExtensions: [".mjs"],
+            pipeline: [],
+            sandbox: ModuleSandbox.getDefaultConfig()
         }
 
         return componentConfig;
     }
-
-    /**
-     * Attempt to use internal logic to load a module
-     * @param {Module} module The module being loaded
-     * @param {string} filename The name of the file the module is stored in
-     */
-    require(module, filename) {
-        /**
-         * Process:
-         * (1) Read the file content,
-         * (2) Tokenize the content,
-         * (3) Run pipeline,
-         * (4) Collate results
-         * (5) Pass content off to Node's compiler
-         */
-        const
-            source = fs.readFileSync(filename, { encoding: this.encoding || 'utf8' }),
-            treeBuilder = this.createTreeBuilder({ filename, source, module, loader: this }),
-            globalToken = treeBuilder.tokenize();
-    }
 }
 
 module.exports = ExtensionLoaderJS;
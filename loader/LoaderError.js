@@ -0,0 +1,50 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+/**
+ * Thrown into the require() caller when a loader using the strict failure
+ * policy cannot transform a module.
+ */
+class LoaderError extends Error {
+    /**
+     * Create an error describing a failed load
+     * @param {KLF.ILoadFailure} failure Details about the failure
+     * @param {any} cause The error thrown by the loader, if any
+     */
+    constructor(failure, cause = undefined) {
+        super(LoaderError.formatMessage(failure), typeof cause === 'undefined' ? undefined : { cause });
+
+        this.name = 'LoaderError';
+        this.code = 'KLF_LOAD_FAILED';
+
+        /** The module that could not be loaded */
+        this.filename = failure.filename;
+
+        /** The name of the loader that failed */
+        this.loader = failure.loader;
+
+        /** @type {KLF.SourcePosition | undefined} Where the loader stopped, if known */
+        this.position = failure.position;
+
+        /** Why the loader failed */
+        this.reason = failure.reason;
+    }
+
+    /**
+     * Create the error message
+     * @param {KLF.ILoadFailure} failure Details about the failure
+     * @returns {string}
+     */
+    static formatMessage({ filename, loader, position, reason }) {
+        const location = position ? `${filename}:${position.line + 1}:${position.col + 1}` : filename;
+        return `Loader ${loader} could not load ${location}: ${reason}`;
+    }
+}
+
+module.exports = LoaderError;
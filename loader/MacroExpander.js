@@ -0,0 +1,390 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { IdentifierRole, LogDetailLevel } = require('../Constants'),
+    IdentifierClassifier = require('../ast/IdentifierClassifier'),
+    RegExUtil = require('../util/RegExUtil'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    path = require('path');
+
+/**
+ * The directory of the nearest package.json, keyed by the directory searched from
+ * @type {Map<string, string | false>}
+ */
+const packageRoots = new Map();
+
+/**
+ * The last sequential ID used in each module being tokenized
+ * @type {WeakMap<KLF.IAstBuilder, number>}
+ */
+const sequences = new WeakMap();
+
+/**
+ * Describe the innermost named scope of a context, e.g. Foo.bar
+ * @param {KLF.ITokenizerContext} context The tokenizer context
+ * @returns {string | undefined}
+ */
+function describeScope(context) {
+    const
+        className = context.thisClass && context.thisClass.className,
+        memberName = context.thisMember && context.thisMember.name;
+
+    if (context.thisFunction)
+        return context.thisFunction.functionName || '(anonymous)';
+    else if (memberName)
+        return `${className || '(anonymous)'}.${memberName}`;
+    return undefined;
+}
+
+/**
+ * Find the directory of the package a module belongs to
+ * @param {string} filename The module filename
+ * @returns {string} The directory of the nearest package.json; Otherwise the
+ * directory of the main module, or the working directory if there is none
+ */
+function findPackageRoot(filename) {
+    const start = path.dirname(path.resolve(filename));
+
+    if (!packageRoots.has(start)) {
+        let directory = start, found = false;
+
+        while (!found) {
+            const parent = path.dirname(directory);
+
+            if (fs.existsSync(path.join(directory, 'package.json')))
+                found = directory;
+            else if (parent === directory)
+                break;
+            directory = parent;
+        }
+        packageRoots.set(start, found);
+    }
+    return packageRoots.get(start) || (require.main ? path.dirname(require.main.filename) : process.cwd());
+}
+
+/**
+ * Get the file:line:col location of a token
+ * @param {string} filename The module filename
+ * @param {KLF.IToken} token The token
+ * @returns {string}
+ */
+function formatLocation(filename, token) {
+    return `${filename}:${token.start.line + 1}:${token.start.col + 1}`;
+}
+
+/**
+ * Create the ID for a __newid macro using the strategy in its config:
+ * - uuid: A random version 4 UUID (the default)
+ * - hash: The first 16 hex digits of a SHA-256 hash of the filename, relative
+ *   to the root setting, and the position of the macro; Stable across restarts
+ *   and deployments as long as the macro does not move.  The root defaults to
+ *   the directory of the module's nearest package.json, so the IDs do not
+ *   depend on the working directory
+ * - sequential: 1, 2, 3, ... counted separately for each module
+ * @param {KLF.IToken} token The macro identifier
+ * @param {KLF.ITokenizerContext} context The tokenizer context
+ * @param {string} filename The module filename
+ * @param {KLF.IAstBuilder} builder The AST builder
+ * @returns {string}
+ */
+function newId(token, context, filename, builder) {
+    const { prefix = '', root, strategy = 'uuid' } = builder.loader.macros.getConfig(token.name) || {};
+    let id;
+
+    if (strategy === 'uuid')
+        id = crypto.randomUUID();
+    else if (strategy === 'hash') {
+        const location = `${path.relative(root || findPackageRoot(filename), filename).replace(/\\/g, '/')}:${token.start.line}:${token.start.col}`;
+        id = crypto.createHash('sha256').update(location).digest('hex').slice(0, 16);
+    }
+    else if (strategy === 'sequential') {
+        id = (sequences.get(builder) || 0) + 1;
+        sequences.set(builder, id);
+    }
+    else
+        throw new Error(`Unknown ID strategy '${strategy}'; Expected uuid, hash, or sequential`);
+    return JSON.stringify(`${prefix}${id}`);
+}
+
+/**
+ * Reject a macro used outside of the scope it describes
+ * @param {KLF.IToken} token The macro identifier
+ * @param {string} scope A description of where the macro may be used
+ * @returns {never}
+ */
+function outOfScope(token, scope) {
+    throw new Error(`${token.name} cannot be used outside of ${scope}`);
+}
+
+/**
+ * Split the argument list of a function-style macro
+ * @param {string} text The source following the macro name
+ * @returns {{ args: KLF.IMacroArgument[], length: number } | false} The arguments and the length of the call text, or false if there is no call
+ */
+function parseArguments(text) {
+    const open = text.search(/\S/), args = [];
+    let depth = 0, quote = false, start = open + 1, previous = '';
+
+    if (open === -1 || text.charAt(open) !== '(')
+        return false;
+
+    for (let i = open; i < text.length; i++) {
+        const c = text.charAt(i), inQuote = quote, literal = c === '/' && !quote && /^[-(,=:[!&|?{};+*%<>~^]$/.test(previous) && RegExUtil.readLiteral(text, i);
+
+        if (quote) {
+            if (c === '\\')
+                i++;
+            else if (c === quote)
+                quote = false;
+        }
+        else if (c === '\'' || c === '"' || c === '`')
+            quote = c;
+        //  A slash after an operator or bracket starts a regular expression, e.g. __env(/)/)
+        else if (literal)
+            i += literal.length - 1;
+        else if (c === '(' || c === '[' || c === '{')
+            depth++;
+        else if (c === ',' && depth === 1) {
+            args.push(text.slice(start, i));
+            start = i + 1;
+        }
+        else if ((c === ')' || c === ']' || c === '}') && --depth === 0) {
+            args.push(text.slice(start, i));
+            //  Allow f() and a trailing comma
+            if (args[args.length - 1].trim().length === 0)
+                args.pop();
+            return { args: args.map(raw => parseLiteral(raw.trim())), length: i + 1 };
+        }
+
+        //  Strings and regular expressions end a value, like the last character of a name
+        if (/\S/.test(c) && (!inQuote || !quote))
+            previous = c;
+    }
+    return false;
+}
+
+/**
+ * Get the value of an argument if it is a literal
+ * @param {string} raw The argument source
+ * @returns {KLF.IMacroArgument}
+ */
+function parseLiteral(raw) {
+    const keywords = { true: true, false: false, null: null, undefined: undefined };
+
+    if (raw in keywords)
+        return { raw, value: keywords[raw], literal: true };
+    else if (/^[+-]?(\d|\.\d)/.test(raw) && !isNaN(Number(raw)))
+        return { raw, value: Number(raw), literal: true };
+    else if (/^(?:"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')$/.test(raw)) {
+        //  Rewrite single-quoted strings with double quotes so that JSON can read them
+        const quoted = raw.startsWith('"') ? raw : `"${raw.slice(1, -1).replace(/\\.|"/g, m => m === '"' ? '\\"' : m === '\\\'' ? '\'' : m)}"`;
+
+        try {
+            return { raw, value: JSON.parse(quoted), literal: true };
+        }
+        catch {
+            //  Escapes JSON does not support, e.g. \x41
+        }
+    }
+    return { raw, value: raw, literal: false };
+}
+
+/**
+ * The built-in macros.  Each returns the source text that replaces the
+ * identifier, or throws if the macro cannot be used where it appears.
+ * @type {Object.<string, KLF.MacroExpanderCallback>}
+ */
+const BUILTIN_MACROS = {
+    __callsite: (token, context, filename) => JSON.stringify(`${describeScope(context) || '<global>'} (${formatLocation(filename, token)})`),
+    __class: (token, context, filename, builder) => context.thisClass
+        ? JSON.stringify(context.thisClass.className || '(anonymous)')
+        : outOfScope(token, 'a class'),
+    __date: (token, context, filename, builder) => JSON.stringify(builder.started.toISOString()),
+    //  Methods are functions too; Class members do not open a function scope of their own
+    __function: (token, context, filename, builder) => context.thisFunction
+        ? JSON.stringify(context.thisFunction.functionName || '(anonymous)')
+        : context.thisMember
+            ? JSON.stringify(context.thisMember.name)
+            : outOfScope(token, 'a function or method'),
+    __location: (token, context, filename) => JSON.stringify(formatLocation(filename, token)),
+    __member: (token, context, filename, builder) => context.thisMember
+        ? JSON.stringify(context.thisMember.name)
+        : outOfScope(token, 'a class member'),
+    __newid: newId
+};
+
+/**
+ * Replaces macro identifiers such as __class and __location.  Values come
+ * from the tokenizer context at the point the macro appears, so __function
+ * inside an arrow function names the function or method the arrow function
+ * was written in.  The context is recorded while the module is tokenized; The macros are
+ * expanded by a pipeline stage once the whole module has been read, and only
+ * where the identifier reads a value: Property keys, shorthand properties,
+ * and bindings such as parameters keep the macro name.  Macros inside strings
+ * and template literals are not expanded.  A macro that throws or returns
+ * nothing, e.g. __class outside of a class, fails the transform.
+ *
+ * Macros live in the macros section of the manager settings so that macros
+ * defined at runtime reach every loader.  A loader may turn a macro on or off
+ * in its own macros settings; Otherwise the macro's config decides.  Macros
+ * defined with defineMacro() may also be called like functions, e.g.
+ * __env('HOME', '/'), and receive their parsed arguments.
+ *
+ * Values are fixed when the module is transformed; If the transform cache is
+ * enabled, __date and __newid keep the values from the cached transform.
+ * __newid takes strategy, prefix, and root settings; See newId().
+ */
+class MacroExpander {
+    /**
+     * Create a macro expander
+     * @param {KLF.IExtensionLoader} loader The loader that owns the expander
+     * @param {Object.<string, KLF.IMacroConfig>} settings The loader's macro settings, keyed by macro name
+     */
+    constructor(loader, settings = {}) {
+        /** @type {KLF.IExtensionLoader} */
+        this.loader = loader;
+
+        /** The pipeline stage name */
+        this.name = 'macros';
+
+        /** @type {Object.<string, KLF.IMacroConfig>} */
+        this.settings = settings || {};
+    }
+
+    /**
+     * Add the built-in macros to the configuration being built
+     * @param {Partial<KLF.IModuleManager>} config The configuration being built
+     */
+    static enumerateBuiltinTypes(config) {
+        config.macros = {};
+
+        for (const [name, type] of Object.entries(BUILTIN_MACROS)) {
+            config.macros[name] = { name, type, config: { enabled: true } };
+        }
+    }
+
+    /**
+     * Replace a macro identifier with the source text returned by its expander
+     * @param {KLF.IAstBuilder} ast The AST builder
+     * @param {KLF.ITokenizerContext} context The tokenizer context at the token
+     * @param {KLF.IToken} token The identifier token
+     * @returns {boolean} Returns true if the token was replaced
+     */
+    expand(ast, context, token) {
+        const entry = this.getMacro(token.name);
+        let result;
+
+        if (!entry)
+            return false;
+
+        try {
+            result = entry.type(token, context, ast.filename, ast, token.macroArgs);
+        }
+        catch (err) {
+            ast.log(`Macro ${token.name} failed at ${formatLocation(ast.filename, token)}: ${err}`, LogDetailLevel.Error, { error: err, position: { ...token.start } });
+            return false;
+        }
+
+        if (Array.isArray(result))
+            result = result.map(t => typeof t === 'string' ? t : typeof t.replacement === 'string' ? t.replacement : t.raw).join('');
+        else if (typeof result !== 'string') {
+            ast.log(`Macro ${token.name} returned ${typeof result} at ${formatLocation(ast.filename, token)}; Expected source text or tokens`, LogDetailLevel.Error, { position: { ...token.start } });
+            return false;
+        }
+        token.replacement = result;
+        return true;
+    }
+
+    /**
+     * Get the settings for a macro; The loader's settings override the macro's own config
+     * @param {string} name The macro name
+     * @returns {KLF.IMacroConfig | undefined} The settings, or undefined if the macro is not defined
+     */
+    getConfig(name) {
+        const
+            { macros } = this.loader.manager.settings,
+            entry = macros && Object.prototype.hasOwnProperty.call(macros, name) && macros[name];
+
+        //  Expanders cannot be passed to other threads; Only their settings arrive there
+        if (!entry || typeof entry.type !== 'function')
+            return undefined;
+        return { ...entry.config, ...this.settings[name] };
+    }
+
+    /**
+     * Get an enabled macro
+     * @param {string} name The macro name
+     * @returns {KLF.IComponentEntry | false}
+     */
+    getMacro(name) {
+        const config = this.getConfig(name);
+        return !!config && config.enabled !== false && this.loader.manager.settings.macros[name];
+    }
+
+    /**
+     * Is a macro defined and enabled?
+     * @param {string} name The macro name
+     * @returns {boolean}
+     */
+    isEnabled(name) {
+        return !!this.getMacro(name);
+    }
+
+    /**
+     * Expand the macros recorded while tokenizing
+     * @param {KLF.IToken} root The root token
+     * @param {KLF.IPipelineContext} context The pipeline context
+     */
+    run(root, context) {
+        const
+            { builder, filename } = context,
+            tokens = IdentifierClassifier.getSignificantTokens(builder.allTokens),
+            roles = IdentifierClassifier.classify(tokens),
+            failed = [];
+
+        for (const token of tokens) {
+            if (token.macroContext && roles.get(token) === IdentifierRole.Value && !this.expand(builder, token.macroContext, token))
+                failed.push(token);
+        }
+
+        //  A macro left in the output would only fail later, as a ReferenceError when the module runs
+        if (failed.length > 0) {
+            const [first] = failed;
+            throw Object.assign(new Error(`${filename} has ${failed.length} macro(s) that could not be expanded; First: ${first.name} at ${formatLocation(filename, first)}`), { position: { ...first.start } });
+        }
+    }
+
+    /**
+     * If a function-style macro is called, extend the token to cover the call
+     * and keep the parsed arguments.  The built-in macros take no arguments.
+     * @param {KLF.IAstBuilder} ast The AST builder; Its remainder starts with the token
+     * @param {KLF.IToken} token The identifier token, before its position is updated
+     * @returns {boolean} Returns true if the token was extended
+     */
+    readArguments(ast, token) {
+        const entry = this.getMacro(token.name);
+
+        if (!entry || entry.type === BUILTIN_MACROS[token.name])
+            return false;
+
+        const
+            rest = ast.remainder.slice(token.raw.length),
+            call = parseArguments(rest);
+
+        if (!call)
+            return false;
+        token.macroArgs = call.args;
+        token.raw += rest.slice(0, call.length);
+        return true;
+    }
+}
+
+module.exports = MacroExpander;
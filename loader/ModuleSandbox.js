@@ -0,0 +1,211 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { LogDetailLevel } = require('../Constants'),
+    FilterUtil = require('../util/FilterUtil'),
+    Module = require('module'),
+    path = require('path'),
+    vm = require('vm');
+
+/** The context global used to start a module so that the timeout covers its top-level code */
+const SANDBOX_ENTRY = '__klfSandboxEntry';
+
+/**
+ * Is a module specifier or modules entry a package name rather than a path or glob?
+ * @param {string} entry The entry
+ * @returns {boolean}
+ */
+function isBareName(entry) {
+    return !entry.startsWith('.') && !path.isAbsolute(entry) && !FilterUtil.isGlob(entry);
+}
+
+/**
+ * Runs modules in their own vm context rather than the main realm.  Each
+ * module gets a new context that holds only the configured globals, and a
+ * require() that only returns the listed modules and builtins.
+ *
+ * A vm context is not a security boundary: Code can reach the main realm
+ * through any object passed into the context, including the exposed globals.
+ * The sandbox keeps plugin code from depending on things it was not given;
+ * It does not protect against code written to escape it.  Only CommonJS
+ * modules are sandboxed; ES modules are compiled by NodeJS itself.
+ *
+ * Sandboxed modules are never passed to the built-in handler: If the loader
+ * is disabled, or cannot transform the module, require() throws a LoaderError
+ * instead.  The loader's handler stays installed while the sandbox is enabled.
+ */
+class ModuleSandbox {
+    /**
+     * Create a sandbox
+     * @param {KLF.IExtensionLoader} loader The loader that owns the sandbox
+     * @param {Partial<KLF.ISandboxConfig>} settings The sandbox settings
+     */
+    constructor(loader, settings = {}) {
+        /** @type {KLF.IExtensionLoader} */
+        this.loader = loader;
+
+        /** @type {KLF.ISandboxConfig} */
+        this.settings = { ...ModuleSandbox.getDefaultConfig(), ...settings };
+    }
+
+    /**
+     * Does the sandbox apply to a module?
+     * @param {string} filename The module filename
+     * @returns {boolean}
+     */
+    appliesTo(filename) {
+        const { enabled, include } = this.settings;
+
+        if (enabled !== true)
+            return false;
+        return !Array.isArray(include) || include.length === 0 || typeof FilterUtil.findMatch(include, filename) !== 'undefined';
+    }
+
+    /**
+     * Compile a module inside a new context
+     * @param {Module} module The module being loaded
+     * @param {string} code The transformed source code
+     * @param {string} filename The module filename
+     * @returns {() => void} Runs the module's top-level code
+     */
+    compile(module, code, filename) {
+        const
+            context = vm.createContext(this.createGlobals(), { name: `${this.loader.name} sandbox: ${filename}` }),
+            moduleFunction = vm.compileFunction(code, ['exports', 'require', 'module', '__filename', '__dirname'], { filename, parsingContext: context }),
+            sandboxRequire = this.createRequire(module),
+            { timeout } = this.settings;
+
+        return () => {
+            context[SANDBOX_ENTRY] = () => moduleFunction.call(module.exports, module.exports, sandboxRequire, module, filename, path.dirname(filename));
+            try {
+                vm.runInContext(`${SANDBOX_ENTRY}()`, context, typeof timeout === 'number' && timeout > 0 ? { timeout } : {});
+            }
+            finally {
+                delete context[SANDBOX_ENTRY];
+            }
+            this.loader.log(`Ran ${filename} in a sandbox`, LogDetailLevel.Debug, { filename });
+        };
+    }
+
+    /**
+     * Create the globals for a new context
+     * @returns {Object.<string,any>}
+     */
+    createGlobals() {
+        const { globals } = this.settings, result = {};
+
+        if (Array.isArray(globals)) {
+            for (const name of globals) {
+                if (name in globalThis)
+                    result[name] = globalThis[name];
+            }
+        }
+        else if (globals && typeof globals === 'object')
+            Object.assign(result, globals);
+        return result;
+    }
+
+    /**
+     * Create the require() function given to a sandboxed module
+     * @param {Module} module The module being loaded
+     * @returns {NodeJS.Require}
+     */
+    createRequire(module) {
+        const
+            check = (request) => {
+                if (!this.isAllowed(request, module))
+                    throw new Error(`Module '${request}' is not available to sandboxed module ${module.filename}`);
+            },
+            sandboxRequire = (request) => {
+                check(request);
+                return module.require(request);
+            };
+
+        sandboxRequire.resolve = (request, options) => {
+            check(request);
+            return Module._resolveFilename(request, module, false, options);
+        };
+        return sandboxRequire;
+    }
+
+    /**
+     * Get the schema used to validate sandbox settings
+     * @returns {KLF.IConfigSchema}
+     */
+    static getConfigSchema() {
+        const filterList = { type: 'array', items: { type: ['string', 'regexp', 'function'] } };
+
+        return {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                include: filterList,
+                globals: { type: ['array', 'object'] },
+                modules: filterList,
+                builtins: { type: 'array', items: { type: 'string' } },
+                timeout: { type: 'number' }
+            }
+        };
+    }
+
+    /**
+     * Get the default sandbox settings
+     * @returns {KLF.ISandboxConfig}
+     */
+    static getDefaultConfig() {
+        return {
+            /** Run modules handled by this loader in their own vm context */
+            enabled: false,
+            /** The modules to sandbox; If empty, every module the loader handles is sandboxed */
+            include: [],
+            /** Names of globals copied from the main realm, or an object holding the globals to expose */
+            globals: [
+                'console',
+                'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'setImmediate', 'clearImmediate', 'queueMicrotask',
+                'URL', 'URLSearchParams', 'TextEncoder', 'TextDecoder'
+            ],
+            /** Modules sandboxed code may require, as package names or filters matched against the resolved filename */
+            modules: [],
+            /** Builtin modules sandboxed code may require, e.g. 'path' */
+            builtins: [],
+            /** Milliseconds the top-level code of each module may run; 0 = unlimited */
+            timeout: 0
+        };
+    }
+
+    /**
+     * Is a sandboxed module allowed to require something?
+     * @param {string} request The module specifier
+     * @param {Module} module The module doing the requiring
+     * @returns {boolean}
+     */
+    isAllowed(request, module) {
+        const { builtins, modules } = this.settings;
+
+        if (typeof request !== 'string')
+            return false;
+        else if (Module.builtinModules.includes(request.replace(/^node:/, '')))
+            return builtins.includes(request) || builtins.includes(request.replace(/^node:/, ''));
+
+        //  Package names match the package and anything inside it
+        if (isBareName(request) && modules.some(entry => typeof entry === 'string' && (request === entry || request.startsWith(entry + '/'))))
+            return true;
+
+        try {
+            const filename = Module._resolveFilename(request, module);
+            return typeof FilterUtil.findMatch(modules.filter(entry => typeof entry !== 'string' || !isBareName(entry)), filename) !== 'undefined';
+        }
+        catch {
+            return false;
+        }
+    }
+}
+
+module.exports = ModuleSandbox;
@@ -21,19 +21,477 @@ declare module 'manager' {
                 generators: Map<string, IAstComponentConfig<IAstGenerator>>;
             }
 
+            /** Settings for the on-disk transform cache */
+            export interface ITransformCacheConfig {
+                /** Store transformed output on disk */
+                enabled: boolean;
+
+                /** The directory entries are written to */
+                directory: string;
+
+                /** Remove least recently used entries once the cache exceeds this many bytes; 0 = unlimited */
+                maxSize: number;
+
+                /** Also store the flattened token list with each entry */
+                storeTokens: boolean;
+            }
+
+            /** Settings for watch mode */
+            export interface IWatchConfig {
+                /** Evict changed modules and their dependents from require.cache */
+                enabled: boolean;
+
+                /** Milliseconds to wait for writes to settle before reloading */
+                debounce: number;
+
+                /** Keep the process alive while files are being watched */
+                persistent: boolean;
+            }
+
+            /** Settings for passing the configuration to workers and child processes */
+            export interface IPropagateConfig {
+                /** Pass the active configuration to new worker threads and child processes */
+                enabled: boolean;
+
+                /** Add the bootstrap script to NODE_OPTIONS so that child processes load it */
+                childProcesses: boolean;
+
+                /** Add the bootstrap script to workers created with worker_threads.Worker */
+                workers: boolean;
+
+                /** Send log messages from worker threads back to the main thread */
+                forwardLogs: boolean;
+            }
+
+            /** Settings for log output */
+            export interface ILoggingConfig {
+                /** Where messages are written */
+                sinks: LogSinkSpec[];
+
+                /** Thresholds for individual loaders, builders, and generators, e.g. { ExtensionLoaderJS: 'Verbose' } */
+                levels: { [component: string]: LogDetailWord | LogDetailLevel };
+            }
+
+            /** Settings for plugin discovery */
+            export interface IPluginConfig {
+                /** Register components from plugin packages when the manager starts */
+                enabled: boolean;
+
+                /** Also load packages named klf-require-plugin-* found in the project dependencies or node_modules */
+                discover: boolean;
+            }
+
+            /** A plugin listed under klfPlugins or found by discovery */
+            export interface IPluginEntry {
+                /** The package name or module path */
+                name: string;
+
+                /** Set to false to skip a plugin that would otherwise be discovered */
+                enabled?: boolean;
+
+                /** Plugins with lower values are registered first; Overrides the order the plugin exports */
+                order?: number;
+
+                /** Passed to plugins that export a function */
+                options?: any;
+            }
+
+            /** The value a plugin module exports, or returns from its exported function */
+            export interface IPluginModule {
+                /** The components to register, as a list or keyed by the name to register them under */
+                components: Function[] | { [name: string]: Function };
+
+                /** The range of klf-require versions the plugin supports, e.g. ^1.0.0 */
+                klfRequire?: string;
+
+                /** Plugins with lower values are registered first */
+                order?: number;
+
+                /** Used when the plugin does not have its own package.json */
+                version?: string;
+            }
+
+            /** The outcome of loading a plugin */
+            export interface IPluginInfo {
+                name: string;
+                version?: string;
+                /** The resolved module filename */
+                filename?: string;
+                /** Where the plugin was found: klfPlugins, a package.json filename, dependencies, or node_modules */
+                source: string;
+                order: number;
+                status: 'loaded' | 'disabled' | 'incompatible' | 'failed';
+                /** The components the plugin registered */
+                components: { name: string, kind: 'builder' | 'generator' | 'loader', type: string }[];
+                /** Why the plugin was not loaded */
+                error?: string;
+            }
+
+            /** Settings for config validation */
+            export interface IValidationConfig {
+                /** Check config changes against the schemas declared by each component */
+                enabled: boolean;
+
+                /** Reject changes that have problems instead of only reporting them */
+                strict: boolean;
+            }
+
+            /** A setting that differs between two configs */
+            export interface IConfigDiffEntry {
+                /** The path of the setting, e.g. loaders.ExtensionLoaderJS.config.enabled */
+                path: string;
+
+                action: 'added' | 'changed' | 'removed';
+
+                /** The previous value; Not set for added settings */
+                oldValue?: any;
+
+                /** The new value; Not set for removed settings */
+                newValue?: any;
+            }
+
+            /** Describes a config change while it is being applied */
+            export interface IConfigChange {
+                /** The requested changes */
+                config: Partial<IModuleManager>;
+
+                /** Every setting the change modifies */
+                diff: IConfigDiffEntry[];
+
+                /** The settings before the change */
+                previous: Partial<IModuleManager>;
+
+                /** The settings after the change */
+                settings: Partial<IModuleManager>;
+            }
+
+            /** Passed to 'configChangeEnd' listeners */
+            export interface IConfigChangeEndEventArgs extends IConfigChange {
+                /** Was the change applied?  If not, the previous settings are still active and the diff is empty */
+                success: boolean;
+
+                /** The reason the change was rejected or rolled back */
+                error?: Error;
+            }
+
+            /** The manager state captured before a config change so that it can be rolled back */
+            export interface IManagerSnapshot {
+                settings: Partial<IModuleManager>;
+                debug: LogDetailLevel;
+                logSinks: ILogSink[];
+                logLevels: { [component: string]: LogDetailLevel };
+                loaderInstances: { [name: string]: IExtensionLoader };
+                /** Copies of each loader's own properties */
+                loaderStates: Map<IExtensionLoader, object>;
+                installedHandlers: { [ext: string]: { loader: IExtensionLoader, handler: Function } };
+                /** Was the stack trace hook installed? */
+                stackTraceHook: boolean;
+                watchedFiles: string[];
+            }
+
+            /** Passed to 'configInvalid' listeners */
+            export interface IConfigInvalidEventArgs {
+                /** The requested changes */
+                config: Partial<IModuleManager>;
+
+                /** The problems the change introduced */
+                problems: IConfigProblem[];
+
+                /** Was the change rejected by strict validation? */
+                rejected: boolean;
+            }
+
+            /** Settings for recording the module dependency graph */
+            export interface IDependencyGraphConfig {
+                /** Record which module required which */
+                enabled: boolean;
+
+                /** Also record modules the loaders passed to the built-in handlers */
+                deferred: boolean;
+
+                /** The number of deepest require chains to report */
+                chains: number;
+            }
+
+            /** The record kept for each module passed to our handlers */
+            export interface IDependencyRecord {
+                filename: string;
+
+                /** The module that required this one, if known */
+                parent?: string;
+
+                loader: string;
+
+                /** Did the loader handle the module, or was it deferred? */
+                handled: boolean;
+
+                /** The position the module was loaded in, starting at 0 */
+                order: number;
+
+                start: number;
+
+                /** Milliseconds spent loading the module, including the modules it required */
+                duration: number;
+            }
+
+            /** A module in the dependency graph */
+            export interface IDependencyNode {
+                filename: string;
+
+                /** The loader whose handler received the module; Not set for modules that were not recorded */
+                loader?: string;
+
+                handled: boolean;
+
+                /** The position the module was loaded in, or -1 if it was not recorded */
+                order: number;
+
+                duration?: number;
+
+                /** The length of the longest require chain leading to this module; Cycles count as one step */
+                depth: number;
+            }
+
+            /** A require() call in the dependency graph */
+            export interface IDependencyEdge {
+                from: string;
+                to: string;
+
+                /** Is this edge part of a circular dependency? */
+                cycle: boolean;
+            }
+
+            /** The modules recorded so far and the require() calls between them */
+            export interface IDependencyGraph {
+                /** Modules in load order; Modules that were not recorded come last */
+                nodes: IDependencyNode[];
+
+                edges: IDependencyEdge[];
+
+                /** Modules no other recorded module requires */
+                roots: string[];
+
+                /** One path through each set of modules that require each other; Each path starts and ends with the same module */
+                cycles: string[][];
+
+                /** The deepest require chains, deepest first */
+                chains: string[][];
+            }
+
+            /** A module load being watched for failures */
+            export interface ILoadAttempt {
+                /** Set once the module compiled and its own code starts running; Later errors are not load failures */
+                compiling: boolean;
+
+                filename: string;
+                loader: string;
+                policy: FailurePolicy;
+
+                /** The most recent message logged for the module at Debug or above */
+                reason?: string;
+
+                /** The position the most recent message refers to */
+                position?: SourcePosition;
+            }
+
+            /** A module a loader could not transform */
+            export interface ILoadFailure {
+                filename: string;
+
+                /** The name of the loader that failed */
+                loader: string;
+
+                /** The policy that was applied */
+                policy: FailurePolicy;
+
+                /** Where the loader stopped, if known */
+                position?: SourcePosition;
+
+                /** Why the loader failed */
+                reason: string;
+            }
+
+            /** Settings for load profiling */
+            export interface IMetricsConfig {
+                /** Record timings for each module handled by the loaders and emit 'metrics' events */
+                enabled: boolean;
+
+                /** Write a report when the process exits */
+                report: false | 'table' | 'trace';
+
+                /** The file the report is written to; Tables are printed to the console if not set */
+                reportFile?: string;
+            }
+
+            /** Timings in milliseconds for one module load */
+            export interface IModuleTimings {
+                /** The whole load, including modules required while compiling */
+                total: number;
+
+                /** The whole load, excluding modules required while compiling */
+                self: number;
+
+                read?: number;
+                cache?: number;
+                tokenize?: number;
+
+                /** The combined time of all pipeline stages */
+                pipeline?: number;
+
+                generate?: number;
+                compile?: number;
+
+                /** The time spent in each pipeline stage */
+                stages: { [stage: string]: number };
+            }
+
+            /** Arguments passed to 'metrics' event listeners */
+            export interface IMetricsEventArgs {
+                filename: string;
+                loader: string;
+
+                /** Did the loader handle the module, or was it deferred? */
+                success: boolean;
+
+                cache: 'hit' | 'miss' | 'disabled';
+                tokenCount: number;
+                timings: IModuleTimings;
+            }
+
+            /** The record kept by the profiler while a module loads */
+            export interface IModuleMetrics extends IMetricsEventArgs {
+                start: number;
+                spans: { name: string, start: number, duration: number }[];
+                childTime: number;
+            }
+
+            /** Arguments passed to 'reloaded' event listeners */
+            export interface IReloadedEventArgs {
+                /** The file that changed */
+                filename: string;
+
+                /** Every module evicted from require.cache, starting with the changed file */
+                modules: string[];
+            }
+
+            /** Identifies a cache entry and the hashes used to create its key */
+            export interface ITransformCacheKey {
+                key: string;
+                configHash: string;
+                sourceHash: string;
+            }
+
+            /** A transformed module stored in the cache */
+            export interface ITransformCacheEntry {
+                filename: string;
+                loader: string;
+                loaderVersion: string;
+                configHash: string;
+                sourceHash: string;
+                created?: number;
+                code: string;
+                map?: SourceMap;
+                tokens?: { index: number, type: string, raw: string, replacement?: string, start: SourcePosition, end: SourcePosition }[];
+            }
+
+            /** Entry details returned when inspecting the cache */
+            export interface ITransformCacheEntryInfo {
+                key: string;
+                filename: string;
+                loader: string;
+                loaderVersion: string;
+                configHash: string;
+                sourceHash: string;
+                created: number;
+                lastAccess: number;
+                size: number;
+                hasTokens: boolean;
+            }
+
+            /** Data passed to the ES module hooks thread by module.register() */
+            export interface IEsmHookData {
+                /** A serializable copy of the active settings */
+                config: Partial<IModuleManager>;
+
+                /** Used to send log messages, source maps, and failed loads back to the main thread, and to receive changes to the enabled setting */
+                port?: MessagePort;
+            }
+
+            /** Options for a programmatic transform */
+            export interface ITransformOptions {
+                /** The name of the source; Also used to pick a loader by extension */
+                filename?: string;
+
+                /** The loader to use, either by name or instance */
+                loader?: string | IExtensionLoader;
+            }
+
+            /** A warning or error reported while transforming source */
+            export interface ITransformDiagnostic {
+                detailLevel: LogDetailLevel;
+                message: string;
+                error?: Error;
+            }
+
+            /** The output of the pipeline before it is handed to Node */
+            export interface ITransformResult {
+                builder: IAstBuilder<IToken>;
+                code: string;
+                map?: SourceMap;
+                root: IToken;
+            }
+
+            /** The value returned by transform() and transformAsync() */
+            export interface ITransformOutput {
+                /** The transformed code or false if the transform failed */
+                code: string | false;
+
+                /** Warnings and errors reported while transforming */
+                diagnostics: ITransformDiagnostic[];
+
+                filename: string;
+
+                /** The name of the loader that handled the source */
+                loader: string;
+
+                map: SourceMap | false;
+
+                success: boolean;
+
+                /** The root of the token tree */
+                tree: IToken | false;
+            }
+
             /** The top level component creates, configures, and manages extension loaders. */
             export interface IModuleManager extends IImportLogger {
+                /**
+                 * Add a log sink that stays in place when the configuration changes
+                 * @param spec A sink instance, callback, or config object
+                 */
+                addLogSink(spec: LogSinkSpec): ILogSink;
+
                 /**
                  * Add a new extension loader
                  * @param component The new extension loader
                  */
                 add(component: IExtensionLoader<any, any>): boolean;
 
+                /**
+                 * Merge changes into the active config and apply them as a single transaction;
+                 * If any part fails, the previous state is restored
+                 * @param config The changes to apply
+                 * @returns False if the change was rejected or could not be applied
+                 */
+                applyConfigChange(config: Partial<IModuleManager>): boolean;
+
                 /** 
                  * Contains info about the AST subsystem
                  */
                 ast: IAstConfigSection;
 
+                /** Settings for the on-disk transform cache */
+                cache: ITransformCacheConfig;
+
                 /** A superset of all loaded components */
                 components: Map<string, IAstBuilder | IAstGenerator | IExtensionLoader>;
 
@@ -43,6 +501,122 @@ declare module 'manager' {
                  */
                 config(ext: string, setter: (loaderConfig: IExtensionLoader<any, any>) => boolean): boolean;
 
+                /** If false, console sinks are skipped because messages are forwarded to another thread */
+                consoleOutput: boolean;
+
+                /** Files and environment variables that configuration was discovered in */
+                configSources: string[];
+
+                /** Create runtime instances of any configured loaders that do not exist yet */
+                createLoaders(): IExtensionLoader[];
+
+                /** Capture the state a config change can modify so that it can be rolled back */
+                createSnapshot(): IManagerSnapshot;
+
+                /**
+                 * Read configuration from package.json, klf.config.json, klf.config.js, and KLF_* environment variables
+                 * @param directory The directory to search; Defaults to the directory containing the main module
+                 */
+                discoverConfig(directory?: string): Partial<IModuleManager>;
+
+                /**
+                 * Find the loader responsible for a file based on its extension
+                 * @param filename The module filename
+                 * @param esm If true, extensions only handled as ES modules also match
+                 */
+                getLoaderForFile(filename: string, esm?: boolean): IExtensionLoader | false;
+
+                /**
+                 * Get the logging threshold for a component
+                 * @param component The component that logged the message
+                 * @param loader The loader the component is running under
+                 */
+                getLogLevel(component?: string, loader?: string): LogDetailLevel;
+
+                /**
+                 * Get the source map created for a transformed module, without sourcesContent
+                 * @param filename The module filename
+                 */
+                getSourceMap(filename: string): SourceMap | false;
+
+                /** Create the configured loaders and hook them into require() */
+                install(): boolean;
+
+                /** Are any of our handlers installed in Module._extensions? */
+                readonly installed: boolean;
+
+                /** Install the Error.prepareStackTrace hook that remaps transformed modules */
+                installStackTraceHook(): boolean;
+
+                /** Route ES modules through the loaders using module customization hooks */
+                registerEsmHooks(): boolean;
+
+                /**
+                 * Evict a module and its dependents from require.cache and emit 'reloaded'
+                 * @param filename The module that changed
+                 */
+                reloadModule(filename: string): string[];
+
+                /**
+                 * Remove a sink added with addLogSink()
+                 * @param sink The sink to remove
+                 */
+                removeLogSink(sink: ILogSink): boolean;
+
+                /**
+                 * Roll back to the state captured by createSnapshot()
+                 * @param snapshot The state to restore
+                 */
+                restoreSnapshot(snapshot: IManagerSnapshot): void;
+
+                /** Restore the Module._extensions handlers that were replaced by install(); Loaders with an enabled sandbox keep theirs */
+                uninstall(): boolean;
+
+                /** Remove the Error.prepareStackTrace hook and restore the previous handler */
+                uninstallStackTraceHook(): boolean;
+
+                /** Source map settings */
+                sourceMaps: ISourceMapConfig;
+
+                /** Settings for passing the configuration to workers and child processes */
+                propagate: IPropagateConfig;
+
+                /** Watch mode settings */
+                watch: IWatchConfig;
+
+                /** Files to exclude from every loader; Defaults to the node_modules directories */
+                exclude?: LoaderFilterList;
+
+                /** If defined, only matching files are handled */
+                include?: LoaderFilterList;
+
+                /**
+                 * Would a message from a component be written to the sinks?
+                 * @param detailLevel The sensitivity of the message
+                 * @param component The component that would log the message
+                 * @param loader The loader the component is running under
+                 */
+                isLogEnabled(detailLevel: LogDetailLevel, component?: string, loader?: string): boolean;
+
+                /** Log output settings */
+                logging: ILoggingConfig;
+
+                /** What happens when a loader cannot transform a module; Loaders may override this */
+                failurePolicy: FailurePolicy;
+
+                /** Dependency graph settings */
+                graph: IDependencyGraphConfig;
+
+                /** Load profiling settings */
+                metrics: IMetricsConfig;
+
+                /**
+                 * Decide whether a loader should handle a file
+                 * @param filename The file being loaded
+                 * @param loader The loader that would handle the file
+                 */
+                isIncluded(filename: string, loader: IExtensionLoader): boolean;
+
                 /** Enumerate component types within the library */
                 enumerateTypes(directory: string, pattern: string | RegExp): any[];
 
@@ -58,9 +632,15 @@ declare module 'manager' {
                 /** Is this component enabled? */
                 enabled: boolean;
 
+                /** The problems found in the most recent config change */
+                lastValidation: { problems: IConfigProblem[], rejected: boolean };
+
                 /** Loaders responsible for trying to import modules */
                 loaders: Map<string, IExtensionLoader>;
 
+                /** Macros expanded by loaders that support them, keyed by name */
+                macros: { [name: string]: IComponentEntry };
+
                 /** Optional callback to check if a file should be be skipped by the loader */
                 onExclude?: LoaderFilterCallback;
 
@@ -69,6 +649,54 @@ declare module 'manager' {
 
                 /** Optional callback for logging events*/
                 onMessage?: LogMessageCallback;
+
+                /**
+                 * Run module source through a loader's pipeline
+                 * @param filename The module filename
+                 * @param source The source text read from the file
+                 * @param loader The loader handling the module
+                 * @param module The module being loaded, if any
+                 */
+                runPipeline(filename: string, source: string, loader: IExtensionLoader, module?: Module): string | false;
+
+                /**
+                 * Transform source text without hooking require() or using the transform cache
+                 * @param source The source text to transform
+                 * @param options The filename and, optionally, the loader to use
+                 */
+                transform(source: string, options?: ITransformOptions): ITransformOutput;
+
+                /**
+                 * Transform source text; Pipeline stages may return promises
+                 * @param source The source text to transform
+                 * @param options The filename and, optionally, the loader to use
+                 * @returns Rejects if the arguments are invalid or the loader is unknown
+                 */
+                transformAsync(source: string, options?: ITransformOptions): Promise<ITransformOutput>;
+
+                /**
+                 * Tokenize source, run the loader pipeline, and generate the result
+                 * @param filename The module filename
+                 * @param source The original source text
+                 * @param loader The loader handling the module
+                 * @param module The module being loaded, if any
+                 */
+                transformSource(filename: string, source: string, loader: IExtensionLoader, module?: Module): ITransformResult | false;
+
+                /**
+                 * Check a config against the top-level schema and each component's schema
+                 * @param config The config to check; Defaults to the active settings
+                 */
+                validateConfig(config?: Partial<IModuleManager>): IConfigProblem[];
+
+                /** Config validation settings */
+                validation: IValidationConfig;
+
+                /** Plugin discovery settings */
+                plugins: IPluginConfig;
+
+                /** Plugin modules to load in addition to discovered packages */
+                klfPlugins: (string | IPluginEntry)[];
             }
 
             /**
@@ -87,17 +715,169 @@ declare module 'manager' {
              * Provides a secure wrapper around the internal module manager
              */
             export interface IModuleManagerWrapper extends IImportLogger {
+                /**
+                 * Add a log sink that stays in place when the configuration changes
+                 * @param spec A sink instance, callback, or config object
+                 */
+                addLogSink(spec: LogSinkSpec): ILogSink;
+
+                /** The combined size of all transform cache entries, in bytes */
+                readonly cacheSize: number;
+
+                /**
+                 * Define a macro that loaders replace where it is read as a value
+                 * @param name The identifier the macro replaces, e.g. __env
+                 * @param expander Creates the source text or tokens that replace the macro
+                 */
+                defineMacro(name: string, expander: MacroExpanderCallback): this;
+
                 /** Is require middleware enabled? */
                 enabled: boolean;
 
+                /** List the entries in the transform cache */
+                inspectCache(): ITransformCacheEntryInfo[];
+
+                /**
+                 * Remove least recently used cache entries until the cache fits in the size limit
+                 * @param maxSize The size limit in bytes; Defaults to the configured limit
+                 */
+                pruneCache(maxSize?: number): number;
+
+                /** Route ES modules through the loaders using module customization hooks */
+                registerEsmHooks(): boolean;
+
+                /**
+                 * Remove entries from the transform cache
+                 * @param filter Optional module filename or predicate; Removes everything if omitted
+                 */
+                purgeCache(filter?: string | ((entry: ITransformCacheEntryInfo) => boolean)): number;
+
+                /**
+                 * Remove a sink added with addLogSink()
+                 * @param sink The sink to remove
+                 */
+                removeLogSink(sink: ILogSink): boolean;
+
+                /**
+                 * Evict a module and its dependents from require.cache as if the file had changed
+                 * @param filename The module to reload
+                 */
+                reload(filename: string): string[];
+
+                /**
+                 * Export the modules recorded so far and the require() calls between them
+                 * @param format The output format
+                 * @param relativeTo Labels in DOT and Mermaid output are relative to this directory; Defaults to the working directory
+                 */
+                exportDependencyGraph(format?: 'json' | 'dot' | 'mermaid', relativeTo?: string): string;
+
                 /** Extend one or more types */
                 extendTypes(callback: ExtendTypesCallback): this;
 
+                /**
+                 * Get a registered component
+                 * @param name The name the component is registered under, its type name, or an alias
+                 */
+                getComponent(name: string): IComponentInfo | undefined;
+
+                /** Get the modules recorded so far, the require() calls between them, and any cycles */
+                getDependencyGraph(): IDependencyGraph;
+
+                /** Get the modules the loaders could not transform */
+                getLoadFailures(): ILoadFailure[];
+
+                /** Get the timings recorded for the latest load of each module handled by the loaders */
+                getMetrics(): IMetricsEventArgs[];
+
+                /** Get the plugins that were found, including those that were skipped or failed to load */
+                getPlugins(): IPluginInfo[];
+
+                /**
+                 * Get the source map created for a transformed module, without sourcesContent
+                 * @param filename The module filename
+                 */
+                getSourceMap(filename: string): SourceMap | false;
+
+                /** Enable the loaders and hook them into require() */
+                install(): boolean;
+
+                /** Are the require() hooks currently installed? */
+                readonly installed: boolean;
+
+                /** Install the Error.prepareStackTrace hook that remaps transformed modules */
+                installStackTraceHook(): boolean;
+
+                /**
+                 * List the registered loaders, builders, generators, and macros
+                 * @param kind If set, only components of this kind are listed
+                 */
+                listComponents(kind?: ComponentKind): IComponentInfo[];
+
+                /**
+                 * Load plugins that were not found when the manager started
+                 * @param directory The directory to search from; Defaults to the main module directory
+                 */
+                loadPlugins(directory?: string): IPluginInfo[];
+
+                /**
+                 * Register a loader, builder, or generator; A type that extends a registered component replaces it
+                 * @param type The type to register
+                 * @param altName An additional name the type can be found by
+                 */
+                registerComponent(type: Function, altName?: string): this;
+
+                /**
+                 * Run source text through a loader pipeline without hooking require()
+                 * @param source The source text to transform
+                 * @param options The filename and, optionally, the loader to use
+                 */
+                transform(source: string, options?: ITransformOptions): ITransformOutput;
+
+                /**
+                 * Run source text through a loader pipeline; Pipeline stages may return promises
+                 * @param source The source text to transform
+                 * @param options The filename and, optionally, the loader to use
+                 * @returns Rejects if the arguments are invalid or the loader is unknown
+                 */
+                transformAsync(source: string, options?: ITransformOptions): Promise<ITransformOutput>;
+
+                /** Disable the loaders and restore the original Module._extensions handlers; Loaders with an enabled sandbox keep theirs */
+                uninstall(): boolean;
+
+                /** Remove the Error.prepareStackTrace hook and restore the previous handler */
+                uninstallStackTraceHook(): boolean;
+
+                /**
+                 * Remove a component; If it replaced its parent type, the parent is restored
+                 * @param name The name the component is registered under, its type name, or an alias
+                 */
+                unregisterComponent(name: string): boolean;
+
                 /**
                  * Update the active configuration and continue
                  * @param callback A callback to allow the user to change settings
+                 * @throws If strict validation rejects the change; The error has a problems property
                  */
                 updateConfig(callback: ExtendConfigCallback): this;
+
+                /**
+                 * Check the active config, or the result of applying changes to it, without applying anything
+                 * @param changes Changes to check against the active config
+                 */
+                validateConfig(changes?: Partial<IModuleManager>): IConfigProblem[];
+
+                /**
+                 * Write a profiling report for the modules loaded so far
+                 * @param format The report format; Defaults to the configured format
+                 * @param filename The file to write; Tables are printed to the console if not set
+                 */
+                writeMetricsReport(format?: 'table' | 'trace', filename?: string): string | false;
+
+                /**
+                 * Install the loaders only while a callback, or the promise it returns, runs
+                 * @param callback The code to run with the loaders installed
+                 */
+                withLoaders<T>(callback: () => T): T;
             }
         }
     }
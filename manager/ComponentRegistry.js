@@ -0,0 +1,356 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { LogDetailLevel } = require('../Constants'),
+    AstBuilder = require('../ast/AstBuilder'),
+    GeneratorBase = require('../ast/generators/GeneratorBase'),
+    ExtensionLoader = require('../loader/ExtensionLoader'),
+    ConfigPropagator = require('./ConfigPropagator'),
+    ConfigUtil = require('../util/ConfigUtil'),
+    ObjectUtil = require('../util/ObjectUtil');
+
+/** Every kind of component, in the order they are searched and listed */
+const COMPONENT_KINDS = ['loader', 'builder', 'generator', 'macro'];
+
+/**
+ * Tracks the builders, generators, loaders, and macros known to the manager.
+ *
+ * Each component occupies a slot in the config: settings.loaders,
+ * settings.ast.builders, settings.ast.generators, or settings.macros.  A type
+ * that extends a registered component takes over its parent's slot; The parent
+ * is kept so that it can be restored when the subclass is unregistered.
+ * Macros are functions rather than types; Defining a macro again replaces it
+ * the same way.
+ */
+class ComponentRegistry {
+    /**
+     * Create a registry
+     * @param {KLF.IModuleManager} manager The module manager
+     */
+    constructor(manager) {
+        /** @type {KLF.IModuleManager} */
+        this.manager = manager;
+
+        /**
+         * The entries each slot held before being replaced, oldest first; Keyed by kind:slot
+         * @type {Map<string, KLF.IComponentEntry[]>}
+         */
+        this.history = new Map();
+    }
+
+    /**
+     * Define a macro, replacing any macro with the same name
+     * @param {string} name The identifier the macro replaces, e.g. __env
+     * @param {KLF.MacroExpanderCallback} expander Returns the source text or tokens that replace the macro
+     * @returns {boolean} Returns true if the macro was defined
+     */
+    defineMacro(name, expander) {
+        if (typeof name !== 'string' || !/^[\p{L}_$][\p{L}\p{N}_$]*$/u.test(name))
+            throw new Error(`Bad argument 1 to defineMacro(); '${name}' is not a valid identifier`);
+        else if (typeof expander !== 'function')
+            throw new Error(`Bad argument 2 to defineMacro(); Expected function, but got ${typeof expander}`);
+
+        const
+            { manager } = this,
+            collection = this.getCollection('macro'),
+            previous = collection[name],
+            //  Entries passed from another thread have settings but no expander
+            replaced = previous && typeof previous.type === 'function' && previous.type !== expander;
+
+        if (previous && previous.type === expander)
+            return true;
+        else if (replaced) {
+            const key = `macro:${name}`;
+            this.history.set(key, [...(this.history.get(key) || []), previous]);
+        }
+        collection[name] = { name, type: expander, config: { enabled: true, ...(previous && previous.config) } };
+
+        manager.log(`Defined macro ${name}${replaced ? `; Replaced ${previous.type.name || 'the previous definition'}` : ''}`, LogDetailLevel.Debug);
+        manager.emit('componentRegistered', this.describe('macro', name, collection[name]));
+        return true;
+    }
+
+    /**
+     * Create the description returned by list() and get()
+     * @param {KLF.ComponentKind} kind The kind of component
+     * @param {string} slot The name the component is registered under
+     * @param {KLF.IComponentEntry} entry The config entry
+     * @returns {KLF.IComponentInfo}
+     */
+    describe(kind, slot, entry) {
+        const
+            { manager } = this,
+            type = entry.type,
+            config = ConfigUtil.mergeConfigs({}, entry.config || {});
+
+        delete config.$schema;
+
+        return {
+            kind,
+            name: slot,
+            type: type.name || '(anonymous)',
+            parent: ObjectUtil.parentClassName(type),
+            replaced: (this.history.get(`${kind}:${slot}`) || []).map(previous => previous.type.name),
+            aliases: Object.keys(manager.components).filter(name => manager.components[name] === type && name !== slot),
+            source: this.findSource(type),
+            plugin: manager.pluginLoader.contributors.get(type.name),
+            active: kind === 'loader' ? slot in manager.loaderInstances : config.enabled !== false,
+            config
+        };
+    }
+
+    /**
+     * Find an active component by slot name, type name, or alias
+     * @param {string} name The name to look for
+     * @returns {{ kind: KLF.ComponentKind, slot: string, entry: KLF.IComponentEntry } | false}
+     */
+    find(name) {
+        const aliasType = this.manager.components[name];
+
+        for (const kind of COMPONENT_KINDS) {
+            const collection = this.getCollection(kind);
+
+            for (const [slot, entry] of Object.entries(collection)) {
+                if (!entry || typeof entry.type !== 'function')
+                    continue;
+                else if (slot === name || entry.type.name === name || entry.type === aliasType)
+                    return { kind, slot, entry };
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Find the module that exports a type
+     * @param {Function} type The component type
+     * @returns {string | undefined} The module filename
+     */
+    findSource(type) {
+        const
+            modules = Object.values(require.cache).filter(module => typeof module.filename === 'string'),
+            found = ConfigPropagator.findExport(type, modules);
+
+        return found ? found.filename : undefined;
+    }
+
+    /**
+     * Get a registered component
+     * @param {string} name The slot name, type name, or alias
+     * @returns {KLF.IComponentInfo | undefined}
+     */
+    get(name) {
+        const found = this.find(name);
+        return found ? this.describe(found.kind, found.slot, found.entry) : undefined;
+    }
+
+    /**
+     * Get the config section that holds a kind of component
+     * @param {KLF.ComponentKind} kind The kind of component
+     * @returns {Object.<string,KLF.IComponentEntry>}
+     */
+    getCollection(kind) {
+        const { settings } = this.manager;
+
+        switch (kind) {
+            case 'builder': return settings.ast.builders;
+            case 'generator': return settings.ast.generators;
+            case 'loader': return settings.loaders;
+            case 'macro': return settings.macros;
+        }
+        throw new Error(`Bad argument 1 to getCollection(); Unknown component kind '${kind}'`);
+    }
+
+    /**
+     * Describe the kind of component a type provides
+     * @param {Function} type The component type
+     * @returns {KLF.ComponentKind | false}
+     */
+    static getKind(type) {
+        if (!ObjectUtil.isClass(type))
+            return false;
+        else if (type.prototype instanceof GeneratorBase)
+            return 'generator';
+        else if (type.prototype instanceof AstBuilder)
+            return 'builder';
+        else if (type.prototype instanceof ExtensionLoader)
+            return 'loader';
+        return false;
+    }
+
+    /**
+     * List every active component
+     * @param {KLF.ComponentKind?} kind If set, only components of this kind are listed
+     * @returns {KLF.IComponentInfo[]}
+     */
+    list(kind = undefined) {
+        const result = [];
+
+        for (const k of kind ? [kind] : COMPONENT_KINDS) {
+            for (const [slot, entry] of Object.entries(this.getCollection(k))) {
+                if (entry && typeof entry.type === 'function')
+                    result.push(this.describe(k, slot, entry));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Register a component.  A type that extends a registered component
+     * replaces it; Otherwise the type gets its own slot.
+     * @param {Function} type The component type
+     * @param {string?} altName An additional name the type can be found by
+     * @returns {boolean} Returns true if the type was registered
+     */
+    register(type, altName = undefined) {
+        const { manager } = this, kind = ComponentRegistry.getKind(type);
+
+        if (!kind || !manager.isUsefulComponent(type))
+            return false;
+
+        const
+            collection = this.getCollection(kind),
+            parentType = Object.getPrototypeOf(type),
+            altTypeName = typeof altName === 'string' && altName.trim(),
+            parentSlot = Object.keys(collection).find(slot => collection[slot] && collection[slot].type === parentType),
+            slot = parentSlot || type.name,
+            previous = collection[slot];
+
+        if (previous && previous.type !== type && !(type.prototype instanceof previous.type)) {
+            manager.log(`registerComponent: Cannot redefine ${slot} since ${type.name} does not inherit from the existing type`,
+                LogDetailLevel.Warning,
+                { existingType: previous.type, newType: type });
+            return false;
+        }
+
+        if (!previous || previous.type !== type) {
+            /** @type {KLF.IComponentEntry} */
+            const newEntry = {
+                type,
+                name: type.name,
+                config: { ...(typeof type.getDefaultConfig === 'function' && type.getDefaultConfig(manager.settings) || {}) }
+            };
+
+            if (previous) {
+                const key = `${kind}:${slot}`;
+                this.history.set(key, [...(this.history.get(key) || []), previous]);
+            }
+            collection[slot] = newEntry;
+        }
+
+        manager.components[type.name] = type;
+        manager.components[slot] = type;
+        if (altTypeName)
+            manager.components[altTypeName] = type;
+
+        if (kind === 'loader')
+            this.replaceLoaderInstance(slot);
+
+        const info = this.describe(kind, slot, collection[slot]);
+
+        manager.log(`Registered ${kind} ${type.name}${previous && previous.type !== type ? ` in place of ${previous.type.name}` : ''}`, LogDetailLevel.Debug);
+        manager.emit('componentRegistered', info);
+        manager.configPropagator.apply();
+        return true;
+    }
+
+    /**
+     * Discard a loader instance that no longer matches the registered type.
+     * The replacement is created right away if the loaders are enabled.
+     * @param {string} slot The loader name
+     */
+    replaceLoaderInstance(slot) {
+        const
+            { manager } = this,
+            instance = manager.loaderInstances[slot],
+            entry = manager.settings.loaders[slot];
+
+        if (!instance || entry && instance.constructor === entry.type)
+            return;
+
+        for (const [key, { loader }] of Object.entries(manager.installedHandlers)) {
+            if (loader === instance)
+                manager.removeHandler(key);
+        }
+        delete manager.loaderInstances[slot];
+
+        if (entry && manager.settings.enabled)
+            manager.install();
+    }
+
+    /**
+     * Remove a component.  If it replaced another type, that type is restored.
+     * @param {string} name The slot name, type name, or alias
+     * @returns {boolean} Returns true if a component was removed
+     */
+    unregister(name) {
+        const { manager } = this, found = this.find(name);
+
+        if (!found)
+            return this.unregisterReplaced(name);
+
+        const
+            { kind, slot, entry } = found,
+            key = `${kind}:${slot}`,
+            info = this.describe(kind, slot, entry),
+            history = this.history.get(key) || [],
+            previous = history.pop(),
+            collection = this.getCollection(kind);
+
+        if (history.length === 0)
+            this.history.delete(key);
+
+        for (const [n, type] of Object.entries(manager.components)) {
+            if (type === entry.type)
+                delete manager.components[n];
+        }
+        if (previous) {
+            collection[slot] = previous;
+            if (kind !== 'macro') {
+                manager.components[slot] = previous.type;
+                manager.components[previous.type.name] = previous.type;
+            }
+        }
+        else
+            delete collection[slot];
+
+        if (kind === 'loader')
+            this.replaceLoaderInstance(slot);
+
+        manager.log(`Unregistered ${kind} ${kind === 'macro' ? slot : entry.type.name}${previous ? `; Restored ${previous.type.name || 'the previous definition'}` : ''}`, LogDetailLevel.Debug);
+        manager.emit('componentUnregistered', { ...info, restored: previous ? previous.type.name : undefined });
+        manager.configPropagator.apply();
+        return true;
+    }
+
+    /**
+     * Remove a type that has already been replaced by a subclass
+     * @param {string} name The type name
+     * @returns {boolean} Returns true if the type was found
+     */
+    unregisterReplaced(name) {
+        for (const [key, history] of this.history) {
+            const index = history.findIndex(entry => entry.type.name === name);
+
+            if (index > -1) {
+                const [removed] = history.splice(index, 1);
+
+                if (history.length === 0)
+                    this.history.delete(key);
+                if (this.manager.components[name] === removed.type)
+                    delete this.manager.components[name];
+                this.manager.log(`Unregistered ${removed.type.name}, which had been replaced in ${key}`, LogDetailLevel.Debug);
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+module.exports = ComponentRegistry;
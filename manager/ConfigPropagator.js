@@ -0,0 +1,323 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { LogDetailLevel } = require('../Constants'),
+    ConfigUtil = require('../util/ConfigUtil'),
+    ObjectUtil = require('../util/ObjectUtil'),
+    workerThreads = require('worker_threads'),
+    path = require('path');
+
+/** The channel worker threads use to send log messages to the main thread */
+const LOG_CHANNEL = 'klf-require:log';
+
+/** Environment variables set while propagation is active */
+const PROPAGATED_VARIABLES = ['KLF_CONFIG', 'KLF_BOOTSTRAP', 'NODE_OPTIONS'];
+
+/**
+ * Passes the effective configuration to new worker threads and child processes
+ * so that each one bootstraps an identical ModuleManager.
+ *
+ * Child processes receive the settings through the KLF_CONFIG environment
+ * variable and load the bootstrap script through NODE_OPTIONS.  Workers created
+ * with worker_threads.Worker get the bootstrap script added to their execArgv.
+ * Only Worker references looked up after propagation was enabled are affected.
+ */
+class ConfigPropagator {
+    /**
+     * Create a propagator
+     * @param {KLF.IModuleManager} manager The module manager
+     */
+    constructor(manager) {
+        /** @type {KLF.IModuleManager} */
+        this.manager = manager;
+
+        /**
+         * Environment values that were replaced, restored when propagation stops
+         * @type {Object.<string,string | undefined> | false}
+         */
+        this.originalEnv = false;
+
+        /** @type {typeof workerThreads.Worker | false} */
+        this.originalWorker = false;
+
+        /** @type {BroadcastChannel | false} */
+        this.logChannel = false;
+
+        /** Components we already warned about */
+        this.unexportedComponents = new Set();
+
+        /**
+         * The values passed in by our parent; Saved before apply() replaces them for our own children
+         * @type {Object.<string,string | undefined>}
+         */
+        this.inheritedEnv = { KLF_CONFIG: process.env.KLF_CONFIG, KLF_BOOTSTRAP: process.env.KLF_BOOTSTRAP };
+    }
+
+    /** Is propagation active? */
+    get active() {
+        return this.originalEnv !== false;
+    }
+
+    /** The script preloaded into each worker and child process */
+    static get bootstrapPath() {
+        return path.join(__dirname, 'bootstrap.js');
+    }
+
+    /** Is propagation enabled? */
+    get enabled() {
+        return this.settings.enabled === true;
+    }
+
+    /** @type {KLF.IPropagateConfig} */
+    get settings() {
+        return this.manager.settings.propagate;
+    }
+
+    /**
+     * Start or stop propagating based on the current settings.  This is called
+     * whenever something that children need to know about changes.
+     */
+    apply() {
+        if (!this.enabled) {
+            if (this.active)
+                this.restore();
+            return;
+        }
+        if (!this.active) {
+            this.originalEnv = {};
+            for (const name of PROPAGATED_VARIABLES) {
+                this.originalEnv[name] = process.env[name];
+            }
+        }
+        Object.assign(process.env, this.getEnvironment());
+
+        if (this.settings.childProcesses)
+            process.env.NODE_OPTIONS = this.getNodeOptions(this.originalEnv.NODE_OPTIONS);
+        else
+            this.restoreVariable('NODE_OPTIONS');
+
+        if (this.settings.workers && !this.originalWorker)
+            this.patchWorker();
+        else if (!this.settings.workers && this.originalWorker)
+            this.restoreWorker();
+
+        if (this.settings.forwardLogs && !this.logChannel && workerThreads.isMainThread)
+            this.listenForLogs();
+        else if (!this.settings.forwardLogs && this.logChannel)
+            this.stopListening();
+    }
+
+    /**
+     * Configure the manager in a new worker or child process.  Called by the bootstrap script.
+     * @param {KLF.IModuleManagerWrapper} wrapper The wrapper used to register components
+     * @param {Object.<string,string>} env The variables passed in by the parent
+     */
+    bootstrap(wrapper, env = this.inheritedEnv) {
+        const payload = env.KLF_BOOTSTRAP ? JSON.parse(env.KLF_BOOTSTRAP) : {};
+
+        for (const { name, filename, exportName } of payload.components || []) {
+            try {
+                const exported = require(filename),
+                    type = exportName ? exported[exportName] : exported;
+
+                wrapper.registerComponent(type, name);
+            }
+            catch (err) {
+                this.manager.log(`ConfigPropagator: Failed to load component ${name} from ${filename}: ${err}`, LogDetailLevel.Error, { error: err });
+            }
+        }
+
+        //  Component settings were discarded when the types were unknown; Apply them again
+        if (env.KLF_CONFIG)
+            this.manager.applyConfigChange(ConfigUtil.deserialize(env.KLF_CONFIG));
+        if (payload.esm)
+            this.manager.registerEsmHooks();
+
+        //  Messages are printed by the main thread
+        if (!workerThreads.isMainThread && this.settings.forwardLogs !== false) {
+            const channel = new BroadcastChannel(LOG_CHANNEL), { threadId } = workerThreads;
+
+            channel.unref();
+            this.manager.consoleOutput = false;
+            this.manager.on('logging', ({ message, detailLevel, component, loader, filename, position }) => {
+                channel.postMessage({ threadId, message, detailLevel, component, loader, filename, position });
+            });
+        }
+        this.manager.log(`ConfigPropagator: Bootstrapped ${workerThreads.isMainThread ? `process ${process.pid}` : `worker ${workerThreads.threadId}`}`, LogDetailLevel.Debug);
+    }
+
+    /**
+     * Find the modules that export components registered at runtime so that
+     * children can load them.  Built-in components are always available.
+     * @returns {{ name: string, filename: string, exportName?: string }[]}
+     */
+    findComponentModules() {
+        const
+            result = [],
+            rootDir = path.dirname(__dirname) + path.sep,
+            modules = Object.values(require.cache).filter(module => typeof module.filename === 'string'),
+            builtinModules = modules.filter(module => module.filename.startsWith(rootDir)),
+            userModules = modules.filter(module => !module.filename.startsWith(rootDir)),
+            //  A type registered over its parent appears under both names; Register it once
+            types = new Set(Object.values(this.manager.components));
+
+        for (const type of types) {
+            if (!ObjectUtil.isClass(type) || ConfigPropagator.findExport(type, builtinModules))
+                continue;
+            const
+                name = type.name,
+                entry = ConfigPropagator.findExport(type, userModules);
+
+            if (entry)
+                result.push({ name, ...entry });
+            else if (!this.unexportedComponents.has(name)) {
+                this.unexportedComponents.add(name);
+                this.manager.log(`ConfigPropagator: Component ${name} is not exported by any module and cannot be passed to workers or child processes`, LogDetailLevel.Warning);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Find the module that exports a type
+     * @param {Function} type The type to look for
+     * @param {Module[]} modules The modules to search
+     * @returns {{ filename: string, exportName?: string } | false}
+     */
+    static findExport(type, modules) {
+        for (const module of modules) {
+            const exported = module.exports;
+
+            if (exported === type)
+                return { filename: module.filename };
+            else if (exported && typeof exported === 'object') {
+                const exportName = Object.keys(exported).find(key => exported[key] === type);
+                if (exportName)
+                    return { filename: module.filename, exportName };
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get the environment variables that carry the configuration
+     * @returns {{ KLF_CONFIG: string, KLF_BOOTSTRAP: string }}
+     */
+    getEnvironment() {
+        return {
+            KLF_CONFIG: ConfigUtil.serialize(this.manager.settings),
+            KLF_BOOTSTRAP: JSON.stringify({ components: this.findComponentModules(), esm: this.manager.esmHooksRegistered })
+        };
+    }
+
+    /**
+     * Add the bootstrap script to a NODE_OPTIONS value
+     * @param {string} nodeOptions The existing value
+     * @returns {string}
+     */
+    getNodeOptions(nodeOptions = '') {
+        const option = `--require ${JSON.stringify(ConfigPropagator.bootstrapPath)}`;
+
+        if (!nodeOptions)
+            return option;
+        else if (nodeOptions.includes(option))
+            return nodeOptions;
+        return `${nodeOptions} ${option}`;
+    }
+
+    /**
+     * Add the bootstrap script and configuration to the options for a new Worker
+     * @param {import('worker_threads').WorkerOptions} options The options passed to the Worker constructor
+     * @returns {import('worker_threads').WorkerOptions}
+     */
+    getWorkerOptions(options = {}) {
+        const
+            execArgv = Array.isArray(options.execArgv) ? options.execArgv : process.execArgv,
+            result = { ...options, execArgv: [...execArgv, '--require', ConfigPropagator.bootstrapPath] };
+
+        if (options.env && typeof options.env === 'object')
+            result.env = { ...options.env, ...this.getEnvironment() };
+        return result;
+    }
+
+    /**
+     * Forward messages logged by workers to this manager
+     */
+    listenForLogs() {
+        this.logChannel = new BroadcastChannel(LOG_CHANNEL);
+        this.logChannel.unref();
+        this.logChannel.onmessage = ({ data }) => {
+            const { threadId, message, detailLevel, ...args } = data;
+            this.manager.log(`[worker ${threadId}] ${message}`, detailLevel, args);
+        };
+    }
+
+    /**
+     * Replace worker_threads.Worker with a subclass that bootstraps the loaders
+     */
+    patchWorker() {
+        const
+            propagator = this,
+            OriginalWorker = this.originalWorker = workerThreads.Worker;
+
+        workerThreads.Worker = class Worker extends OriginalWorker {
+            constructor(filename, options = {}) {
+                super(filename, propagator.enabled && propagator.settings.workers ? propagator.getWorkerOptions(options) : options);
+            }
+        };
+    }
+
+    /**
+     * Stop propagating and restore the environment and Worker class
+     */
+    restore() {
+        for (const name of PROPAGATED_VARIABLES) {
+            this.restoreVariable(name);
+        }
+        this.originalEnv = false;
+        this.restoreWorker();
+        this.stopListening();
+    }
+
+    /**
+     * Restore a single environment variable
+     * @param {string} name The variable to restore
+     */
+    restoreVariable(name) {
+        const value = this.originalEnv && this.originalEnv[name];
+
+        if (typeof value === 'undefined')
+            delete process.env[name];
+        else
+            process.env[name] = value;
+    }
+
+    /**
+     * Put back the original worker_threads.Worker class
+     */
+    restoreWorker() {
+        if (this.originalWorker) {
+            workerThreads.Worker = this.originalWorker;
+            this.originalWorker = false;
+        }
+    }
+
+    /**
+     * Stop forwarding worker log messages
+     */
+    stopListening() {
+        if (this.logChannel) {
+            this.logChannel.close();
+            this.logChannel = false;
+        }
+    }
+}
+
+module.exports = ConfigPropagator;
@@ -0,0 +1,431 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { performance } = require('perf_hooks'),
+    path = require('path');
+
+/**
+ * Records which module required which while the loaders are installed.
+ *
+ * Every module passed to our Module._extensions handlers becomes a node.  The
+ * edge to its parent is recorded when it loads; Modules that were already in
+ * require.cache never reach the handlers, so the children lists in
+ * require.cache are read as well when the graph is created.  Modules outside
+ * the recorded set appear as leaves so that the graph shows where it ends.
+ */
+class DependencyGraph {
+    /**
+     * Create a dependency graph
+     * @param {KLF.IModuleManager} manager The module manager
+     */
+    constructor(manager) {
+        /** @type {KLF.IModuleManager} */
+        this.manager = manager;
+
+        /**
+         * The recorded modules, keyed by filename
+         * @type {Map<string, KLF.IDependencyRecord>}
+         */
+        this.records = new Map();
+
+        /**
+         * The modules each module required, keyed by filename
+         * @type {Map<string, Set<string>>}
+         */
+        this.edges = new Map();
+
+        /** The number of loads started; Used to number the records */
+        this.loadCount = 0;
+    }
+
+    /**
+     * Add an edge
+     * @param {string} from The module doing the requiring
+     * @param {string} to The module being required
+     */
+    addEdge(from, to) {
+        if (!this.edges.has(from))
+            this.edges.set(from, new Set());
+        this.edges.get(from).add(to);
+    }
+
+    /**
+     * Start recording a module load
+     * @param {Module} module The module being loaded
+     * @param {string} filename The module filename
+     * @param {KLF.IExtensionLoader} loader The loader whose handler received the module
+     * @returns {KLF.IDependencyRecord | false} The new record or false if the graph is disabled
+     */
+    begin(module, filename, loader) {
+        if (!this.enabled)
+            return false;
+
+        const parent = DependencyGraph.findParent(module);
+
+        return {
+            filename,
+            parent: parent ? parent.filename : undefined,
+            loader: loader.name,
+            handled: false,
+            order: this.loadCount++,
+            start: performance.now(),
+            duration: 0
+        };
+    }
+
+    /** Remove everything recorded so far */
+    clear() {
+        this.records.clear();
+        this.edges.clear();
+        this.loadCount = 0;
+    }
+
+    /**
+     * Create the graph for the modules loaded so far
+     * @returns {KLF.IDependencyGraph}
+     */
+    create() {
+        const
+            /** @type {Map<string, Set<string>>} */
+            adjacent = new Map(),
+            link = (from, to) => {
+                for (const id of [from, to]) {
+                    if (!adjacent.has(id))
+                        adjacent.set(id, new Set());
+                }
+                adjacent.get(from).add(to);
+            };
+
+        for (const filename of this.records.keys()) {
+            const cached = require.cache[filename];
+
+            if (!adjacent.has(filename))
+                adjacent.set(filename, new Set());
+            for (const to of this.edges.get(filename) || []) {
+                link(filename, to);
+            }
+            for (const child of cached && Array.isArray(cached.children) ? cached.children : []) {
+                if (typeof child.filename === 'string')
+                    link(filename, child.filename);
+            }
+        }
+        //  Parents that were not recorded themselves
+        for (const [from, targets] of this.edges) {
+            for (const to of targets) {
+                link(from, to);
+            }
+        }
+
+        const
+            components = DependencyGraph.findComponents(adjacent),
+            /** @type {Map<string, number>} */
+            componentOf = new Map(),
+            isCyclic = (index) => components[index].length > 1 || adjacent.get(components[index][0]).has(components[index][0]),
+            required = new Set([...adjacent.values()].flatMap(targets => [...targets]));
+
+        components.forEach((members, index) => members.forEach(id => componentOf.set(id, index)));
+
+        //  Components are found sinks first, so walking them backwards visits parents before children
+        const
+            depth = components.map(() => 0),
+            /** @type {{ component: number, from: string, to: string }[]} The edge each component was reached by */
+            previous = components.map(() => undefined);
+
+        for (let index = components.length - 1; index >= 0; index--) {
+            for (const id of components[index]) {
+                for (const to of adjacent.get(id)) {
+                    const target = componentOf.get(to);
+
+                    if (target !== index && depth[index] + 1 > depth[target]) {
+                        depth[target] = depth[index] + 1;
+                        previous[target] = { component: index, from: id, to };
+                    }
+                }
+            }
+        }
+
+        const
+            byOrder = (a, b) => this.getOrder(a) - this.getOrder(b) || a.localeCompare(b),
+            representative = components.map(members => members.slice(0).sort(byOrder)[0]),
+            leaves = components
+                .map((members, index) => index)
+                .filter(index => components[index].every(id => [...adjacent.get(id)].every(to => componentOf.get(to) === index)))
+                .filter(index => depth[index] > 0)
+                .sort((a, b) => depth[b] - depth[a] || byOrder(representative[a], representative[b])),
+            chains = leaves.slice(0, this.settings.chains || 0).map(index => {
+                const steps = [];
+                for (let step = previous[index]; step; step = previous[step.component]) {
+                    steps.unshift(step);
+                }
+
+                //  Fill in the path taken through each cycle between entering and leaving it
+                const chain = [steps[0].from];
+                steps.forEach((step, i) => {
+                    const next = steps[i + 1];
+
+                    chain.push(step.to);
+                    if (next && next.from !== step.to)
+                        chain.push(...DependencyGraph.findPath(step.to, next.from, new Set(components[componentOf.get(step.to)]), adjacent).slice(1));
+                });
+                return chain;
+            });
+
+        return {
+            nodes: [...adjacent.keys()].sort(byOrder).map(filename => {
+                const record = this.records.get(filename);
+
+                return {
+                    filename,
+                    loader: record && record.loader,
+                    handled: !!record && record.handled,
+                    order: record ? record.order : -1,
+                    duration: record ? record.duration : undefined,
+                    depth: depth[componentOf.get(filename)]
+                };
+            }),
+            edges: [...adjacent.keys()].sort(byOrder).flatMap(from => [...adjacent.get(from)].sort(byOrder).map(to => ({
+                from,
+                to,
+                cycle: componentOf.get(from) === componentOf.get(to) && isCyclic(componentOf.get(from))
+            }))),
+            roots: [...adjacent.keys()].filter(id => !required.has(id)).sort(byOrder),
+            cycles: components
+                .filter((members, index) => isCyclic(index))
+                .map(members => {
+                    const start = members.slice(0).sort(byOrder)[0];
+                    return DependencyGraph.findPath(start, start, new Set(members), adjacent);
+                })
+                .sort((a, b) => byOrder(a[0], b[0])),
+            chains
+        };
+    }
+
+    /** Is the graph enabled? */
+    get enabled() {
+        return this.settings.enabled === true;
+    }
+
+    /**
+     * Finish recording a module load
+     * @param {KLF.IDependencyRecord | false} record The record returned by begin()
+     * @param {boolean} handled Did the loader handle the module, or was it deferred to the built-in handler?
+     */
+    end(record, handled) {
+        if (!record)
+            return;
+
+        record.handled = handled === true;
+        record.duration = performance.now() - record.start;
+
+        if (!record.handled && !this.settings.deferred)
+            return;
+
+        //  A module loaded again after being evicted keeps its original position
+        if (this.records.has(record.filename))
+            record.order = this.records.get(record.filename).order;
+        this.records.set(record.filename, record);
+        if (record.parent)
+            this.addEdge(record.parent, record.filename);
+    }
+
+    /**
+     * Export the graph
+     * @param {'json' | 'dot' | 'mermaid'} format The output format
+     * @param {string} relativeTo Labels in DOT and Mermaid output are relative to this directory
+     * @returns {string}
+     */
+    export(format = 'json', relativeTo = process.cwd()) {
+        const graph = this.create();
+
+        switch (format) {
+            case 'dot': return DependencyGraph.toDot(graph, relativeTo);
+            case 'json': return JSON.stringify(graph, undefined, 2);
+            case 'mermaid': return DependencyGraph.toMermaid(graph, relativeTo);
+        }
+        throw new Error(`Bad argument 1 to export(); Unknown graph format '${format}'`);
+    }
+
+    /**
+     * Find strongly connected components using Tarjan's algorithm.  Components
+     * are returned in reverse topological order.
+     * @param {Map<string, Set<string>>} adjacent The edges leaving each node
+     * @returns {string[][]}
+     */
+    static findComponents(adjacent) {
+        const
+            result = [],
+            stack = [],
+            /** @type {Map<string, { index: number, low: number, onStack: boolean }>} */
+            state = new Map();
+
+        //  Chains in large projects can be deep, so the search keeps its own stack
+        for (const start of adjacent.keys()) {
+            if (state.has(start))
+                continue;
+
+            const work = [{ id: start, targets: [...adjacent.get(start)], next: 0 }];
+
+            state.set(start, { index: state.size, low: state.size, onStack: true });
+            stack.push(start);
+
+            while (work.length > 0) {
+                const frame = work[work.length - 1], current = state.get(frame.id);
+
+                if (frame.next < frame.targets.length) {
+                    const to = frame.targets[frame.next++], target = state.get(to);
+
+                    if (!target) {
+                        state.set(to, { index: state.size, low: state.size, onStack: true });
+                        stack.push(to);
+                        work.push({ id: to, targets: [...adjacent.get(to)], next: 0 });
+                    }
+                    else if (target.onStack)
+                        current.low = Math.min(current.low, target.index);
+                    continue;
+                }
+
+                work.pop();
+                if (work.length > 0) {
+                    const parent = state.get(work[work.length - 1].id);
+                    parent.low = Math.min(parent.low, current.low);
+                }
+                if (current.low === current.index) {
+                    const members = [];
+                    let id;
+
+                    do {
+                        id = stack.pop();
+                        state.get(id).onStack = false;
+                        members.push(id);
+                    }
+                    while (id !== frame.id);
+                    result.push(members);
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Find the shortest path between two modules in the same component
+     * @param {string} from The module to start from
+     * @param {string} to The module to end at; If this is from, the path is a cycle
+     * @param {Set<string>} members The modules in the component
+     * @param {Map<string, Set<string>>} adjacent The edges leaving each node
+     * @returns {string[]} The path, starting with from and ending with to
+     */
+    static findPath(from, to, members, adjacent) {
+        const previous = new Map(), queue = [from];
+
+        for (let i = 0; i < queue.length; i++) {
+            for (const next of adjacent.get(queue[i])) {
+                if (next === to) {
+                    const result = [to];
+                    for (let id = queue[i]; id !== from; id = previous.get(id)) {
+                        result.unshift(id);
+                    }
+                    return [from, ...result];
+                }
+                else if (members.has(next) && next !== from && !previous.has(next)) {
+                    previous.set(next, queue[i]);
+                    queue.push(next);
+                }
+            }
+        }
+        return [from, to];
+    }
+
+    /**
+     * Find the module that required another module
+     * @param {Module} module The module being loaded
+     * @returns {Module | undefined}
+     */
+    static findParent(module) {
+        if (module.parent)
+            return module.parent;
+        return Object.values(require.cache).find(m => m !== module && Array.isArray(m.children) && m.children.includes(module));
+    }
+
+    /**
+     * Get the position a module was loaded in
+     * @param {string} filename The module filename
+     * @returns {number} The load order, or Infinity for modules that were not recorded
+     */
+    getOrder(filename) {
+        const record = this.records.get(filename);
+        return record ? record.order : Infinity;
+    }
+
+    /** @type {KLF.IDependencyGraphConfig} */
+    get settings() {
+        return this.manager.settings.graph || {};
+    }
+
+    /**
+     * Create the comment lines that describe cycles and chains
+     * @param {KLF.IDependencyGraph} graph The graph
+     * @param {(filename: string) => string} label Creates the name shown for a module
+     * @returns {string[]}
+     */
+    static summarize(graph, label) {
+        return [
+            ...graph.cycles.map(cycle => `Cycle: ${cycle.map(label).join(' -> ')}`),
+            ...graph.chains.map(chain => `Chain (${chain.length} modules): ${chain.map(label).join(' -> ')}`)
+        ];
+    }
+
+    /**
+     * Convert a graph to Graphviz DOT; Cycles are drawn in red and modules we did not handle are dashed
+     * @param {KLF.IDependencyGraph} graph The graph
+     * @param {string} relativeTo Labels are relative to this directory
+     * @returns {string}
+     */
+    static toDot(graph, relativeTo = process.cwd()) {
+        const
+            ids = new Map(graph.nodes.map((node, index) => [node.filename, `n${index}`])),
+            label = (filename) => path.relative(relativeTo, filename) || filename,
+            quote = (text) => `"${text.replace(/["\\]/g, '\\$&')}"`;
+
+        return [
+            'digraph "klf-require" {',
+            ...DependencyGraph.summarize(graph, label).map(line => `    // ${line}`),
+            '    rankdir=LR;',
+            '    node [shape=box];',
+            ...graph.nodes.map(node => `    ${ids.get(node.filename)} [label=${quote(label(node.filename))}${node.handled ? '' : ', style=dashed'}];`),
+            ...graph.edges.map(edge => `    ${ids.get(edge.from)} -> ${ids.get(edge.to)}${edge.cycle ? ' [color=red]' : ''};`),
+            '}'
+        ].join('\n');
+    }
+
+    /**
+     * Convert a graph to a Mermaid flowchart; Cycles are drawn in red and modules we did not handle are dashed
+     * @param {KLF.IDependencyGraph} graph The graph
+     * @param {string} relativeTo Labels are relative to this directory
+     * @returns {string}
+     */
+    static toMermaid(graph, relativeTo = process.cwd()) {
+        const
+            ids = new Map(graph.nodes.map((node, index) => [node.filename, `n${index}`])),
+            label = (filename) => path.relative(relativeTo, filename) || filename,
+            unhandled = graph.nodes.filter(node => !node.handled).map(node => ids.get(node.filename)),
+            cycleEdges = graph.edges.map((edge, index) => edge.cycle ? index : -1).filter(index => index > -1);
+
+        return [
+            'graph LR',
+            ...DependencyGraph.summarize(graph, label).map(line => `    %% ${line}`),
+            ...graph.nodes.map(node => `    ${ids.get(node.filename)}["${label(node.filename).replace(/"/g, '#quot;')}"]`),
+            ...graph.edges.map(edge => `    ${ids.get(edge.from)} --> ${ids.get(edge.to)}`),
+            ...(unhandled.length > 0 ? ['    classDef deferred stroke-dasharray: 5 5', `    class ${unhandled.join(',')} deferred`] : []),
+            ...(cycleEdges.length > 0 ? [`    linkStyle ${cycleEdges.join(',')} stroke:red`] : [])
+        ].join('\n');
+    }
+}
+
+module.exports = DependencyGraph;
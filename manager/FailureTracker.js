@@ -0,0 +1,235 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { FailurePolicy, LogDetailLevel } = require('../Constants'),
+    LoaderError = require('../loader/LoaderError'),
+    SourceMapUtil = require('../util/SourceMapUtil'),
+    path = require('path');
+
+/**
+ * Applies the failure policy when a loader cannot transform a module.
+ *
+ * Loaders report most problems through the log rather than by throwing, so
+ * while a module loads, the last message logged for it is kept as the reason
+ * the load failed, along with the position that message refers to.
+ */
+class FailureTracker {
+    /**
+     * Create a failure tracker
+     * @param {KLF.IModuleManager} manager The module manager
+     */
+    constructor(manager) {
+        /** @type {KLF.IModuleManager} */
+        this.manager = manager;
+
+        /** @type {KLF.ILoadFailure[]} */
+        this.failures = [];
+
+        /**
+         * Loads in progress, keyed by filename
+         * @type {Map<string, KLF.ILoadAttempt>}
+         */
+        this.active = new Map();
+
+        /** Has the 'logging' listener been added? */
+        this.listening = false;
+
+        /** Has the process exit handler been added? */
+        this.exitHookInstalled = false;
+    }
+
+    /**
+     * Start watching a module load
+     * @param {string} filename The module being loaded
+     * @param {KLF.IExtensionLoader} loader The loader handling the module
+     * @returns {KLF.ILoadAttempt}
+     */
+    begin(filename, loader) {
+        /** @type {KLF.ILoadAttempt} */
+        const attempt = { compiling: false, filename, loader: loader.name, policy: this.getPolicy(loader, filename), reason: undefined, position: undefined };
+
+        //  A single listener serves every load, however deeply they nest
+        if (!this.listening) {
+            this.listening = true;
+            this.manager.on('logging', (entry) => this.onLogMessage(entry));
+        }
+        this.active.set(filename, attempt);
+        return attempt;
+    }
+
+    /**
+     * Describe a failed load
+     * @param {KLF.ILoadAttempt} attempt The record returned by begin()
+     * @param {any} cause The error thrown by the loader, if any
+     * @returns {KLF.ILoadFailure}
+     */
+    createFailure(attempt, cause = undefined) {
+        const
+            { filename, loader, policy } = attempt,
+            position = cause && typeof cause.position === 'object' ? cause.position : this.findErrorPosition(cause, filename) || attempt.position;
+
+        return {
+            filename,
+            loader,
+            policy,
+            position: position ? { ...position } : undefined,
+            reason: typeof cause !== 'undefined' ? `${cause && cause.message || cause}` : attempt.reason || 'No reason given by loader'
+        };
+    }
+
+    /**
+     * Create the report written when the process exits
+     * @returns {string | false} The report, or false if nothing failed under the warn policy
+     */
+    createReport() {
+        const failures = this.failures.filter(failure => failure.policy === FailurePolicy.Warn);
+
+        if (failures.length === 0)
+            return false;
+
+        return [
+            `klf-require: ${failures.length} module(s) could not be transformed and were loaded by the built-in handler:`,
+            ...failures.map(({ filename, loader, position, reason }) => {
+                const location = path.relative(process.cwd(), filename) + (position ? `:${position.line + 1}:${position.col + 1}` : '');
+                return `    ${location} [${loader}] ${reason}`;
+            })
+        ].join('\n');
+    }
+
+    /**
+     * Note that a module compiled and its own code is about to run; Errors thrown
+     * from here on belong to the module and are not load failures
+     * @param {string} filename The module being loaded
+     */
+    compiling(filename) {
+        const attempt = this.active.get(filename);
+
+        if (attempt)
+            attempt.compiling = true;
+    }
+
+    /**
+     * Stop watching a module load
+     * @param {KLF.ILoadAttempt} attempt The record returned by begin()
+     */
+    end(attempt) {
+        if (this.active.get(attempt.filename) === attempt)
+            this.active.delete(attempt.filename);
+    }
+
+    /**
+     * Find where in a module an error was thrown.  Syntax errors start with the
+     * location in the compiled code, which is mapped back to the original source;
+     * Other errors use the first stack frame in the module.
+     * @param {any} cause The error thrown by the loader
+     * @param {string} filename The module being loaded
+     * @returns {KLF.SourcePosition | undefined}
+     */
+    findErrorPosition(cause, filename) {
+        const lines = cause && typeof cause.stack === 'string' ? cause.stack.split('\n') : [];
+
+        if (lines.length > 2 && lines[0].startsWith(`${filename}:`)) {
+            const
+                line = parseInt(lines[0].slice(filename.length + 1)) - 1,
+                col = Math.max(lines[2].indexOf('^'), 0),
+                entry = this.manager.stackTraceMapper.sourceMaps[filename],
+                original = entry && SourceMapUtil.findOriginalPosition(entry.lines, line, col);
+
+            if (!isNaN(line))
+                return original || { line, col };
+        }
+        for (const frame of lines) {
+            const index = frame.indexOf(`${filename}:`);
+
+            if (frame.trimStart().startsWith('at ') && index > -1) {
+                const [line, col] = frame.slice(index + filename.length + 1).split(':').map(n => parseInt(n) - 1);
+
+                if (!isNaN(line))
+                    return { line, col: isNaN(col) ? 0 : col };
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Record a failed load and apply the failure policy
+     * @param {KLF.ILoadAttempt} attempt The record returned by begin()
+     * @param {any} cause The error thrown by the loader, if any
+     * @returns {LoaderError | false} The error to throw, or false if the built-in handler should load the module
+     */
+    fail(attempt, cause = undefined) {
+        const failure = this.createFailure(attempt, cause);
+
+        this.record(failure);
+        return failure.policy === FailurePolicy.Strict ? new LoaderError(failure, cause) : false;
+    }
+
+    /**
+     * Get the policy for a module; The loader setting takes precedence over the
+     * global setting.  Sandboxed modules always use the strict policy, since the
+     * built-in handler would run them in the main realm.
+     * @param {KLF.IExtensionLoader} loader The loader
+     * @param {string?} filename The module being loaded
+     * @returns {KLF.FailurePolicy}
+     */
+    getPolicy(loader, filename = undefined) {
+        if (filename && loader.sandbox && loader.sandbox.appliesTo(filename))
+            return FailurePolicy.Strict;
+        return FailurePolicy.tryParse(loader.failurePolicy || '')
+            || FailurePolicy.tryParse(this.manager.settings.failurePolicy || '')
+            || FailurePolicy.Fallback;
+    }
+
+    /**
+     * Add the handler that writes the report when the process exits
+     */
+    installExitHook() {
+        if (this.exitHookInstalled)
+            return;
+
+        this.exitHookInstalled = true;
+        process.once('exit', () => {
+            const report = this.createReport();
+            if (report)
+                this.manager.log(report, LogDetailLevel.Warning, true);
+        });
+    }
+
+    /**
+     * Keep the most recent message logged for a module being loaded, and the position it refers to
+     * @param {KLF.LogMessageEventArgs} entry The log message
+     */
+    onLogMessage(entry) {
+        const attempt = typeof entry.filename === 'string' && this.active.get(entry.filename);
+
+        if (!attempt || entry.detailLevel > LogDetailLevel.Debug)
+            return;
+
+        attempt.reason = entry.message;
+        attempt.position = entry.position && typeof entry.position.line === 'number' ? entry.position : undefined;
+    }
+
+    /**
+     * Add a failure to the list
+     * @param {KLF.ILoadFailure} failure The failure
+     */
+    record(failure) {
+        this.failures.push(failure);
+        if (failure.policy === FailurePolicy.Warn)
+            this.installExitHook();
+    }
+
+    /** Remove all failures */
+    reset() {
+        this.failures = [];
+    }
+}
+
+module.exports = FailureTracker;
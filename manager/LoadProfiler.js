@@ -0,0 +1,267 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { LogDetailLevel } = require('../Constants'),
+    { performance } = require('perf_hooks'),
+    path = require('path'),
+    fs = require('fs');
+
+/** Phases shown as columns in the table report */
+const TABLE_PHASES = ['read', 'cache', 'tokenize', 'pipeline', 'generate', 'compile'];
+
+/**
+ * Records how long each phase of loading a module takes.  Loads nest when a
+ * module requires another module while it is being compiled, so the time
+ * spent loading children is subtracted to get each module's own time.
+ * Only the latest load of each module is kept, so reloading modules does not
+ * grow the records without bound.
+ */
+class LoadProfiler {
+    /**
+     * Create a profiler
+     * @param {KLF.IModuleManager} manager The module manager
+     */
+    constructor(manager) {
+        /** @type {KLF.IModuleManager} */
+        this.manager = manager;
+
+        /**
+         * The latest load of each module, keyed by filename
+         * @type {Map<string, KLF.IModuleMetrics>}
+         */
+        this.records = new Map();
+
+        /** Loads in progress, innermost last */
+        this.stack = [];
+
+        /** Has the process exit handler been added? */
+        this.exitHookInstalled = false;
+    }
+
+    /** The load currently in progress */
+    get current() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    /** Is profiling enabled? */
+    get enabled() {
+        return this.settings.enabled === true;
+    }
+
+    /** @type {KLF.IMetricsConfig} */
+    get settings() {
+        return this.manager.settings.metrics;
+    }
+
+    /**
+     * Start recording a module load
+     * @param {string} filename The module being loaded
+     * @param {KLF.IExtensionLoader} loader The loader handling the module
+     * @returns {KLF.IModuleMetrics | false} The new record or false if profiling is disabled
+     */
+    begin(filename, loader) {
+        if (!this.enabled)
+            return false;
+
+        /** @type {KLF.IModuleMetrics} */
+        const record = {
+            filename,
+            loader: loader.name,
+            success: false,
+            cache: this.manager.transformCache.enabled ? 'miss' : 'disabled',
+            tokenCount: 0,
+            start: performance.now(),
+            timings: { total: 0, self: 0, stages: {} },
+            spans: [],
+            childTime: 0
+        };
+        this.stack.push(record);
+        return record;
+    }
+
+    /**
+     * Create the report written when the process exits
+     * @param {'table' | 'trace'} format The report format
+     * @returns {string}
+     */
+    createReport(format = 'table') {
+        if (format === 'trace')
+            return JSON.stringify(this.createTrace());
+        else if (format !== 'table')
+            throw new Error(`Bad argument 1 to createReport(); Unknown report format '${format}'`);
+
+        const
+            records = [...this.records.values()].sort((a, b) => b.timings.self - a.timings.self),
+            header = ['self', 'total', ...TABLE_PHASES, 'tokens', 'cached', 'file'],
+            formatTime = (value) => typeof value === 'number' ? value.toFixed(2) : '-',
+            rows = records.map(record => [
+                formatTime(record.timings.self),
+                formatTime(record.timings.total),
+                ...TABLE_PHASES.map(phase => formatTime(record.timings[phase])),
+                String(record.tokenCount),
+                record.cache,
+                path.relative(process.cwd(), record.filename) + (record.success ? '' : ' (deferred)')
+            ]),
+            widths = header.map((name, i) => Math.max(name.length, ...rows.map(row => row[i].length))),
+            formatRow = (row) => row.map((cell, i) => i === row.length - 1 ? cell : cell.padStart(widths[i])).join('  ');
+
+        const totalTime = records.reduce((total, record) => total + record.timings.self, 0);
+
+        return [
+            `klf-require: ${records.length} module(s) loaded in ${totalTime.toFixed(2)}ms (times in ms)`,
+            formatRow(header),
+            ...rows.map(formatRow)
+        ].join('\n');
+    }
+
+    /**
+     * Convert the records into Chrome trace-event JSON
+     * @returns {{ traceEvents: object[] }}
+     */
+    createTrace() {
+        const
+            traceEvents = [],
+            pid = process.pid,
+            origin = performance.timeOrigin,
+            toMicroseconds = (ms) => Math.round((origin + ms) * 1000);
+
+        for (const record of this.records.values()) {
+            const args = { filename: record.filename, loader: record.loader, cache: record.cache, tokenCount: record.tokenCount };
+
+            traceEvents.push({ name: path.basename(record.filename), cat: 'klf-require', ph: 'X', ts: toMicroseconds(record.start), dur: Math.round(record.timings.total * 1000), pid, tid: 0, args });
+            for (const span of record.spans) {
+                traceEvents.push({ name: span.name, cat: 'klf-require', ph: 'X', ts: toMicroseconds(span.start), dur: Math.round(span.duration * 1000), pid, tid: 0, args: { filename: record.filename } });
+            }
+        }
+        return { traceEvents };
+    }
+
+    /**
+     * Finish recording a module load and emit a 'metrics' event
+     * @param {KLF.IModuleMetrics | false} record The record returned by begin()
+     * @param {boolean} success Did the loader handle the module?
+     */
+    end(record, success) {
+        if (!record)
+            return;
+
+        const index = this.stack.lastIndexOf(record);
+        if (index > -1)
+            this.stack.splice(index, 1);
+
+        record.success = success === true;
+        record.timings.total = performance.now() - record.start;
+        record.timings.self = record.timings.total - record.childTime;
+
+        const parent = this.current;
+        if (parent)
+            parent.childTime += record.timings.total;
+
+        //  Re-adding moves a reloaded module to the end, in load order
+        this.records.delete(record.filename);
+        this.records.set(record.filename, record);
+        this.manager.emit('metrics', LoadProfiler.toEventArgs(record));
+    }
+
+    /**
+     * Add the handler that writes the report when the process exits
+     */
+    installExitHook() {
+        if (this.exitHookInstalled || !this.enabled || !this.settings.report)
+            return;
+
+        this.exitHookInstalled = true;
+        process.once('exit', () => {
+            if (this.enabled && this.settings.report)
+                this.writeReport();
+        });
+    }
+
+    /**
+     * Time part of the current load
+     * @template T
+     * @param {string} phase The name of the phase
+     * @param {() => T} callback The work to time
+     * @param {string?} stage If set, the time is also recorded for this pipeline stage
+     * @returns {T}
+     */
+    measure(phase, callback, stage = undefined) {
+        const record = this.current;
+
+        if (!record)
+            return callback();
+
+        const start = performance.now();
+        try {
+            return callback();
+        }
+        finally {
+            const duration = performance.now() - start;
+
+            record.timings[phase] = (record.timings[phase] || 0) + duration;
+            if (stage)
+                record.timings.stages[stage] = (record.timings.stages[stage] || 0) + duration;
+            record.spans.push({ name: stage ? `${phase}: ${stage}` : phase, start, duration });
+        }
+    }
+
+    /**
+     * Record details about the current load
+     * @param {Partial<KLF.IModuleMetrics>} details The values to record
+     */
+    note(details) {
+        if (this.current)
+            Object.assign(this.current, details);
+    }
+
+    /** Remove all records */
+    reset() {
+        this.records.clear();
+    }
+
+    /**
+     * Create the value passed to 'metrics' listeners
+     * @param {KLF.IModuleMetrics} record The finished record
+     * @returns {KLF.IMetricsEventArgs}
+     */
+    static toEventArgs(record) {
+        const { filename, loader, success, cache, tokenCount, timings } = record;
+        return { filename, loader, success, cache, tokenCount, timings: { ...timings, stages: { ...timings.stages } } };
+    }
+
+    /**
+     * Write the report using the configured format and destination
+     * @param {'table' | 'trace'} format The report format
+     * @param {string?} filename The file to write; Tables go to the console if not set
+     * @returns {string | false} The file written, or false if the report was printed
+     */
+    writeReport(format = this.settings.report === 'trace' ? 'trace' : 'table', filename = this.settings.reportFile) {
+        const report = this.createReport(format);
+
+        if (!filename && format === 'trace')
+            filename = path.join(process.cwd(), `klf-require-${process.pid}.trace.json`);
+        if (!filename) {
+            console.log(report);
+            return false;
+        }
+        try {
+            fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+            fs.writeFileSync(filename, report, { encoding: 'utf8' });
+            this.manager.log(`Wrote ${format} report for ${this.records.size} module(s) to ${filename}`, LogDetailLevel.Debug);
+            return filename;
+        }
+        catch (err) {
+            this.manager.log(`LoadProfiler: Could not write report to ${filename}: ${err}`, LogDetailLevel.Warning);
+            return false;
+        }
+    }
+}
+
+module.exports = LoadProfiler;
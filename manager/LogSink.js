@@ -0,0 +1,190 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { DetailLevelString, LogDetailLevel } = require('../Constants'),
+    path = require('path'),
+    fs = require('fs');
+
+/**
+ * Receives log messages that pass the manager's thresholds.  Each sink may
+ * also define its own level to see fewer messages than the manager allows.
+ */
+class LogSink {
+    /**
+     * Create a sink
+     * @param {Partial<KLF.ILogSinkConfig>} settings The sink settings
+     */
+    constructor(settings = {}) {
+        /** @type {KLF.LogDetailLevel | undefined} */
+        this.level = LogSink.parseLevel(settings.level);
+    }
+
+    /**
+     * Create a sink from a config entry
+     * @param {KLF.LogSinkSpec} spec A sink instance, callback, or config object
+     * @returns {LogSink}
+     */
+    static create(spec) {
+        if (spec instanceof LogSink)
+            return spec;
+        else if (typeof spec === 'function')
+            return new CallbackLogSink({ callback: spec });
+        else if (spec && typeof spec === 'object') {
+            switch (spec.type) {
+                case 'callback': return new CallbackLogSink(spec);
+                case 'console': return new ConsoleLogSink(spec);
+                case 'file': return new FileLogSink(spec);
+                case 'memory': return new MemoryLogSink(spec);
+            }
+            throw new Error(`Bad argument 1 to LogSink.create(); Unknown sink type '${spec.type}'`);
+        }
+        throw new Error(`Bad argument 1 to LogSink.create(); Expected LogSink, function, or object, but got ${typeof spec}`);
+    }
+
+    /**
+     * Convert a level name or number into a LogDetailLevel
+     * @param {string | number | undefined} level The level to parse
+     * @returns {KLF.LogDetailLevel | undefined}
+     */
+    static parseLevel(level) {
+        if (typeof level === 'number')
+            return level;
+        else if (typeof level === 'string')
+            return LogDetailLevel.tryParse(level);
+        return undefined;
+    }
+
+    /**
+     * Convert a message into plain data that can be serialized
+     * @param {KLF.LogMessageEventArgs} entry The log message
+     * @returns {object}
+     */
+    static toRecord(entry) {
+        const { timestamp, detailLevel, message, component, loader, filename, position, error } = entry;
+
+        return {
+            timestamp,
+            level: (DetailLevelString[detailLevel] || '').trim(),
+            detailLevel,
+            component,
+            loader,
+            filename,
+            position,
+            message,
+            error: error instanceof Error ? { message: error.message, stack: error.stack } : undefined
+        };
+    }
+
+    /**
+     * Record a message if it passes this sink's level
+     * @param {KLF.LogMessageEventArgs} entry The log message
+     */
+    receive(entry) {
+        if (typeof this.level !== 'number' || entry.detailLevel <= this.level)
+            this.write(entry);
+    }
+
+    /**
+     * Record a message
+     * @param {KLF.LogMessageEventArgs} entry The log message
+     */
+    write(entry) {
+        throw new Error(`${this.constructor.name} does not implement write()`);
+    }
+}
+
+/**
+ * Passes each message to a callback
+ */
+class CallbackLogSink extends LogSink {
+    /**
+     * @param {Partial<KLF.ILogSinkConfig> & { callback: KLF.LogMessageCallback }} settings The sink settings
+     */
+    constructor(settings) {
+        super(settings);
+        if (typeof settings.callback !== 'function')
+            throw new Error('CallbackLogSink requires a callback function');
+
+        /** @type {KLF.LogMessageCallback} */
+        this.callback = settings.callback;
+    }
+
+    write(entry) {
+        this.callback(entry);
+    }
+}
+
+/**
+ * Writes messages to the console in the +[LEVEL]: message format
+ */
+class ConsoleLogSink extends LogSink {
+    write(entry) {
+        console.log(`+[${DetailLevelString[entry.detailLevel]}]: ${entry.message}`);
+    }
+}
+
+/**
+ * Appends each message to a file as a line of JSON
+ */
+class FileLogSink extends LogSink {
+    /**
+     * @param {Partial<KLF.ILogSinkConfig> & { filename: string }} settings The sink settings
+     */
+    constructor(settings) {
+        super(settings);
+        if (typeof settings.filename !== 'string')
+            throw new Error('FileLogSink requires a filename');
+
+        /** The file messages are appended to */
+        this.filename = path.resolve(settings.filename);
+        fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    }
+
+    write(entry) {
+        //  Written synchronously so that messages logged just before exit are not lost
+        fs.appendFileSync(this.filename, JSON.stringify(LogSink.toRecord(entry)) + '\n', { encoding: 'utf8' });
+    }
+}
+
+/**
+ * Keeps the most recent messages in memory
+ */
+class MemoryLogSink extends LogSink {
+    /**
+     * @param {Partial<KLF.ILogSinkConfig> & { size?: number }} settings The sink settings
+     */
+    constructor(settings = {}) {
+        super(settings);
+
+        /** The maximum number of messages kept */
+        this.size = typeof settings.size === 'number' && settings.size > 0 ? settings.size : 1000;
+
+        /** @type {object[]} */
+        this.buffer = [];
+    }
+
+    /** The stored messages, oldest first */
+    get entries() {
+        return this.buffer.slice(0);
+    }
+
+    /** Remove all stored messages */
+    clear() {
+        this.buffer = [];
+    }
+
+    write(entry) {
+        this.buffer.push(LogSink.toRecord(entry));
+        if (this.buffer.length > this.size)
+            this.buffer.splice(0, this.buffer.length - this.size);
+    }
+}
+
+module.exports = { LogSink, CallbackLogSink, ConsoleLogSink, FileLogSink, MemoryLogSink };
@@ -0,0 +1,139 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { LogDetailLevel } = require('../Constants'),
+    fs = require('fs');
+
+/**
+ * Watches files handled by the loaders and evicts them, along with every
+ * module that depends on them, from require.cache when they change.
+ */
+class ModuleWatcher {
+    /**
+     * Create a watcher
+     * @param {KLF.IModuleManager} manager The module manager
+     */
+    constructor(manager) {
+        /** @type {KLF.IModuleManager} */
+        this.manager = manager;
+
+        /** @type {Map<string, fs.FSWatcher>} */
+        this.watchers = new Map();
+
+        /** @type {Map<string, NodeJS.Timeout>} */
+        this.pending = new Map();
+    }
+
+    /** Is watch mode enabled? */
+    get enabled() {
+        return this.manager.settings.enabled === true && this.settings.enabled === true;
+    }
+
+    /** @type {KLF.IWatchConfig} */
+    get settings() {
+        return this.manager.settings.watch;
+    }
+
+    /** The files currently being watched */
+    get watchedFiles() {
+        return [...this.watchers.keys()];
+    }
+
+    /**
+     * Stop watching every file
+     */
+    close() {
+        for (const filename of this.watchers.keys()) {
+            this.unwatch(filename);
+        }
+    }
+
+    /**
+     * Find a module and every module that directly or indirectly requires it
+     * @param {string} filename The module that changed
+     * @param {Object.<string,Module>} cache The module cache to search
+     * @returns {string[]} The affected module filenames, starting with the changed file
+     */
+    static findDependents(filename, cache = require.cache) {
+        const result = [filename], seen = new Set(result);
+
+        for (let i = 0; i < result.length; i++) {
+            const target = cache[result[i]];
+
+            if (!target)
+                continue;
+            for (const [id, module] of Object.entries(cache)) {
+                if (!seen.has(id) && Array.isArray(module.children) && module.children.includes(target)) {
+                    seen.add(id);
+                    result.push(id);
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Respond to a change event, waiting for writes to settle first
+     * @param {string} filename The file that changed
+     */
+    onChange(filename) {
+        clearTimeout(this.pending.get(filename));
+        this.pending.set(filename, setTimeout(() => {
+            this.pending.delete(filename);
+            if (this.watchers.has(filename))
+                this.manager.reloadModule(filename);
+        }, this.settings.debounce || 0));
+    }
+
+    /**
+     * Stop watching a file
+     * @param {string} filename The file to stop watching
+     * @returns {boolean} Returns true if the file was being watched
+     */
+    unwatch(filename) {
+        const watcher = this.watchers.get(filename);
+
+        clearTimeout(this.pending.get(filename));
+        this.pending.delete(filename);
+        if (!watcher)
+            return false;
+
+        watcher.close();
+        this.watchers.delete(filename);
+        return true;
+    }
+
+    /**
+     * Start watching a file
+     * @param {string} filename The file to watch
+     * @returns {boolean} Returns true if a new watcher was created
+     */
+    watch(filename) {
+        if (!this.enabled || this.watchers.has(filename))
+            return false;
+        try {
+            const watcher = fs.watch(filename, { persistent: this.settings.persistent === true }, () => this.onChange(filename));
+
+            watcher.on('error', err => {
+                this.manager.log(`ModuleWatcher: Stopped watching ${filename}: ${err}`, LogDetailLevel.Warning, { filename });
+                this.unwatch(filename);
+            });
+            this.watchers.set(filename, watcher);
+            this.manager.log(`ModuleWatcher: Watching ${filename}`, LogDetailLevel.Verbose, { filename });
+            return true;
+        }
+        catch (err) {
+            this.manager.log(`ModuleWatcher: Could not watch ${filename}: ${err}`, LogDetailLevel.Warning, { filename });
+            return false;
+        }
+    }
+}
+
+module.exports = ModuleWatcher;
@@ -0,0 +1,287 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { LogDetailLevel } = require('../Constants'),
+    ComponentRegistry = require('./ComponentRegistry'),
+    ConfigUtil = require('../util/ConfigUtil'),
+    ObjectUtil = require('../util/ObjectUtil'),
+    VersionUtil = require('../util/VersionUtil'),
+    { name: packageName, version: packageVersion } = require('../package.json'),
+    path = require('path'),
+    fs = require('fs');
+
+/** Packages with this prefix are loaded automatically */
+const PLUGIN_PREFIX = 'klf-require-plugin-';
+
+/**
+ * Finds third-party packages that provide generators, builders, or loaders
+ * and registers their components.
+ *
+ * Plugins are packages named klf-require-plugin-* that appear in the project
+ * dependencies or node_modules, and any module listed under the klfPlugins key
+ * of the config or package.json.  A plugin exports its components directly,
+ * as { components, klfRequire, order }, or as a function that receives the
+ * module manager wrapper and the plugin options and returns one of those.
+ *
+ * Plugins are registered in ascending order; Ties are broken by the position
+ * in klfPlugins, then by name.  Components registered later replace earlier
+ * components with the same name.
+ */
+class PluginLoader {
+    /**
+     * Create a plugin loader
+     * @param {KLF.IModuleManager} manager The module manager
+     */
+    constructor(manager) {
+        /** @type {KLF.IModuleManager} */
+        this.manager = manager;
+
+        /** @type {KLF.IPluginInfo[]} */
+        this.plugins = [];
+
+        /**
+         * The plugin that contributed each component name
+         * @type {Map<string, string>}
+         */
+        this.contributors = new Map();
+    }
+
+    /** Is plugin loading enabled? */
+    get enabled() {
+        return this.settings.enabled === true;
+    }
+
+    /** @type {KLF.IPluginConfig} */
+    get settings() {
+        return this.manager.settings.plugins || {};
+    }
+
+    /**
+     * Find the plugins to load.  Explicit entries come first so that their
+     * options and order take precedence over discovered packages.
+     * @param {string} directory The directory to search from
+     * @returns {KLF.IPluginEntry[]}
+     */
+    discover(directory) {
+        const
+            /** @type {Map<string, KLF.IPluginEntry>} */
+            result = new Map(),
+            packageFile = ConfigUtil.readPackageFile(directory),
+            add = (entry, source) => {
+                const spec = typeof entry === 'string' ? { name: entry } : { ...entry };
+
+                if (typeof spec.name !== 'string' || spec.name.length === 0)
+                    this.manager.log(`PluginLoader: Ignoring invalid plugin entry in ${source}: ${JSON.stringify(entry)}`, LogDetailLevel.Warning);
+                else if (!result.has(spec.name))
+                    result.set(spec.name, { ...spec, source, position: result.size });
+            };
+
+        for (const entry of this.manager.settings.klfPlugins || []) {
+            add(entry, 'klfPlugins');
+        }
+        if (packageFile) {
+            for (const entry of Array.isArray(packageFile.data.klfPlugins) ? packageFile.data.klfPlugins : []) {
+                add(entry, packageFile.filename);
+            }
+        }
+        if (this.settings.discover !== false) {
+            const { dependencies, devDependencies, optionalDependencies } = packageFile ? packageFile.data : {};
+
+            for (const name of Object.keys({ ...dependencies, ...devDependencies, ...optionalDependencies })) {
+                if (PluginLoader.isPluginName(name))
+                    add(name, 'dependencies');
+            }
+            for (const name of PluginLoader.findInstalledPlugins(packageFile ? path.dirname(packageFile.filename) : directory)) {
+                add(name, 'node_modules');
+            }
+        }
+        return [...result.values()];
+    }
+
+    /**
+     * List the plugin packages installed in a project's node_modules directory
+     * @param {string} projectDir The directory containing node_modules
+     * @returns {string[]}
+     */
+    static findInstalledPlugins(projectDir) {
+        const
+            result = [],
+            modulesDir = path.join(projectDir, 'node_modules'),
+            readDir = (dir) => fs.existsSync(dir) ? fs.readdirSync(dir, { encoding: 'utf8' }) : [];
+
+        for (const name of readDir(modulesDir)) {
+            if (name.startsWith('@')) {
+                for (const scoped of readDir(path.join(modulesDir, name))) {
+                    if (PluginLoader.isPluginName(`${name}/${scoped}`))
+                        result.push(`${name}/${scoped}`);
+                }
+            }
+            else if (PluginLoader.isPluginName(name))
+                result.push(name);
+        }
+        return result.sort();
+    }
+
+    /**
+     * Get the components a plugin exports
+     * @param {any} exported The plugin exports
+     * @returns {{ name: string, type: Function, listed: boolean }[]}
+     */
+    static getComponents(exported) {
+        const
+            listed = exported && typeof exported === 'object' && 'components' in exported,
+            source = listed ? exported.components : exported;
+
+        if (ObjectUtil.isClass(source))
+            return [{ name: source.name, type: source, listed: true }];
+        else if (Array.isArray(source))
+            return source.map(type => ({ name: type && type.name, type, listed: true }));
+        else if (source && typeof source === 'object')
+            return Object.entries(source)
+                .filter(([name, type]) => listed || ObjectUtil.isClass(type))
+                .map(([name, type]) => ({ name, type, listed }));
+        return [];
+    }
+
+    /**
+     * Is a package name one we load automatically?
+     * @param {string} name The package name, possibly scoped
+     * @returns {boolean}
+     */
+    static isPluginName(name) {
+        return name.slice(name.lastIndexOf('/') + 1).startsWith(PLUGIN_PREFIX);
+    }
+
+    /**
+     * Load a single plugin and check that it supports this version
+     * @param {KLF.IPluginEntry} spec The plugin to load
+     * @param {KLF.IModuleManagerWrapper} wrapper The wrapper used to register components
+     * @param {string} directory The directory the plugin is resolved from
+     * @returns {KLF.IPluginInfo}
+     */
+    load(spec, wrapper, directory) {
+        /** @type {KLF.IPluginInfo} */
+        const info = { name: spec.name, version: undefined, filename: undefined, source: spec.source, order: 0, status: 'failed', components: [] };
+
+        try {
+            if (spec.enabled === false) {
+                info.status = 'disabled';
+                this.manager.log(`PluginLoader: Plugin ${spec.name} is disabled`, LogDetailLevel.Debug);
+                return info;
+            }
+            info.filename = require.resolve(spec.name, { paths: [directory] });
+
+            //  Local modules may be found inside the project; Only trust a manifest that names the plugin
+            const
+                found = ConfigUtil.readPackageFile(path.dirname(info.filename)),
+                manifest = found && found.data.name === spec.name ? found.data : {};
+            let exported = require(info.filename);
+
+            if (typeof exported === 'function' && !ObjectUtil.isClass(exported))
+                exported = exported(wrapper, spec.options || {});
+
+            const range = exported && exported.klfRequire || manifest.peerDependencies && manifest.peerDependencies[packageName];
+
+            info.version = manifest.version || exported && exported.version;
+            info.order = typeof spec.order === 'number' ? spec.order : exported && typeof exported.order === 'number' ? exported.order : 0;
+
+            if (range && !VersionUtil.isRange(range))
+                this.manager.log(`PluginLoader: Plugin ${spec.name} requires ${packageName} ${range}, which is an unsupported range; Loading it without checking the version`, LogDetailLevel.Warning);
+            else if (range && !VersionUtil.satisfies(packageVersion, range)) {
+                info.status = 'incompatible';
+                info.error = `Requires ${packageName} ${range} but ${packageVersion} is installed`;
+                this.manager.log(`PluginLoader: Skipping plugin ${spec.name}; ${info.error}`, LogDetailLevel.Warning);
+                return info;
+            }
+            info.status = 'loaded';
+            info.exports = exported;
+        }
+        catch (err) {
+            info.error = `${err.message || err}`;
+            this.manager.log(`PluginLoader: Failed to load plugin ${spec.name}: ${err}`, LogDetailLevel.Error, { error: err });
+        }
+        return info;
+    }
+
+    /**
+     * Find, load, and register every plugin.  Plugins that were already loaded are skipped.
+     * @param {KLF.IModuleManagerWrapper} wrapper The wrapper used to register components
+     * @param {string} directory The directory to search from; Defaults to the main module directory
+     * @returns {KLF.IPluginInfo[]} The plugins processed by this call
+     */
+    loadPlugins(wrapper, directory = require.main ? path.dirname(require.main.filename) : process.cwd()) {
+        if (!this.enabled)
+            return [];
+
+        const
+            known = new Set(this.plugins.map(plugin => plugin.name)),
+            specs = this.discover(directory).filter(spec => !known.has(spec.name)),
+            loaded = specs.map(spec => ({ spec, info: this.load(spec, wrapper, directory) }));
+
+        loaded.sort((a, b) => a.info.order - b.info.order || a.spec.position - b.spec.position || a.spec.name.localeCompare(b.spec.name));
+
+        for (const { info } of loaded) {
+            if (info.status === 'loaded')
+                this.register(info, wrapper);
+            delete info.exports;
+            this.plugins.push(info);
+        }
+
+        //  New loader types are created and hooked in right away
+        if (loaded.some(({ info }) => info.components.some(component => component.kind === 'loader')) && this.manager.settings.enabled)
+            this.manager.install();
+        return loaded.map(({ info }) => info);
+    }
+
+    /**
+     * Register the components exported by a plugin
+     * @param {KLF.IPluginInfo & { exports: any }} info The loaded plugin
+     * @param {KLF.IModuleManagerWrapper} wrapper The wrapper used to register components
+     */
+    register(info, wrapper) {
+        const label = info.version ? `${info.name}@${info.version}` : info.name;
+
+        for (const { name, type, listed } of PluginLoader.getComponents(info.exports)) {
+            const kind = ComponentRegistry.getKind(type);
+
+            if (!kind || !this.manager.isUsefulComponent(type)) {
+                if (listed)
+                    this.manager.log(`PluginLoader: Plugin ${label} exports ${name}, which is not a generator, builder, or loader`, LogDetailLevel.Warning);
+                continue;
+            }
+
+            const
+                parentName = ObjectUtil.parentClassName(type),
+                replaced = [...new Set([name, type.name, parentName])]
+                    .filter(n => this.contributors.has(n) && this.contributors.get(n) !== info.name);
+
+            wrapper.registerComponent(type, name);
+            if (this.manager.components[name] !== type) {
+                this.manager.log(`PluginLoader: Plugin ${label} could not register ${kind} ${name}`, LogDetailLevel.Warning);
+                continue;
+            }
+            for (const n of replaced) {
+                this.manager.log(`PluginLoader: ${kind} ${type.name} from plugin ${label} replaces ${n} from plugin ${this.contributors.get(n)}`, LogDetailLevel.Warning);
+            }
+
+            for (const n of new Set([name, type.name])) {
+                this.contributors.set(n, info.name);
+            }
+            info.components.push({ name, kind, type: type.name });
+        }
+
+        if (info.components.length > 0)
+            this.manager.log(`PluginLoader: Plugin ${label} contributed ${info.components.map(c => `${c.kind} ${c.name}`).join(', ')}`, LogDetailLevel.Debug);
+        else
+            this.manager.log(`PluginLoader: Plugin ${label} did not export any components`, LogDetailLevel.Warning);
+    }
+}
+
+module.exports = PluginLoader;
@@ -0,0 +1,172 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const SourceMapUtil = require('../util/SourceMapUtil');
+const { LogDetailLevel } = require('../Constants');
+
+/**
+ * Keeps the source maps for transformed modules and rewrites stack traces
+ * so that they point back to the original source files.  The maps are kept
+ * without sourcesContent, since the original files are on disk, and are
+ * dropped when their module is evicted by reloadModule().
+ */
+class StackTraceMapper {
+    /**
+     * Create a mapper
+     * @param {KLF.IModuleManager} manager The module manager
+     */
+    constructor(manager) {
+        /** @type {KLF.IModuleManager} */
+        this.manager = manager;
+
+        /** @type {Object.<string,{ map: KLF.SourceMap, lines: KLF.SourceMapSegment[][] }>} */
+        this.sourceMaps = {};
+
+        /** @type {KLF.PrepareStackTraceCallback | false} */
+        this.hook = false;
+
+        /** @type {KLF.PrepareStackTraceCallback | undefined} */
+        this.previousHook = undefined;
+    }
+
+    /**
+     * Record the source map for a transformed module
+     * @param {string} filename The module filename
+     * @param {KLF.SourceMap} map The map created by the code generator
+     */
+    addSourceMap(filename, map) {
+        //  Holding a second copy of every module's source would last as long as the process
+        const { sourcesContent, ...kept } = map;
+
+        this.sourceMaps[filename] = { map: kept, lines: SourceMapUtil.decodeMappings(map.mappings) };
+    }
+
+    /**
+     * Forget the source map for a module that is no longer loaded
+     * @param {string} filename The module filename
+     * @returns {boolean} Returns true if a map was removed
+     */
+    removeSourceMap(filename) {
+        if (!(filename in this.sourceMaps))
+            return false;
+        delete this.sourceMaps[filename];
+        return true;
+    }
+
+    /**
+     * Get the source map for a transformed module, without sourcesContent
+     * @param {string} filename The module filename
+     * @returns {KLF.SourceMap | false}
+     */
+    getSourceMap(filename) {
+        return filename in this.sourceMaps && this.sourceMaps[filename].map;
+    }
+
+    /** Is our Error.prepareStackTrace hook installed? */
+    get installed() {
+        return this.hook !== false;
+    }
+
+    /**
+     * Install the Error.prepareStackTrace hook
+     * @returns {boolean} Returns true if the hook was installed
+     */
+    install() {
+        if (this.hook)
+            return false;
+
+        const previous = this.previousHook = Error.prepareStackTrace;
+
+        this.hook = Error.prepareStackTrace = (error, callSites) => {
+            const mapped = callSites.map(site => this.mapCallSite(site));
+
+            if (typeof previous === 'function')
+                return previous(error, mapped);
+            return `${StackTraceMapper.formatErrorHeader(error)}${mapped.map(site => `\n    at ${site}`).join('')}`;
+        };
+        this.manager.log('Installed stack trace hook', LogDetailLevel.Debug);
+        return true;
+    }
+
+    /**
+     * Uninstall the Error.prepareStackTrace hook and restore the previous handler
+     * @returns {boolean} Returns true if the hook was removed
+     */
+    uninstall() {
+        if (!this.hook)
+            return false;
+        else if (Error.prepareStackTrace !== this.hook) {
+            this.manager.log('Error.prepareStackTrace was replaced after our hook was installed; Leaving it in place', LogDetailLevel.Warning);
+        }
+        else
+            Error.prepareStackTrace = this.previousHook;
+
+        this.hook = false;
+        this.previousHook = undefined;
+        this.manager.log('Uninstalled stack trace hook', LogDetailLevel.Debug);
+        return true;
+    }
+
+    /**
+     * Format the first line of a stack trace the same way V8 does
+     * @param {Error} error The error being formatted
+     * @returns {string}
+     */
+    static formatErrorHeader(error) {
+        try {
+            return Error.prototype.toString.call(error);
+        }
+        catch {
+            return 'Error';
+        }
+    }
+
+    /**
+     * Wrap a call site so that it reports original positions
+     * @param {NodeJS.CallSite} site The call site provided by V8
+     * @returns {NodeJS.CallSite}
+     */
+    mapCallSite(site) {
+        const
+            filename = site.getFileName(),
+            entry = filename && this.sourceMaps[filename],
+            line = site.getLineNumber(),
+            col = site.getColumnNumber();
+
+        if (!entry || typeof line !== 'number')
+            return site;
+
+        const original = SourceMapUtil.findOriginalPosition(entry.lines, line - 1, (col || 1) - 1);
+
+        if (!original)
+            return site;
+
+        const
+            originalLine = original.line + 1,
+            originalCol = original.col + 1,
+            text = site.toString().replace(`${filename}:${line}:${col}`, `${filename}:${originalLine}:${originalCol}`);
+
+        return new Proxy(site, {
+            get: (target, prop) => {
+                switch (prop) {
+                    case 'getLineNumber': return () => originalLine;
+                    case 'getColumnNumber': return () => originalCol;
+                    case 'toString': return () => text;
+                    default:
+                        {
+                            const value = target[prop];
+                            return typeof value === 'function' ? value.bind(target) : value;
+                        }
+                }
+            }
+        });
+    }
+}
+
+module.exports = StackTraceMapper;
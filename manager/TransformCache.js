@@ -0,0 +1,330 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const
+    { LogDetailLevel } = require('../Constants'),
+    crypto = require('crypto'),
+    path = require('path'),
+    fs = require('fs');
+
+/** The share of maxSize that set() prunes down to, so that the next writes do not prune again */
+const PRUNE_TARGET = 0.9;
+
+/**
+ * Stores transformed module output on disk so that unchanged modules
+ * do not need to be tokenized again on the next process start.
+ *
+ * Entries are keyed by the source hash, the loader name and version, and
+ * a hash of the effective loader and generator configuration.
+ */
+class TransformCache {
+    /**
+     * Create a cache
+     * @param {KLF.IModuleManager} manager The module manager
+     */
+    constructor(manager) {
+        /** @type {KLF.IModuleManager} */
+        this.manager = manager;
+
+        /**
+         * The last known config hash for each loader
+         * @type {Object.<string,string>}
+         */
+        this.configHashes = {};
+
+        /**
+         * The combined size of the entries in each cache directory, kept up to
+         * date by set() so that the directory is only read again when pruning.
+         * Entries written by other processes are found the next time it is read.
+         * @type {Map<string, number>}
+         */
+        this.sizes = new Map();
+    }
+
+    /** The cache directory */
+    get directory() {
+        return path.resolve(this.settings.directory);
+    }
+
+    /** Is the cache enabled? */
+    get enabled() {
+        return this.settings.enabled === true;
+    }
+
+    /** @type {KLF.ITransformCacheConfig} */
+    get settings() {
+        return this.manager.settings.cache;
+    }
+
+    /** The combined size of all entries, in bytes */
+    get size() {
+        return this.readEntryFiles().reduce((total, file) => total + file.size, 0);
+    }
+
+    /**
+     * Create the key used to store a transformed module.  The filename is part
+     * of the key because source maps and some macros embed it in the output.
+     * @param {string} filename The module filename
+     * @param {string} source The original source text
+     * @param {KLF.IExtensionLoader} loader The loader handling the module
+     * @returns {KLF.ITransformCacheKey}
+     */
+    createKey(filename, source, loader) {
+        const
+            sourceHash = TransformCache.hash(source),
+            configHash = this.getConfigHash(loader),
+            key = TransformCache.hash(filename, sourceHash, loader.name, loader.version, configHash);
+
+        return { key, sourceHash, configHash };
+    }
+
+    /**
+     * Get the entry stored under a key
+     * @param {string} key The entry key
+     * @returns {KLF.ITransformCacheEntry | false}
+     */
+    get(key) {
+        const filename = this.getEntryPath(key);
+        try {
+            const entry = JSON.parse(fs.readFileSync(filename, { encoding: 'utf8' }));
+            const now = new Date();
+
+            //  Touch the entry so that pruning removes the least recently used first
+            fs.utimesSync(filename, now, now);
+            return entry;
+        }
+        catch (err) {
+            if (err.code !== 'ENOENT')
+                this.manager.log(`TransformCache: Failed to read entry ${key}: ${err}`, LogDetailLevel.Warning);
+            return false;
+        }
+    }
+
+    /**
+     * Hash the configuration that affects a loader's output
+     * @param {KLF.IExtensionLoader} loader The loader to hash the config for
+     * @returns {string}
+     */
+    getConfigHash(loader) {
+        const
+            { settings } = this.manager,
+            loaderEntry = settings.loaders[loader.name] || {},
+            relevant = {
+                loader: loaderEntry.config,
+                generators: settings.ast.generators,
+                macros: settings.macros,
+                sourceMaps: settings.sourceMaps,
+                storeTokens: this.settings.storeTokens
+            };
+
+        return TransformCache.hash(JSON.stringify(relevant, (key, value) => {
+            if (typeof value === 'function')
+                return value.toString();
+            else if (value instanceof RegExp)
+                return value.toString();
+            return value;
+        }));
+    }
+
+    /**
+     * Get the file an entry is stored in
+     * @param {string} key The entry key
+     * @returns {string}
+     */
+    getEntryPath(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    /**
+     * Create a hash from one or more values
+     * @param {...string} values The values to hash
+     * @returns {string}
+     */
+    static hash(...values) {
+        const hash = crypto.createHash('sha256');
+        for (const value of values) {
+            hash.update(String(value));
+            hash.update('\0');
+        }
+        return hash.digest('hex');
+    }
+
+    /**
+     * List the entries in the cache
+     * @returns {KLF.ITransformCacheEntryInfo[]}
+     */
+    inspect() {
+        const result = [];
+
+        for (const file of this.readEntryFiles()) {
+            try {
+                const { key, filename, loader, loaderVersion, configHash, sourceHash, created, tokens } = JSON.parse(fs.readFileSync(file.path, { encoding: 'utf8' }));
+                result.push({ key, filename, loader, loaderVersion, configHash, sourceHash, created, lastAccess: file.lastAccess, size: file.size, hasTokens: Array.isArray(tokens) });
+            }
+            catch (err) {
+                this.manager.log(`TransformCache: Skipping unreadable entry ${file.path}: ${err}`, LogDetailLevel.Debug);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Remove entries that were created using outdated configuration.  This is
+     * called each time the active configuration changes.
+     */
+    invalidate() {
+        if (!this.enabled)
+            return;
+
+        for (const loader of Object.values(this.manager.loaderInstances)) {
+            const previousHash = this.configHashes[loader.name],
+                currentHash = this.configHashes[loader.name] = this.getConfigHash(loader);
+
+            if (previousHash && previousHash !== currentHash) {
+                const removed = this.purge(entry => entry.loader === loader.name && entry.configHash !== currentHash);
+                this.manager.log(`TransformCache: Configuration for ${loader.name} changed; Removed ${removed} stale entries`, LogDetailLevel.Debug);
+            }
+        }
+    }
+
+    /**
+     * Remove least recently used entries until the cache fits in the size limit
+     * @param {number} maxSize The size limit in bytes; Defaults to the configured maxSize
+     * @returns {number} The number of entries removed
+     */
+    prune(maxSize = this.settings.maxSize) {
+        if (typeof maxSize !== 'number' || maxSize <= 0)
+            return 0;
+
+        const files = this.readEntryFiles().sort((a, b) => a.lastAccess - b.lastAccess);
+        let total = files.reduce((total, file) => total + file.size, 0), removed = 0;
+
+        for (const file of files) {
+            if (total <= maxSize)
+                break;
+            if (this.removeFile(file.path)) {
+                total -= file.size;
+                removed++;
+            }
+        }
+        this.sizes.set(this.directory, total);
+        if (removed > 0)
+            this.manager.log(`TransformCache: Pruned ${removed} entries to stay under ${maxSize} bytes`, LogDetailLevel.Debug);
+        return removed;
+    }
+
+    /**
+     * Remove entries from the cache
+     * @param {string | ((entry: KLF.ITransformCacheEntryInfo) => boolean)} filter Optional module filename or predicate; Removes everything if omitted
+     * @returns {number} The number of entries removed
+     */
+    purge(filter = undefined) {
+        let removed = 0;
+
+        this.sizes.delete(this.directory);
+        if (typeof filter === 'undefined') {
+            for (const file of this.readEntryFiles()) {
+                if (this.removeFile(file.path))
+                    removed++;
+            }
+        }
+        else {
+            const test = typeof filter === 'function' ? filter : entry => entry.filename === filter;
+            for (const entry of this.inspect()) {
+                if (test(entry) && this.removeFile(this.getEntryPath(entry.key)))
+                    removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Read the entry files in the cache directory
+     * @returns {{ path: string, size: number, lastAccess: number }[]}
+     */
+    readEntryFiles() {
+        const result = [];
+        let files = [];
+
+        try {
+            files = fs.readdirSync(this.directory).filter(f => f.endsWith('.json'));
+        }
+        catch (err) {
+            if (err.code !== 'ENOENT')
+                this.manager.log(`TransformCache: Could not read cache directory ${this.directory}: ${err}`, LogDetailLevel.Warning);
+            return result;
+        }
+        for (const file of files) {
+            const fullPath = path.join(this.directory, file);
+            try {
+                const stat = fs.statSync(fullPath);
+                result.push({ path: fullPath, size: stat.size, lastAccess: stat.mtimeMs });
+            }
+            catch { }
+        }
+        return result;
+    }
+
+    /**
+     * Delete a single entry file
+     * @param {string} filename The entry file to delete
+     * @returns {boolean}
+     */
+    removeFile(filename) {
+        try {
+            fs.unlinkSync(filename);
+            return true;
+        }
+        catch (err) {
+            this.manager.log(`TransformCache: Could not remove ${filename}: ${err}`, LogDetailLevel.Warning);
+            return false;
+        }
+    }
+
+    /**
+     * Store an entry in the cache
+     * @param {string} key The entry key
+     * @param {KLF.ITransformCacheEntry} entry The entry to store
+     * @returns {boolean} Returns true if the entry was written
+     */
+    set(key, entry) {
+        const { directory, sizes } = this,
+            { maxSize } = this.settings,
+            filename = this.getEntryPath(key),
+            tempFile = `${filename}.${process.pid}.tmp`;
+        let previousSize = 0, writtenSize;
+
+        try {
+            const text = JSON.stringify({ ...entry, key, created: Date.now() });
+
+            fs.mkdirSync(directory, { recursive: true });
+            fs.writeFileSync(tempFile, text, { encoding: 'utf8' });
+            writtenSize = Buffer.byteLength(text, 'utf8');
+            if (sizes.has(directory) && fs.existsSync(filename))
+                previousSize = fs.statSync(filename).size;
+            fs.renameSync(tempFile, filename);
+        }
+        catch (err) {
+            this.manager.log(`TransformCache: Failed to write entry for ${entry.filename}: ${err}`, LogDetailLevel.Warning);
+            return false;
+        }
+
+        //  The directory is read once; After that the total is updated by each write
+        if (sizes.has(directory))
+            sizes.set(directory, sizes.get(directory) + writtenSize - previousSize);
+        else
+            sizes.set(directory, this.size);
+
+        if (typeof maxSize === 'number' && maxSize > 0 && sizes.get(directory) > maxSize)
+            this.prune(Math.floor(maxSize * PRUNE_TARGET));
+        return true;
+    }
+}
+
+module.exports = TransformCache;
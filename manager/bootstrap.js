@@ -0,0 +1,16 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * Preloaded into worker threads and child processes when configuration
+ * propagation is enabled.  Loading the library applies the KLF_CONFIG
+ * settings; The propagator then loads any components registered at runtime.
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const { ModuleManager, ModuleManagerWrapper } = require('../ModuleManager');
+
+ModuleManager.configPropagator.bootstrap(ModuleManagerWrapper);
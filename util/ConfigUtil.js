@@ -1,10 +1,81 @@
 module.exports = (function () {
     'use strict';
+    const
+        { FailurePolicy, LogDetailLevel } = require('../Constants'),
+        path = require('path'),
+        fs = require('fs');
+
+    /** Names of the config files we look for, in the order they are applied */
+    const CONFIG_FILES = ['klf.config.json', 'klf.config.js'];
+
+    /** Maps boolean-like environment values */
+    const parseFlag = (value) => /^(1|true|yes|on)$/i.test(String(value).trim());
     /**
      * Provides some configuration utilities
      * @since 1.0.0
      */
     class ConfigUtil {
+        /**
+         * Read a config created by serialize()
+         * @param {string} text The serialized config
+         * @returns {Object.<string,any>}
+         * @since 1.0.0
+         */
+        static deserialize(text) {
+            return JSON.parse(text, (key, value) => {
+                if (value && typeof value === 'object' && typeof value.$regexp === 'string')
+                    return new RegExp(value.$regexp, value.$flags || '');
+                return value;
+            });
+        }
+
+        /**
+         * List the settings that differ between two configs.  Objects are compared
+         * key by key; Arrays, functions, and regular expressions are compared as
+         * whole values.  Schemas are ignored.
+         * @param {Object.<string,any>} before The previous config
+         * @param {Object.<string,any>} after The new config
+         * @param {string} prefix The path of the configs being compared
+         * @returns {KLF.IConfigDiffEntry[]}
+         * @since 1.0.0
+         */
+        static diffConfigs(before, after, prefix = '') {
+            const
+                result = [],
+                isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v) && !(v instanceof RegExp),
+                isEqual = (a, b) => {
+                    if (a === b)
+                        return true;
+                    else if (a instanceof RegExp && b instanceof RegExp)
+                        return a.toString() === b.toString();
+                    else if (Array.isArray(a) && Array.isArray(b))
+                        return a.length === b.length && a.every((v, i) => isEqual(v, b[i]));
+                    else if (isPlainObject(a) && isPlainObject(b))
+                        return ConfigUtil.diffConfigs(a, b).length === 0;
+                    return false;
+                },
+                keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+            for (const key of keys) {
+                const
+                    path = prefix ? `${prefix}.${key}` : key,
+                    oldValue = before ? before[key] : undefined,
+                    newValue = after ? after[key] : undefined;
+
+                if (key === '$schema' || isEqual(oldValue, newValue))
+                    continue;
+                else if (isPlainObject(oldValue) && isPlainObject(newValue))
+                    result.push(...ConfigUtil.diffConfigs(oldValue, newValue, path));
+                else if (typeof oldValue === 'undefined')
+                    result.push({ path, action: 'added', newValue });
+                else if (typeof newValue === 'undefined')
+                    result.push({ path, action: 'removed', oldValue });
+                else
+                    result.push({ path, action: 'changed', oldValue, newValue });
+            }
+            return result;
+        }
+
         /**
          * @template T
          * @param {T} instance The instance to fill
@@ -50,6 +121,178 @@ module.exports = (function () {
             }
             return result;
         }
+
+        /**
+         * Read klf.config.json and klf.config.js from a directory.  A .js config may
+         * export an object or a function that receives the current config and returns changes.
+         * @param {string} directory The directory to look in
+         * @param {Object.<string,any>} current The config built so far
+         * @returns {{ config: Object.<string,any>, sources: string[] }}
+         * @since 1.0.0
+         */
+        static readConfigFiles(directory, current = {}) {
+            const sources = [];
+            let config = {};
+
+            for (const name of CONFIG_FILES) {
+                const filename = path.join(directory, name);
+                if (!fs.existsSync(filename))
+                    continue;
+
+                let data = name.endsWith('.json')
+                    ? JSON.parse(fs.readFileSync(filename, { encoding: 'utf8' }))
+                    : require(filename);
+
+                if (typeof data === 'function')
+                    data = data(ConfigUtil.mergeConfigs({}, current, config), { LogDetailLevel });
+                if (data && typeof data === 'object') {
+                    config = ConfigUtil.mergeConfigs(config, data);
+                    sources.push(filename);
+                }
+            }
+            return { config, sources };
+        }
+
+        /**
+         * Read settings from KLF_* environment variables:
+         * KLF_CONFIG (JSON), KLF_DEBUG, KLF_ENABLED, KLF_CACHE, KLF_CACHE_DIR, KLF_FAILURE_POLICY, KLF_METRICS (1 or a report format), KLF_PROPAGATE, KLF_SOURCE_MAPS, KLF_STRICT and KLF_WATCH
+         * @param {Object.<string,string>} env The environment to read
+         * @returns {{ config: Object.<string,any>, sources: string[] }}
+         * @since 1.0.0
+         */
+        static readEnvironmentConfig(env = process.env) {
+            const sources = [];
+            let config = {};
+
+            if (env.KLF_CONFIG) {
+                config = ConfigUtil.mergeConfigs(config, ConfigUtil.deserialize(env.KLF_CONFIG));
+                sources.push('KLF_CONFIG');
+            }
+            if (env.KLF_DEBUG) {
+                const debug = /^\d+$/.test(env.KLF_DEBUG)
+                    ? parseInt(env.KLF_DEBUG)
+                    : LogDetailLevel.tryParse(env.KLF_DEBUG);
+                if (typeof debug === 'number') {
+                    config.debug = debug;
+                    sources.push('KLF_DEBUG');
+                }
+            }
+            if (env.KLF_ENABLED) {
+                config.enabled = parseFlag(env.KLF_ENABLED);
+                sources.push('KLF_ENABLED');
+            }
+            if (env.KLF_CACHE) {
+                config.cache = { ...config.cache, enabled: parseFlag(env.KLF_CACHE) };
+                sources.push('KLF_CACHE');
+            }
+            if (env.KLF_CACHE_DIR) {
+                config.cache = { ...config.cache, directory: env.KLF_CACHE_DIR };
+                sources.push('KLF_CACHE_DIR');
+            }
+            if (env.KLF_FAILURE_POLICY) {
+                const policy = FailurePolicy.tryParse(env.KLF_FAILURE_POLICY.trim());
+                if (typeof policy === 'string') {
+                    config.failurePolicy = policy;
+                    sources.push('KLF_FAILURE_POLICY');
+                }
+            }
+            if (env.KLF_SOURCE_MAPS) {
+                config.sourceMaps = { ...config.sourceMaps, enabled: parseFlag(env.KLF_SOURCE_MAPS) };
+                sources.push('KLF_SOURCE_MAPS');
+            }
+            if (env.KLF_METRICS) {
+                const report = /^(table|trace)$/i.test(env.KLF_METRICS) && env.KLF_METRICS.toLowerCase();
+                config.metrics = { ...config.metrics, enabled: !!report || parseFlag(env.KLF_METRICS), report: report || false };
+                sources.push('KLF_METRICS');
+            }
+            if (env.KLF_PROPAGATE) {
+                config.propagate = { ...config.propagate, enabled: parseFlag(env.KLF_PROPAGATE) };
+                sources.push('KLF_PROPAGATE');
+            }
+            if (env.KLF_STRICT) {
+                config.validation = { ...config.validation, strict: parseFlag(env.KLF_STRICT) };
+                sources.push('KLF_STRICT');
+            }
+            if (env.KLF_WATCH) {
+                config.watch = { ...config.watch, enabled: parseFlag(env.KLF_WATCH) };
+                sources.push('KLF_WATCH');
+            }
+            return { config, sources };
+        }
+
+        /**
+         * Read the "klf" section of the nearest package.json
+         * @param {string} startIn The directory to start searching in
+         * @returns {{ config: Object.<string,any>, sources: string[] }}
+         * @since 1.0.0
+         */
+        static readPackageConfig(startIn) {
+            const found = ConfigUtil.readPackageFile(startIn);
+
+            if (found && found.data.klf && typeof found.data.klf === 'object')
+                return { config: found.data.klf, sources: [found.filename] };
+            return { config: {}, sources: [] };
+        }
+
+        /**
+         * Read the nearest package.json, searching upwards from a directory
+         * @param {string} startIn The directory to start searching in
+         * @returns {{ filename: string, data: Object.<string,any> } | false}
+         * @since 1.0.0
+         */
+        static readPackageFile(startIn) {
+            let directory = path.resolve(startIn);
+
+            while (true) {
+                const filename = path.join(directory, 'package.json');
+                if (fs.existsSync(filename))
+                    return { filename, data: JSON.parse(fs.readFileSync(filename, { encoding: 'utf8' })) };
+
+                const parent = path.dirname(directory);
+                if (parent === directory)
+                    return false;
+                directory = parent;
+            }
+        }
+
+        /**
+         * Convert a config to JSON so that it can be passed to another process through
+         * the environment.  Functions are dropped and regular expressions are preserved.
+         * @param {Object.<string,any>} config The config to serialize
+         * @returns {string}
+         * @since 1.0.0
+         */
+        static serialize(config) {
+            return JSON.stringify(ConfigUtil.toSerializable(config), (key, value) => {
+                if (value instanceof RegExp)
+                    return { $regexp: value.source, $flags: value.flags };
+                return value;
+            });
+        }
+
+        /**
+         * Create a copy of a config that can be passed to another thread.  Functions
+         * and classes cannot cross thread boundaries and are left out.  Schemas are
+         * left out as well; The receiving thread has its own copy.
+         * @param {any} config The config to copy
+         * @returns {any}
+         * @since 1.0.0
+         */
+        static toSerializable(config) {
+            if (Array.isArray(config))
+                return config.filter(v => typeof v !== 'function').map(v => ConfigUtil.toSerializable(v));
+            else if (config instanceof RegExp)
+                return config;
+            else if (config && typeof config === 'object') {
+                const result = {};
+                for (const [key, val] of Object.entries(config)) {
+                    if (key !== '$schema' && typeof val !== 'function' && typeof val !== 'symbol')
+                        result[key] = ConfigUtil.toSerializable(val);
+                }
+                return result;
+            }
+            return config;
+        }
     }
     return ConfigUtil;
 })();
@@ -0,0 +1,164 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const path = require('path');
+
+/** Compiled string filters, keyed by base directory and filter text */
+const compiledFilters = new Map();
+
+/**
+ * Provides utilities for matching filenames against include/exclude filters
+ * @since 1.0.0
+ */
+class FilterUtil {
+    /**
+     * Convert a filter into a test function.  Strings containing glob characters
+     * are treated as globs; Other strings match a file or anything inside a directory.
+     * Relative strings are resolved against the base directory.
+     * @param {KLF.LoaderFilter} filter The filter to compile
+     * @param {string} baseDir The directory relative filters are resolved against
+     * @returns {(filename: string) => boolean}
+     */
+    static compile(filter, baseDir = process.cwd()) {
+        if (typeof filter === 'function')
+            return filename => filter(filename) === true;
+        else if (filter instanceof RegExp)
+            return filename => {
+                filter.lastIndex = 0;
+                return filter.test(filename) || filter.test(FilterUtil.normalize(filename));
+            };
+        else if (typeof filter === 'string') {
+            const cacheKey = `${baseDir}\0${filter}`;
+            let test = compiledFilters.get(cacheKey);
+
+            if (!test) {
+                if (FilterUtil.isGlob(filter)) {
+                    const pattern = FilterUtil.globToRegExp(FilterUtil.normalize(path.isAbsolute(filter) ? filter : path.join(baseDir, filter)));
+                    test = filename => pattern.test(FilterUtil.normalize(filename));
+                }
+                else {
+                    const target = FilterUtil.normalize(path.resolve(baseDir, filter)).replace(/\/+$/, '');
+                    test = filename => {
+                        const normalized = FilterUtil.normalize(filename);
+                        return normalized === target || normalized.startsWith(target + '/');
+                    };
+                }
+                compiledFilters.set(cacheKey, test);
+            }
+            return test;
+        }
+        throw new Error(`Bad argument 1 to FilterUtil.compile(); Expected string, RegExp, or function, but got ${typeof filter}`);
+    }
+
+    /**
+     * Describe a filter for log messages
+     * @param {KLF.LoaderFilter} filter The filter to describe
+     * @returns {string}
+     */
+    static describe(filter) {
+        if (typeof filter === 'string')
+            return `'${filter}'`;
+        else if (filter instanceof RegExp)
+            return filter.toString();
+        else if (typeof filter === 'function')
+            return `function ${filter.name || '(anonymous)'}`;
+        return String(filter);
+    }
+
+    /**
+     * Find the first filter in a list that matches a filename
+     * @param {KLF.LoaderFilter[]} filters The filters to check
+     * @param {string} filename The file being loaded
+     * @param {string} baseDir The directory relative filters are resolved against
+     * @returns {KLF.LoaderFilter | undefined}
+     */
+    static findMatch(filters, filename, baseDir = process.cwd()) {
+        if (Array.isArray(filters)) {
+            for (const filter of filters) {
+                if (FilterUtil.compile(filter, baseDir)(filename))
+                    return filter;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Convert a glob into a regular expression.  Supports *, **, ?, [...] and {a,b}
+     * @param {string} glob The glob pattern using forward slashes
+     * @returns {RegExp}
+     */
+    static globToRegExp(glob) {
+        let result = '', inGroup = 0;
+
+        for (let i = 0; i < glob.length; i++) {
+            const c = glob.charAt(i);
+
+            if (c === '*') {
+                if (glob.charAt(i + 1) === '*') {
+                    //  '**/' matches zero or more directories
+                    if (glob.charAt(i + 2) === '/') {
+                        result += '(?:.*/)?';
+                        i += 2;
+                    }
+                    else {
+                        result += '.*';
+                        i++;
+                    }
+                }
+                else
+                    result += '[^/]*';
+            }
+            else if (c === '?')
+                result += '[^/]';
+            else if (c === '[') {
+                const end = glob.indexOf(']', i + 1);
+                if (end === -1)
+                    result += '\\[';
+                else {
+                    const body = glob.slice(i + 1, end);
+                    result += '[' + (body.startsWith('!') ? '^' + body.slice(1) : body).replace(/\\/g, '\\\\') + ']';
+                    i = end;
+                }
+            }
+            else if (c === '{') {
+                inGroup++;
+                result += '(?:';
+            }
+            else if (c === '}' && inGroup > 0) {
+                inGroup--;
+                result += ')';
+            }
+            else if (c === ',' && inGroup > 0)
+                result += '|';
+            else
+                result += c.replace(/[.+^$()|\\{}\]]/g, '\\$&');
+        }
+        return new RegExp(`^${result}$`);
+    }
+
+    /**
+     * Does the string contain glob characters?
+     * @param {string} str The string to check
+     * @returns {boolean}
+     */
+    static isGlob(str) {
+        return /[*?[{]/.test(str);
+    }
+
+    /**
+     * Convert path separators to forward slashes
+     * @param {string} filename The path to normalize
+     * @returns {string}
+     */
+    static normalize(filename) {
+        return filename.replace(/\\/g, '/');
+    }
+}
+
+module.exports = FilterUtil;
@@ -9,7 +9,7 @@
 
 const fs = require('fs'),
     path = require('path'),
-    projectRoot = require.main.filename;
+    projectRoot = require.main ? path.dirname(require.main.filename) : process.cwd();
 
 /**
 * Provides some path-related utilities
@@ -24,10 +24,11 @@ class PathUtil {
      */
     static locateNodeModulesDirectory(startIn = __dirname) {
         const pathParts = startIn.split(path.sep).filter(s => s.length > 0);
+        const root = path.parse(startIn).root;
         const result = [];
 
         while (pathParts.length > 0) {
-            const thisPath = pathParts.join(path.sep),
+            const thisPath = root + pathParts.join(path.sep),
                 nodeInPath = path.join(thisPath, 'node_modules');
 
             if (!thisPath.startsWith(projectRoot))
@@ -44,7 +45,7 @@ class PathUtil {
             }
             pathParts.pop();
         }
-        return result;
+        return [...new Set(result)];
     }
 }
 
@@ -36,7 +36,7 @@ class RegExUtil {
                     };
 
                 if (capture) {
-                    result.captureDef = parseRegex(capture.slice(1, capture.length - 1)) || capture;
+                    result.captureDef = RegExUtil.parseRegex(capture.slice(1, capture.length - 1)) || capture;
                 }
                 matches.push(result);
             }
@@ -47,6 +47,41 @@ class RegExUtil {
             throw new Error(`Bad argument 1 to RegexHelper.parseRegex(); Expected string or RegExp, but got ${typeof regex}`);
     }
 
+    /**
+     * Read a regular expression literal, e.g. /[/]+/g, from source text.  The
+     * caller decides whether the slash starts a literal rather than division.
+     * @param {string} text The source text
+     * @param {number} start The position of the opening slash
+     * @returns {string | false} The literal, including its flags, or false if it does not end on the same line
+     */
+    static readLiteral(text, start = 0) {
+        let end = start + 1, inClass = false;
+
+        if (text.charAt(start) !== '/' || text.charAt(end) === '/' || text.charAt(end) === '*')
+            return false;
+
+        for (; end < text.length; end++) {
+            const c = text.charAt(end);
+
+            if (c === '\\')
+                end++;
+            else if (c === '\n' || c === '\r')
+                return false;
+            //  Slashes inside a character class do not end the literal
+            else if (c === '[')
+                inClass = true;
+            else if (c === ']')
+                inClass = false;
+            else if (c === '/' && !inClass)
+                break;
+        }
+        if (text.charAt(end) !== '/')
+            return false;
+
+        const flags = /^[a-z]*/i.exec(text.slice(end + 1))[0];
+        return text.slice(start, end + 1 + flags.length);
+    }
+
     /**
      * Assigns a weight score based on how lazy or greedy the expression is ... also needs work
      * @param {string | RegExp} regex The regex to "weigh"
@@ -79,9 +114,6 @@ class RegExUtil {
                         weight -= (rp ** rp);
                     }
                 }
-                else if (capture) {
-                    instance.hasCapture = true;
-                }
             }
             return weight;
         }
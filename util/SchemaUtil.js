@@ -0,0 +1,170 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+/**
+ * Validates configuration objects against the schemas components declare
+ * under the $schema key of their default config.
+ *
+ * A schema may contain:
+ * - type: 'any', 'array', 'boolean', 'function', 'number', 'object', 'regexp', 'string', or a list of these
+ * - enum: A list of allowed values or an enum created by EnumUtil.createEnum()
+ * - properties: Schemas for known keys of an object
+ * - additionalProperties: false to reject unknown keys, or a schema for their values; Defaults to false when properties are given
+ * - items: The schema for each array element
+ * @since 1.0.0
+ */
+class SchemaUtil {
+    /**
+     * Describe the allowed values of an enum
+     * @param {any[] | KLF.ScriptENUM} enumType The allowed values
+     * @returns {string}
+     */
+    static describeEnum(enumType) {
+        const names = Array.isArray(enumType)
+            ? enumType.map(v => JSON.stringify(v))
+            : enumType.keyNames || Object.keys(enumType).filter(key => typeof enumType[key] === 'number');
+        return names.join(', ');
+    }
+
+    /**
+     * Get the type name used by schemas for a value
+     * @param {any} value The value to check
+     * @returns {string}
+     */
+    static getType(value) {
+        if (Array.isArray(value))
+            return 'array';
+        else if (value instanceof RegExp)
+            return 'regexp';
+        else if (value === null)
+            return 'null';
+        return typeof value;
+    }
+
+    /**
+     * Check a value against an enum
+     * @param {any} value The value to check
+     * @param {any[] | KLF.ScriptENUM} enumType The allowed values
+     * @returns {boolean}
+     */
+    static isEnumValue(value, enumType) {
+        if (Array.isArray(enumType))
+            return enumType.includes(value);
+        else if (enumType && typeof enumType.tryParse === 'function') {
+            if (typeof value === 'number')
+                return typeof enumType[value] === 'string';
+            else if (typeof value === 'string')
+                return typeof enumType.tryParse(value) !== 'undefined';
+        }
+        return false;
+    }
+
+    /**
+     * Join a path and a key
+     * @param {string} path The path so far
+     * @param {string | number} key The key to add
+     * @returns {string}
+     */
+    static joinPath(path, key) {
+        if (typeof key === 'number')
+            return `${path}[${key}]`;
+        return path ? `${path}.${key}` : String(key);
+    }
+
+    /**
+     * Check a value against a schema
+     * @param {any} value The value to check
+     * @param {KLF.IConfigSchema} schema The schema describing the value
+     * @param {string} path The path of the value, used in problem reports
+     * @returns {KLF.IConfigProblem[]} Every problem found; Empty if the value is valid
+     */
+    static validate(value, schema, path = '') {
+        /** @type {KLF.IConfigProblem[]} */
+        const problems = [];
+
+        if (!schema || typeof schema !== 'object' || typeof value === 'undefined')
+            return problems;
+
+        const
+            actualType = SchemaUtil.getType(value),
+            allowedTypes = [].concat(schema.type || 'any');
+
+        if (!allowedTypes.includes('any') && !allowedTypes.includes(actualType)) {
+            problems.push({ path, value, message: `Expected ${allowedTypes.join(' or ')} but got ${actualType}` });
+            return problems;
+        }
+        if (typeof schema.enum !== 'undefined' && !SchemaUtil.isEnumValue(value, schema.enum)) {
+            problems.push({ path, value, message: `Invalid value ${JSON.stringify(value)}; Expected one of ${SchemaUtil.describeEnum(schema.enum)}` });
+            return problems;
+        }
+
+        if (actualType === 'array' && schema.items) {
+            value.forEach((item, index) => {
+                problems.push(...SchemaUtil.validate(item, schema.items, SchemaUtil.joinPath(path, index)));
+            });
+        }
+        else if (actualType === 'object' && (schema.properties || schema.additionalProperties)) {
+            const
+                properties = schema.properties || {},
+                additional = typeof schema.additionalProperties === 'undefined' ? !schema.properties : schema.additionalProperties;
+
+            for (const [key, child] of Object.entries(value)) {
+                const childPath = SchemaUtil.joinPath(path, key);
+
+                //  Schemas are part of the config, but are not settings themselves
+                if (key === '$schema')
+                    continue;
+                else if (key in properties)
+                    problems.push(...SchemaUtil.validate(child, properties[key], childPath));
+                else if (additional === false) {
+                    const suggestion = SchemaUtil.suggest(key, Object.keys(properties));
+                    problems.push({ path: childPath, value: child, message: `Unknown setting '${key}'${suggestion ? `; Did you mean '${suggestion}'?` : ''}` });
+                }
+                else if (typeof additional === 'object')
+                    problems.push(...SchemaUtil.validate(child, additional, childPath));
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Find the known key closest to a misspelled key
+     * @param {string} key The unknown key
+     * @param {string[]} candidates The known keys
+     * @returns {string | undefined}
+     */
+    static suggest(key, candidates) {
+        const distance = (a, b) => {
+            const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+            for (let i = 1; i <= a.length; i++) {
+                let previous = row[0];
+                row[0] = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const current = row[j];
+                    row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+                    previous = current;
+                }
+            }
+            return row[b.length];
+        };
+        let best = undefined, bestDistance = Math.max(2, Math.floor(key.length / 3)) + 1;
+
+        for (const candidate of candidates) {
+            const d = distance(key.toLowerCase(), candidate.toLowerCase());
+            if (d < bestDistance) {
+                best = candidate;
+                bestDistance = d;
+            }
+        }
+        return best;
+    }
+}
+
+module.exports = SchemaUtil;
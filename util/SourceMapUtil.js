@@ -0,0 +1,171 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+const VLQ_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Provides utilities for creating and reading v3 source maps
+ * @since 1.0.0
+ */
+class SourceMapUtil {
+    /**
+     * Create a v3 source map
+     * @param {string} filename The file the map describes
+     * @param {string} source The original source text
+     * @param {KLF.SourceMapSegment[][]} lines Segments grouped by generated line
+     * @returns {KLF.SourceMap}
+     */
+    static createSourceMap(filename, source, lines) {
+        return {
+            version: 3,
+            file: filename,
+            sources: [filename],
+            sourcesContent: [source],
+            names: [],
+            mappings: SourceMapUtil.encodeMappings(lines)
+        };
+    }
+
+    /**
+     * Decode a mappings string into absolute segments grouped by generated line
+     * @param {string} mappings The encoded mappings
+     * @returns {KLF.SourceMapSegment[][]}
+     */
+    static decodeMappings(mappings) {
+        const result = [];
+        let sourceIndex = 0, originalLine = 0, originalCol = 0;
+
+        for (const line of mappings.split(';')) {
+            const segments = [];
+            let generatedCol = 0;
+
+            for (const text of line.split(',')) {
+                if (text.length === 0)
+                    continue;
+                const values = SourceMapUtil.decodeVLQ(text);
+
+                generatedCol += values[0];
+                if (values.length > 3) {
+                    sourceIndex += values[1];
+                    originalLine += values[2];
+                    originalCol += values[3];
+                    segments.push([generatedCol, sourceIndex, originalLine, originalCol]);
+                }
+            }
+            result.push(segments);
+        }
+        return result;
+    }
+
+    /**
+     * Decode a sequence of base64 VLQ values
+     * @param {string} text The encoded text
+     * @returns {number[]}
+     */
+    static decodeVLQ(text) {
+        const result = [];
+        let value = 0, shift = 0;
+
+        for (const c of text) {
+            const digit = VLQ_CHARS.indexOf(c);
+            if (digit === -1)
+                throw new Error(`Bad argument 1 to decodeVLQ(); Invalid character '${c}'`);
+            value += (digit & 31) << shift;
+            if (digit & 32)
+                shift += 5;
+            else {
+                result.push(value & 1 ? -(value >>> 1) : value >>> 1);
+                value = shift = 0;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Encode absolute segments into a mappings string
+     * @param {KLF.SourceMapSegment[][]} lines Segments grouped by generated line
+     * @returns {string}
+     */
+    static encodeMappings(lines) {
+        const result = [];
+        let sourceIndex = 0, originalLine = 0, originalCol = 0;
+
+        for (const segments of lines) {
+            const encoded = [];
+            let generatedCol = 0;
+
+            for (const [col, index, line, origCol] of segments || []) {
+                encoded.push(SourceMapUtil.encodeVLQ(col - generatedCol)
+                    + SourceMapUtil.encodeVLQ(index - sourceIndex)
+                    + SourceMapUtil.encodeVLQ(line - originalLine)
+                    + SourceMapUtil.encodeVLQ(origCol - originalCol));
+                generatedCol = col;
+                sourceIndex = index;
+                originalLine = line;
+                originalCol = origCol;
+            }
+            result.push(encoded.join(','));
+        }
+        return result.join(';');
+    }
+
+    /**
+     * Encode a single number as base64 VLQ
+     * @param {number} value The value to encode
+     * @returns {string}
+     */
+    static encodeVLQ(value) {
+        let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1, result = '';
+
+        do {
+            let digit = vlq & 31;
+            vlq >>>= 5;
+            if (vlq > 0)
+                digit |= 32;
+            result += VLQ_CHARS.charAt(digit);
+        }
+        while (vlq > 0);
+
+        return result;
+    }
+
+    /**
+     * Find the original position for a generated position
+     * @param {KLF.SourceMapSegment[][]} lines Decoded segments grouped by generated line
+     * @param {number} line The zero-based generated line
+     * @param {number} col The zero-based generated column
+     * @returns {{ line: number, col: number } | false}
+     */
+    static findOriginalPosition(lines, line, col) {
+        const segments = lines[line];
+        let match = undefined;
+
+        if (!Array.isArray(segments) || segments.length === 0)
+            return false;
+        for (const segment of segments) {
+            if (segment[0] > col)
+                break;
+            match = segment;
+        }
+        match = match || segments[0];
+        return { line: match[2], col: match[3] };
+    }
+
+    /**
+     * Create a sourceMappingURL comment with the map embedded as a data URL
+     * @param {KLF.SourceMap} map The source map to embed
+     * @returns {string}
+     */
+    static toInlineComment(map) {
+        const data = Buffer.from(JSON.stringify(map), 'utf8').toString('base64');
+        return `//# sourceMappingURL=data:application/json;charset=utf-8;base64,${data}`;
+    }
+}
+
+module.exports = SourceMapUtil;
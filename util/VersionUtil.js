@@ -0,0 +1,139 @@
+/**
+ * KLF Require Core
+ * Written by Kristian Oye
+ * Date: August 13, 2024
+ *
+ * @version 1.0.0
+ */
+'use strict';
+
+/** Matches a single range condition, e.g. ^1.2.0, >=2, or 1.x */
+const CONDITION_PATTERN = /^(\^|~|>=|<=|>|<|=)?v?(\*|x|\d+)(?:\.(\*|x|\d+))?(?:\.(\*|x|\d+))?(?:[-+].*)?$/i;
+
+/** Matches a hyphen range, e.g. 1.0.0 - 2.0.0 */
+const HYPHEN_PATTERN = /^(\S+)\s+-\s+(\S+)$/;
+
+/**
+ * Compares semantic versions.  Ranges support the common npm forms: exact
+ * versions, x-ranges (1.x, *), ^, ~, comparators (>=, >, <=, <, =), hyphen
+ * ranges (1.0.0 - 2.0.0), space-separated conditions that must all match,
+ * and || alternatives.  Prerelease tags are ignored.  Other forms, such as
+ * dist-tags, are not supported; See isRange().
+ * @since 1.0.0
+ */
+class VersionUtil {
+    /**
+     * Compare two versions
+     * @param {string} a The first version
+     * @param {string} b The second version
+     * @returns {number} Negative if a is older, positive if a is newer, 0 if equal
+     */
+    static compare(a, b) {
+        const left = VersionUtil.parse(a), right = VersionUtil.parse(b);
+
+        if (!left || !right)
+            throw new Error(`Bad argument to compare(); Invalid version '${!left ? a : b}'`);
+        for (let i = 0; i < 3; i++) {
+            if (left[i] !== right[i])
+                return left[i] - right[i];
+        }
+        return 0;
+    }
+
+    /**
+     * Split one || alternative of a range into the conditions that must all match
+     * @param {string} alternative The alternative, e.g. '>=1.2 <3' or '1.0.0 - 2.0.0'
+     * @returns {string[]}
+     */
+    static getConditions(alternative) {
+        const text = alternative.trim(), hyphen = HYPHEN_PATTERN.exec(text);
+
+        //  Like npm, a partial upper bound includes everything it matches, e.g. 1 - 2 includes 2.9.0
+        if (hyphen)
+            return [`>=${hyphen[1]}`, `<=${hyphen[2]}`];
+        return text.replace(/([<>=^~]+)\s+/g, '$1').split(/\s+/).filter(c => c.length > 0);
+    }
+
+    /**
+     * Is a range written in a form satisfies() understands?
+     * @param {string} range The range, e.g. '^1.0.0'; Dist-tags such as 'latest' are not
+     * @returns {boolean}
+     */
+    static isRange(range) {
+        return String(range).split('||').every(alternative => VersionUtil.getConditions(alternative).every(condition => CONDITION_PATTERN.test(condition)));
+    }
+
+    /**
+     * Parse a version into its numeric parts
+     * @param {string} version The version to parse
+     * @returns {[number, number, number] | false}
+     */
+    static parse(version) {
+        const match = /^\s*v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:[-+].*)?\s*$/.exec(String(version));
+
+        if (!match)
+            return false;
+        return [parseInt(match[1]), parseInt(match[2] || '0'), parseInt(match[3] || '0')];
+    }
+
+    /**
+     * Does a version fall within a range?
+     * @param {string} version The version to check
+     * @param {string} range The range, e.g. '^1.0.0' or '>=1.2 <3'
+     * @returns {boolean}
+     * @throws {Error} If the range is not supported; Check it with isRange() first
+     */
+    static satisfies(version, range) {
+        const parsed = VersionUtil.parse(version);
+
+        if (!parsed)
+            return false;
+        return String(range).split('||').some(alternative => {
+            return VersionUtil.getConditions(alternative).every(condition => VersionUtil.testCondition(parsed, condition));
+        });
+    }
+
+    /**
+     * Test a single range condition
+     * @param {[number, number, number]} version The parsed version
+     * @param {string} condition A condition such as '^1.2.0', '>=2', or '1.x'
+     * @returns {boolean}
+     */
+    static testCondition(version, condition) {
+        const match = CONDITION_PATTERN.exec(condition);
+
+        if (!match)
+            throw new Error(`Bad argument to satisfies(); Invalid range condition '${condition}'`);
+
+        const
+            operator = match[1] || '',
+            parts = [match[2], match[3], match[4]].map(p => typeof p === 'undefined' || /^[*x]$/i.test(p) ? undefined : parseInt(p)),
+            given = parts.findIndex(p => typeof p === 'undefined'),
+            precision = given === -1 ? 3 : given,
+            target = parts.map(p => p || 0),
+            compare = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2],
+            result = compare(version, target);
+
+        //  Wildcards match anything at and below their position
+        const samePrefix = (count) => version.slice(0, count).every((v, i) => v === target[i]);
+
+        if (precision === 0)
+            return operator !== '<' && operator !== '>';
+
+        switch (operator) {
+            case '>=': return result >= 0;
+            case '<=': return result <= 0 || precision < 3 && samePrefix(precision);
+            case '>': return precision < 3 ? !samePrefix(precision) && result > 0 : result > 0;
+            case '<': return result < 0;
+            case '^': {
+                //  Allow changes that do not modify the left-most non-zero part
+                const fixed = target[0] > 0 || precision === 1 ? 1 : target[1] > 0 || precision === 2 ? 2 : 3;
+                return result >= 0 && samePrefix(Math.min(fixed, precision));
+            }
+            case '~': return result >= 0 && samePrefix(Math.min(precision, 2) || 1);
+            default: return samePrefix(precision);
+        }
+    }
+}
+
+module.exports = VersionUtil;